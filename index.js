@@ -7,22 +7,94 @@
 const program = require('commander');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const fsUtils = require('nodejs-fs-utils');
-const simpleGit = require('simple-git');
 const childProcess = require('child_process');
 const csv = require('csv');
 const moment = require('moment');
+const crypto = require('crypto');
+const {
+    diffLines,
+    unifiedDiff,
+    merge3
+} = require('./lib/diff');
+const {
+    testRailClient
+} = require('./lib/testrail-api');
+const {
+    markupModes,
+    fromText,
+    toText
+} = require('./lib/markup');
+const {
+    parseXml,
+    stringifyXml,
+    xmlElement,
+    xmlChildren,
+    xmlChild,
+    xmlChildText
+} = require('./lib/xml');
+const {
+    encodingName,
+    unrepresentableChars,
+    encodeText,
+    decodeText
+} = require('./lib/encoding');
+const {
+    tableCells,
+    tableLines,
+    parseFeature,
+    featureContent
+} = require('./lib/gherkin');
+const {
+    parseFilter,
+    matchesPathGlob
+} = require('./lib/filter');
+const {
+    readGitHistory,
+    gitLogsFor,
+    gitChangesSince,
+    gitFileAt
+} = require('./lib/git-history');
 moment.suppressDeprecationWarnings = true;
 
-// Top-level module flags
-let flags = {
+// Default module flags
+let defaultFlags = {
     verbose: false,
     testFileSuffix: ".txt",
     maxFilenameLength: null,
+    projectConfigFile: "trio.json",
+    separatedSteps: false,
+    importStateFile: ".trio-import.json",
+    exportStateFile: ".trio-export.json",
+    idManifestFile: ".trio-ids.json",
+    archiveDir: ".trio-archive",
+    sectionMetaFile: "Section.meta.txt",
+    suiteMetaFile: "Suite.meta.txt",
+    snippetSuffix: ".snippet.txt",
+    featureSuffix: ".feature",
+    // Whether imports write new sections as feature files, see featureFileFor()
+    featureFiles: false,
+    maxOpenFiles: 64,
+    markup: "text",
+    // Line endings of written test files, "lf" or "crlf", see useLineEndings()
+    lineEndings: "lf",
+    // { beforeExport(testCase), afterImport(testCase, file) }, see useHooks()
+    hooks: {},
+};
+
+// Settings - flags and TestRail fields (see useTrFields()) - of the module.
+// Functions using settings take them as their last parameter, for the
+// settings of an instance (see createTrio()), and use these if not given.
+let moduleSettings = {
+    flags: Object.assign({}, defaultFlags),
+    fields: null
 };
 
+// Top-level module flags
+let flags = moduleSettings.flags;
+
 // Checks if the directory is a git repo
-// (Needed b/c simple-git has fatal errors when you don't check)
 function isGitRepo(dirPath) {
     try {
         childProcess.execSync('git rev-parse --is-inside-work-tree', {
@@ -40,73 +112,87 @@ function isGitRepo(dirPath) {
 
 // Reads a test file relative to some test directory root
 // Promises the content as well as any applicable git information in
-// a Promise
-function readTestFile(testFile, testRoot) {
+// a Promise.  The git history of the test directory (see readGitHistory())
+// is read if not given.
+function readTestFile(testFile, testRoot, gitHistory, settings) {
 
-    return new Promise((resolve, reject) => {
+    settings = settings || moduleSettings;
 
-        if (flags.verbose) console.log("Reading test file at", testFile);
+    let historyRead = gitHistory !== undefined ? Promise.resolve(gitHistory) : readGitHistory(testRoot);
 
-        fs.readFile(testFile, 'utf8', (err, content) => {
-            if (err) reject(err);
+    return historyRead.then(gitHistory => new Promise((resolve, reject) => {
 
-            // Check for git info
-            let testDir = path.dirname(testFile);
-            if (!isGitRepo(testDir)) {
-                resolve([path.relative(testRoot, testFile), content, null, null]);
+        if (settings.flags.verbose) console.log("Reading test file at", testFile);
+
+        fs.readFile(testFile, 'utf8', (err, content) => {
+            if (err) {
+                reject(err);
                 return;
             }
 
-            // Read git info
-            let git = simpleGit(testDir).cwd(process.cwd());
-
-            // Latest log entry 
-            git.log([-1], (err, currLog) => {
-                if (err) reject(err);
+            let [createLog, modifiedLog] = gitLogsFor(gitHistory, testFile);
+            resolve([path.relative(testRoot, testFile), content, createLog, modifiedLog]);
+        });
+    }));
+}
 
-                // File creation
-                git.log(['-1', '--diff-filter=A', '--follow', '--', testFile], (err, createLog) => {
-                    if (err) reject(err);
-                    if (!createLog.latest) createLog.latest = currLog.latest;
+// Maps items to promises, with at most limit promises pending at a time
+// Promises the results in order
+function mapLimit(items, limit, fn) {
 
-                    // Last modification
-                    git.log(['-1', '--', testFile], (err, modifiedLog) => {
-                        if (err) reject(err);
-                        if (!modifiedLog.latest) modifiedLog.latest = currLog.latest;
+    let results = new Array(items.length);
+    let next = 0;
 
-                        resolve([path.relative(testRoot, testFile),
-                            content, createLog.latest, modifiedLog.latest
-                        ]);
-                    });
-                });
-            });
+    function work() {
+        if (next >= items.length) return Promise.resolve();
+        let i = next++;
+        return fn(items[i]).then((result) => {
+            results[i] = result;
+            return work();
         });
-    });
+    }
+
+    let workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); ++i) workers.push(work());
+
+    return Promise.all(workers).then(() => results);
+}
+
+// Checks if a path is a test file (and not a section or suite metadata file,
+// or a snippet - see expandIncludes()) or a feature file (see
+// featureScenarios())
+function isTestFile(testPath, settings) {
+    settings = settings || moduleSettings;
+    return (testPath.endsWith(settings.flags.testFileSuffix) && !testPath.endsWith(settings.flags.snippetSuffix) &&
+        path.basename(testPath) != settings.flags.sectionMetaFile && path.basename(testPath) != settings.flags.suiteMetaFile) || isFeatureFile(testPath, settings);
 }
 
-// Reads a directory of manual test files (.test.txt)
-// Promises the content and git information of all read test files 
-function readTestDir(testDir) {
+// Walks a directory of manual test files (.test.txt)
+// Promises the paths of all test files found
+function walkTestDir(testDir, settings) {
+
+    settings = settings || moduleSettings;
+
+    // Tests archived on import aren't tests any more
+    let archiveDir = path.join(testDir, settings.flags.archiveDir) + path.sep;
 
     return new Promise((resolve, reject) => {
 
-        let reads = [];
-        let readTestFiles = [];
+        let testPaths = [];
 
         fsUtils.walk(testDir, (err, testPath, stats, next, cache) => {
-            if (err) reject(err);
+            if (err) {
+                reject(err);
+                return;
+            }
 
             if (!next) {
-                Promise.all(reads).then(() => resolve(readTestFiles));
+                resolve(testPaths);
                 return;
             }
 
-            if (!stats.isDirectory() && testPath.endsWith(flags.testFileSuffix)) {
-                reads.push(
-                    readTestFile(testPath, testDir)
-                    .then((contentAndLogs) => {
-                        readTestFiles.push(contentAndLogs);
-                    }));
+            if (!stats.isDirectory() && isTestFile(testPath, settings) && !testPath.startsWith(archiveDir)) {
+                testPaths.push(testPath);
             }
 
             next();
@@ -114,501 +200,6192 @@ function readTestDir(testDir) {
     });
 }
 
-//
-// TestRail-specific fields
-//
+// Reads a directory of manual test files (.test.txt), reading the git
+// history of the whole directory once and a bounded number of files at a time
+// Promises the content and git information of all read test files, with
+// the section information from the section metadata files (see
+// sectionInfoFor()) added to each.  Feature files are read as a test file
+// per scenario (see featureTestFiles()).
+function readTestDir(testDir, settings) {
 
-let trFields = [
-    'ID',
-    'Title',
-    'Created By',
-    'Created On',
-    'Expected Result',
-    'Milestone',
-    'Priority',
-    'References',
-    'Section',
-    'Section Depth',
-    'Section Description',
-    'Section Hierarchy',
-    'Steps',
-    'Suite',
-    'Suite ID',
-    'Type',
-    'Updated By',
-    'Updated On',
-];
+    settings = settings || moduleSettings;
 
-let trDate = function(date) {
-    var parsed = moment(date);
-    if (!parsed.isValid()) {
-        // Already-parsed round-trip date
-        parsed = moment(date, "M/D/YYYY h:mm A");
-    }
-    return parsed.format("M/D/YYYY h:mm A");
-};
+    let sectionInfoFor = sectionInfoReader(testDir, settings);
 
-let trSpecial = {
-    'Created On': (date) => {
-        return trDate(date);
-    },
-    'Updated On': (date) => {
-        return trDate(date);
-    },
-    'Section Depth': (depth) => {
-        return "" + depth;
-    },
-};
+    return Promise.all([walkTestDir(testDir, settings), readGitHistory(testDir)])
+        .then(([testPaths, gitHistory]) => mapLimit(testPaths, settings.flags.maxOpenFiles,
+            testPath => readTestFile(testPath, testDir, gitHistory, settings)
+            .then(readTestFile => isFeatureFile(readTestFile[0], settings) ? featureTestFiles(readTestFile, sectionInfoFor, settings) : [readTestFile.concat([sectionInfoFor(readTestFile[0])])])))
+        .then(readTestFiles => [].concat(...readTestFiles));
+}
+
+// Reads the test files in a directory added or modified since a git ref
+// (see readTestDir()), along with the test files deleted or renamed since.
+// Promises { commit, readTestFiles, removed } with the commit of the ref and
+// the removed test files as [change, oldTestFile, oldContent, newTestFile],
+// change one of 'Deleted' or 'Renamed'.
+function readTestDirSince(testDir, ref) {
+
+    return gitChangesSince(testDir, ref)
+        .then(changes => readTestDir(testDir).then(readTestFiles => [readTestFiles, changes]))
+        .then(([readTestFiles, changes]) => {
+
+            let realTestDir = fs.realpathSync(testDir);
+            let relative = (file) => path.relative(realTestDir, file);
+
+            let changed = {};
+            changes.added.concat(changes.modified).forEach(file => changed[relative(file)] = true);
+
+            // Tests change with the snippets they include
+            snippetUsage(readTestFiles, testDir).forEach(({
+                snippet,
+                testFiles
+            }) => {
+                if (changed[snippet]) testFiles.forEach(testFile => changed[testFile] = true);
+            });
+
+            let removed = changes.deleted.filter(file => isTestFile(file)).map(file => ['Deleted', relative(file), null]);
+            changes.renamed.forEach(([oldFile, newFile]) => {
 
-let trRegexes = [];
+                if (isTestFile(newFile)) changed[relative(newFile)] = true;
+                if (!isTestFile(oldFile)) return;
 
-for (let i = 0; i < trFields.length; ++i) {
-    trRegexes.push(new RegExp('^\\s?' + trFields[i] + '\\s?:\\s?(.*)$', 'i'));
+                if (isTestFile(newFile)) removed.push(['Renamed', relative(oldFile), null, relative(newFile)]);
+                else removed.push(['Deleted', relative(oldFile), null]);
+            });
+
+            // Removed files are only in git now, but their content has the case IDs
+            return Promise.all(removed.map(entry => gitFileAt(testDir, changes.commit, path.join(realTestDir, entry[1]))
+                    .then((content) => {
+                        entry[2] = content;
+                        return entry;
+                    })))
+                .then(removed => ({
+                    commit: changes.commit,
+                    readTestFiles: readTestFiles.filter(([testFile, , , , section]) => changed[section.featureFile || testFile]),
+                    removed: removed
+                }));
+        });
 }
 
-// Saves a bunch of test files to a CSV formatted for TestRail
+let changesReportColumns = ['Change', 'ID', 'Title', 'Section', 'File', 'New Title', 'New Section', 'New File'];
+
+// Saves a CSV report of removed test files (see readTestDirSince()), to
+// retire or move the matching TestRail cases
 // Promises to return when done.
-function saveToTrCsv(readTestFiles, outputFile, addGitFooter) {
+function saveChangesReport(removed, reportFile) {
+
+    let csvRows = [changesReportColumns];
+
+    removed.forEach(([change, oldTestFile, oldContent, newTestFile]) => {
+
+        // Each scenario of a feature file is a case
+        let cases = [
+            [oldTestFile, oldContent || "", newTestFile]
+        ];
+        if (isFeatureFile(oldTestFile)) {
+            try {
+                let newScenarios = newTestFile && isFeatureFile(newTestFile) ? featureScenarios(newTestFile, oldContent) : [];
+                cases = featureScenarios(oldTestFile, oldContent || "").map((scenario, i) => [scenario.file, scenario.content, newScenarios[i] ? newScenarios[i].file : newTestFile]);
+            } catch (err) {
+                cases = [];
+            }
+        }
 
-    readTestFiles.sort((a, b) => {
-        if (a[0] == b[0]) return 0;
-        return a[0] < b[0] ? -1 : 1;
-    });
+        cases.forEach(([oldCaseFile, oldCaseContent, newCaseFile]) => {
 
-    let csvRows = [trFields];
+            let oldRow = trRowFor([oldCaseFile, oldCaseContent]);
+            let newRow = newCaseFile ? trRowFor([newCaseFile, ""]) : {};
 
-    for (let i = 0; i < readTestFiles.length; ++i) {
+            csvRows.push([change, oldRow['ID'], oldRow['Title'], oldRow['Section'], oldTestFile,
+                newRow['Title'], newRow['Section'], newTestFile
+            ]);
+        });
+    });
 
-        let readTestFile = readTestFiles[i];
-        let trRow = trRowFor(readTestFile, addGitFooter);
+    return writeCsv(csvRows, reportFile);
+}
 
-        // Convert the row objects into CSV row arrays
-        let csvRow = [];
-        for (let j = 0; j < trFields.length; ++j) {
+// Returns the removed test files report written alongside some CSV file
+function changesReportFile(outputFile) {
+    return path.join(path.dirname(outputFile),
+        path.basename(outputFile, path.extname(outputFile)) + ".changes.csv");
+}
 
-            let trField = trFields[j];
-            let value = null;
+// The last export of a test directory is kept in a state file, to only
+// export the test files changed since with --since-last-export
+function readExportState(testDir) {
 
-            if (trField in trRow) {
-                value = trRow[trField];
-                // Some fields need magic special handling (dates, numbers)
-                if (trField in trSpecial) {
-                    value = trSpecial[trField](value);
-                }
-            }
+    let stateFile = path.join(testDir, flags.exportStateFile);
+    if (!fs.existsSync(stateFile)) return {
+        commit: null
+    };
 
-            csvRow.push(value);
-        }
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+}
 
-        csvRows.push(csvRow);
-    }
+// Records the current commit as exported
+// Promises the commit
+function recordExport(testDir) {
 
-    return new Promise((resolve, reject) => {
+    return readGitHistory(testDir).then((gitHistory) => {
 
-        if (flags.verbose) console.log("Saving to", outputFile, '...');
+        if (!gitHistory || !gitHistory.head)
+            throw new Error("No git commit to record the export of " + testDir + " at");
 
-        csv.stringify(csvRows, {
-            quoted: true
-        }, (err, csvStr) => {
-            if (err) reject(err);
+        fs.writeFileSync(path.join(testDir, flags.exportStateFile), JSON.stringify({
+            commit: gitHistory.head
+        }, null, 2) + '\n');
 
-            fs.writeFile(outputFile, csvStr, (err) => {
-                if (err) reject(err);
-                resolve();
-            });
-        });
+        return gitHistory.head;
     });
 }
 
-// Reads a CSV file containing tests (usually in TestRail format)
-// Promises the row (objects) in the file
-function readTestCsv(inputFile) {
-
-    return new Promise((resolve, reject) => {
+//
+// Section metadata files
+//
+// Each section directory has a metadata file (Section.meta.txt) with the
+// section description, followed by the display order of its sub-sections
+// and cases (by directory name and title):
+// > cat Section.meta.txt
+// SOME DESCRIPTION
+//
+// Section Order:
+// SUB_SECTION_1
+// SUB_SECTION_2
+// Case Order:
+// TEST_TITLE_1
+// TEST_TITLE_2
+//
 
-        fs.readFile(inputFile, (err, data) => {
-            if (err) reject(err);
+let sectionOrderRegex = /^\s?Section Order\s?:\s*$/i;
+let caseOrderRegex = /^\s?Case Order\s?:\s*$/i;
 
-            csv.parse(data, {
-                columns: true
-            }, (err, rows) => {
-                if (err) reject(err);
+// Parses section metadata file content
+function parseSectionMeta(content) {
 
-                resolve(rows);
-            });
-        });
-    });
-}
+    let meta = {
+        description: "",
+        sectionOrder: [],
+        caseOrder: []
+    };
 
-// Saves rows from a TestRail CSV file to individual test files in a directory
-// Promises to return when the test directory files are created.
-function saveToTestDir(testRows, testDir) {
+    let lines = (content || "").replace(/\r/g, '').split('\n');
+    let descriptionLines = [];
+    let list = null;
 
-    let sectionDirs = {};
+    for (let i = 0; i < lines.length; ++i) {
 
-    // Figure out all the directories we need to create first
-    for (let i = 0; i < testRows.length; ++i) {
+        let line = lines[i];
+        if (line.match(sectionOrderRegex)) list = meta.sectionOrder;
+        else if (line.match(caseOrderRegex)) list = meta.caseOrder;
+        else if (list) {
+            if (line.trim()) list.push(line.trim());
+        } else descriptionLines.push(line);
+    }
 
-        // Create test file content for the next CSV row
-        let [testFile, testContent] = testFor(testRows[i]);
-        testFile = path.join(testDir, testFile);
+    meta.description = descriptionLines.join('\n').trim();
+    return meta;
+}
 
-        let sectionDir = path.dirname(testFile);
-        if (!(sectionDir in sectionDirs)) {
+// Creates section metadata file content
+function sectionMetaContent(meta) {
 
-            // Each directory gets a metadata description file, in case we
-            // ever want to load Section Descriptions back to TestRail
-            let descFile = path.join(sectionDir, 'Section.meta.txt');
-            let descContent = testRows[i]['Section Description'];
+    let content = meta.description || "";
 
-            sectionDirs[sectionDir] = [
-                [descFile, descContent],
-                []
-            ];
-        }
+    if (meta.sectionOrder.length)
+        content += (content ? "\n\n" : "") + "Section Order:\n" + meta.sectionOrder.join('\n');
 
-        // Sort test file content to the appropriate directory
-        sectionDirs[sectionDir][1].push([testFile, testContent]);
-    };
+    if (meta.caseOrder.length)
+        content += (content ? "\n" : "") + "Case Order:\n" + meta.caseOrder.join('\n');
 
-    // Sort the directories in the order we want to create them
-    let sortedDirs = [];
+    return content;
+}
 
-    for (let sectionDir in sectionDirs) {
-        sortedDirs.push([sectionDir].concat(sectionDirs[sectionDir]));
-    }
+// Reads the section metadata file of a directory, if any
+function readSectionMeta(sectionDir, settings) {
 
-    sortedDirs.sort((a, b) => {
-        return a[0] < b[0] ? -1 : 1;
-    });
+    settings = settings || moduleSettings;
 
-    // NOTE
-    // Here we're creating directories one-at-a-time, and creating all
-    // files in the directory in arbitrary order.  So we chain directory
-    // promises and concatenate the file promises underneath those.
-    let dirWrites = Promise.resolve();
+    let metaFile = path.join(sectionDir, settings.flags.sectionMetaFile);
+    return parseSectionMeta(fs.existsSync(metaFile) ? fs.readFileSync(metaFile, 'utf8') : "");
+}
 
-    for (let i = 0; i < sortedDirs.length; ++i) {
+// Returns a (caching) function that gives the section information of test
+// files relative to a test directory root:
+//   { hierarchy, depth, description, orderKey, suite, testDir }
+// where the order key sorts tests in their display order, the suite is
+// the suite metadata of a suite directory root (see readSuiteMeta()) and the
+// test directory is the root includes are read relative to (see
+// expandIncludes()).
+function sectionInfoReader(testDir, settings) {
+
+    settings = settings || moduleSettings;
+
+    let suite = readSuiteMeta(testDir, settings);
+    let metas = {};
+    let metaFor = (relDir) => {
+        if (!(relDir in metas)) metas[relDir] = readSectionMeta(path.join(testDir, relDir), settings);
+        return metas[relDir];
+    };
 
-        let [sectionDir, desc, tests] = sortedDirs[i];
+    // Listed names come first in their order, others after in name order
+    let orderOf = (list, name) => {
+        let index = list.indexOf(name);
+        return [index < 0 ? list.length : index, name];
+    };
 
-        // Chain the next directory creation
-        dirWrites = dirWrites.then(() => {
-            return new Promise((resolve, reject) => {
+    return (testFile) => {
 
-                if (flags.verbose) console.log("Creating ", sectionDir);
+        let relDir = path.dirname(testFile);
+        let names = relDir == '.' ? [] : relDir.split(path.sep);
 
-                fsUtils.mkdirs(sectionDir, (err) => {
-                    if (err) reject(err);
+        let title = path.basename(testFile);
+        title = title.substring(0, title.length - settings.flags.testFileSuffix.length);
 
-                    if (flags.verbose) console.log("Created dir", sectionDir);
+        let orderKey = [];
+        for (let i = 0; i < names.length; ++i) {
+            let parentDir = i == 0 ? '.' : names.slice(0, i).join(path.sep);
+            orderKey.push(orderOf(metaFor(parentDir).sectionOrder, names[i]));
+        }
+        orderKey.push(orderOf(metaFor(relDir).caseOrder, title));
+
+        return {
+            hierarchy: names.join(' > '),
+            depth: Math.max(0, names.length - 1),
+            description: metaFor(relDir).description,
+            orderKey: orderKey,
+            suite: suite,
+            testDir: testDir
+        };
+    };
+}
 
-                    let [descFile, descContent] = desc;
+// Compares read test files by their section order keys (if read with
+// readTestDir()), otherwise by path
+function compareTestFiles(a, b) {
 
-                    fs.writeFile(descFile, descContent, (err) => {
-                        if (err) reject(err);
+    if (!a[4] || !b[4]) {
+        if (a[0] == b[0]) return 0;
+        return a[0] < b[0] ? -1 : 1;
+    }
 
-                        if (flags.verbose) console.log("Created desc file", descFile);
+    let keyA = a[4].orderKey;
+    let keyB = b[4].orderKey;
 
-                        // Write all the files to the directory now
-                        let testWrites = [];
-                        for (let j = 0; j < tests.length; ++j) {
+    // Cases sort before the sub-sections next to them
+    for (let i = 0; i < Math.min(keyA.length, keyB.length); ++i) {
 
-                            let [testFile, testContent] = tests[j];
+        let sectionA = i < keyA.length - 1;
+        let sectionB = i < keyB.length - 1;
+        if (sectionA != sectionB) return sectionA ? 1 : -1;
 
+        if (keyA[i][0] != keyB[i][0]) return keyA[i][0] - keyB[i][0];
+        if (keyA[i][1] != keyB[i][1]) return keyA[i][1] < keyB[i][1] ? -1 : 1;
+    }
 
-                            if (flags.maxFilenameLength != null) {
+    return keyA.length - keyB.length;
+}
 
-                                let filenameLength = path.resolve(testFile).length;
-                                if (filenameLength > flags.maxFilenameLength) {
+// Merges a new display order list with an existing one - names only in the
+// existing list stay after the name they followed
+function mergeOrder(order, existingOrder) {
 
-                                    let testFileDir = path.dirname(testFile);
-                                    let testFileExt = path.extname(testFile);
-                                    let testFileBasename = path.basename(testFile, testFileExt);
-                                    let testFileSuffix = 0;
-                                    let numFilenameChars = flags.maxFilenameLength -
-                                        (path.resolve(testFileDir).length + 1 + ("" + testFileSuffix).length + testFileExt.length);
+    let merged = order.slice();
+    existingOrder.forEach((name, i) => {
+        if (merged.indexOf(name) >= 0) return;
+        let prevIndex = i > 0 ? merged.indexOf(existingOrder[i - 1]) : -1;
+        merged.splice(prevIndex + 1, 0, name);
+    });
 
-                                    while (true) {
+    return merged;
+}
 
-                                        if (numFilenameChars <= 0) {
-                                            reject("Filename " + path.resolve(testFile) + " too long.");
-                                            return;
-                                        }
+//
+// Suites
+//
+// Projects with several TestRail suites keep each suite in its own top-level
+// directory, with a metadata file (Suite.meta.txt) naming the suite:
+// > cat Suite.meta.txt
+// Suite: SUITE NAME
+// Suite ID: S3
+//
+// Each suite directory is exported and imported like a test directory of
+// its own.
+//
 
+let suiteNameRegex = /^\s?Suite\s?:\s?(.*)$/i;
+let suiteIdRegex = /^\s?Suite ID\s?:\s?(.*)$/i;
 
-                                        testFile = path.join(testFileDir,
-                                            testFileBasename.substring(0, numFilenameChars) + testFileSuffix + testFileExt);
-                                        if (!fs.existsSync(testFile)) {
+// Parses a TestRail suite ID ("S3" or "3"), returns null if invalid
+function trSuiteId(id) {
+    let match = ("" + (id == null ? "" : id)).trim().match(/^S?(\d+)$/i);
+    return match ? parseInt(match[1], 10) : null;
+}
 
-                                            if (flags.verbose) console.log("\nFilename", testFile, "truncated.");
+function parseSuiteMeta(content) {
 
-                                            // Sanity check, should always succeed
-                                            if (path.resolve(testFile).length > flags.maxFilenameLength) {
-                                                reject("Bad filename created: " + path.resolve(testFile));
-                                                return;
-                                            }
+    let meta = {
+        name: "",
+        id: null
+    };
 
-                                            break;
-                                        }
+    (content || "").replace(/\r/g, '').split('\n').forEach((line) => {
 
-                                        let nextSuffix = testFileSuffix + 1;
-                                        numFilenameChars = numFilenameChars -
-                                            (("" + nextSuffix).length - ("" + testFileSuffix).length);
+        let match = line.match(suiteIdRegex);
+        if (match) meta.id = trSuiteId(match[1]);
+        else if ((match = line.match(suiteNameRegex))) meta.name = match[1].trim();
+    });
 
-                                        testFileSuffix = nextSuffix;
-                                    }
-                                }
-                            }
+    return meta;
+}
 
-                            if (flags.verbose) console.log("Writing file", testFile);
+function suiteMetaContent(meta) {
+    return "Suite: " + meta.name + "\n" + "Suite ID: S" + meta.id + "\n";
+}
 
-                            testWrites.push(new Promise((resolve, reject) => {
-                                fs.writeFile(testFile, testContent, (err) => {
-                                    if (err) reject(err);
-                                    resolve();
-                                });
-                            }));
-                        }
+// Reads the suite metadata file of a directory, null if it isn't a suite
+function readSuiteMeta(suiteDir, settings) {
 
-                        // Wait for the test file writes to complete, then move on
-                        Promise.all(testWrites).then(() => resolve());
-                    });
-                });
-            });
-        });
-    }
+    settings = settings || moduleSettings;
 
-    return dirWrites;
-};
+    let metaFile = path.join(suiteDir, settings.flags.suiteMetaFile);
+    return fs.existsSync(metaFile) ? parseSuiteMeta(fs.readFileSync(metaFile, 'utf8')) : null;
+}
 
-// Returns a row object suitable for CSV export from a test file
-// (optionally in a git repo)
-function trRowFor([testFile, content, createLog, modifiedLog], addGitFooter) {
+// Lists the suite directories of a test directory, as
+// [{ dir, name, id }] in directory name order
+function readSuiteDirs(testDir, settings) {
+
+    if (!fs.existsSync(testDir)) return [];
+
+    return fs.readdirSync(testDir).sort()
+        .map(name => path.join(testDir, name))
+        .filter(suiteDir => fs.statSync(suiteDir).isDirectory())
+        .map(suiteDir => [suiteDir, readSuiteMeta(suiteDir, settings)])
+        .filter(([suiteDir, meta]) => meta)
+        .map(([suiteDir, meta]) => ({
+            dir: suiteDir,
+            name: meta.name,
+            id: meta.id
+        }));
+}
 
-    let title = path.basename(testFile);
-    title = title.substring(0, title.length - flags.testFileSuffix.length);
+// Finds a suite by name or ID (e.g. 'Android app', 'S3' or '3')
+function findSuite(suites, suite) {
 
-    let contentFields = {};
+    let suiteId = trSuiteId(suite);
+    return suites.find(found => found.id != null && found.id === suiteId) ||
+        suites.find(found => trNameKey(found.name).toLowerCase() == trNameKey(suite).toLowerCase()) || null;
+}
 
-    // The format of tests is assumed to be:
-    // (case insensitive)
-    // > cat THE_TITLE.test.txt
-    // SOME STEP 1
-    // SOME STEP 2
-    // EXPECTED RESULT:
-    // WHAT SHOULD HAPPEN
-    // FIELD VALUE: SOME VALUE
-    //
-    // Basically the title is the first (nonempty) line,
-    // the steps ('Steps') come next until "Expected Result:" is seen,
-    // then result ('Expected Result') lines are assumed.
-    //
-    // Arbitrary TestRail field values can also be specified
-    // using FIELD:VALUE syntax (case/space insensitive), these
-    // lines are ignored in steps and results.
+// Works out the suite directory of each suite in rows from a TestRail CSV
+// file.  Suites keep their directory if they have one (even if renamed),
+// new suites get one named after the suite.
+// Returns a list of [suite, rows] in the order suites first appear
+function suiteRowsFor(testRows, testDir, settings) {
 
-    let lines = content.replace(/\r/g, '').split('\n');
-    let stepLines = [];
-    let resultLines = [];
+    let suites = readSuiteDirs(testDir, settings);
+    let suiteRows = {};
+    let order = [];
 
-    let lineType = "step";
+    testRows.forEach((row) => {
 
-    for (let i = 0; i < lines.length; ++i) {
+        let suiteId = trSuiteId(row['Suite ID']);
+        if (suiteId == null)
+            throw new Error("Case '" + row['Title'] + "' has no Suite ID, can't import it to a suite directory");
 
-        let line = lines[i];
-        let prevLineType = lineType;
+        if (!(suiteId in suiteRows)) {
 
-        for (let j = 0; j < trRegexes.length; ++j) {
+            let suite = suites.find(found => found.id === suiteId);
+            if (suite) {
 
-            let match = line.match(trRegexes[j]);
-            if (match && match.length > 1) {
+                // Renamed suites keep their directory
+                suite = Object.assign({}, suite, {
+                    name: row['Suite'] || suite.name
+                });
+            } else {
 
-                if (trFields[j] == 'Expected Result') {
-                    lineType = "result";
-                    line = match[1];
-                } else if (trFields[j] == 'Steps') {
-                    lineType = "step";
-                    line = match[1];
-                } else {
-                    lineType = "field";
-                    contentFields[trFields[j]] = match[1];
-                }
+                let name = row['Suite'] || "S" + suiteId;
+                let suiteDir = path.join(testDir, trNameKey(name));
+                if (fs.existsSync(suiteDir) || order.find(([other]) => other.dir == suiteDir))
+                    suiteDir = path.join(testDir, trNameKey(name) + '_S' + suiteId);
 
-                break;
+                suite = {
+                    dir: suiteDir,
+                    name: name,
+                    id: suiteId
+                };
             }
+
+            suiteRows[suiteId] = [suite, []];
+            order.push(suiteRows[suiteId]);
         }
 
-        if (lineType == "step") stepLines.push(line);
-        else if (lineType == "result") resultLines.push(line);
-        else if (lineType == "field") lineType = prevLineType;
-    }
+        suiteRows[suiteId][1].push(row);
+    });
 
-    // Title is first line of the steps
-    let steps = stepLines.join('\n').trim();
-    let results = resultLines.join('\n').trim();
+    return order;
+}
 
-    // The directory structure determines the TestRail 
-    // 'Section Hierarchy'
-    let hierarchy = pathToTrSection(testFile);
+// Works out where rows from a TestRail CSV file are imported to - each
+// suite to its own suite directory if the rows are from more than one suite
+// or the test directory already has suite directories, otherwise the test
+// directory itself.  With onlySuite only that suite (by name or ID) is
+// imported.
+// Returns a list of [suite, rows]
+function importSuitesFor(testRows, testDir, onlySuite, settings) {
 
-    if (createLog && modifiedLog && addGitFooter) {
-        steps = steps + '\n\nLatest Update:\n' +
-            JSON.stringify(Object.assign({}, modifiedLog), null, 2);
-    }
+    let suiteIds = {};
+    testRows.forEach(row => suiteIds[trSuiteId(row['Suite ID'])] = true);
 
-    let row = {
-        'Title': title,
-        'Steps': steps,
-        'Section': hierarchy,
-        'Expected Result': results
-    };
+    let bySuite = readSuiteDirs(testDir, settings).length > 0 || Object.keys(suiteIds).length > 1;
 
-    // Add creation/update times from git if available
-    let gitInfo = {};
-    if (createLog && modifiedLog) {
-        gitInfo = {
-            'Created By': createLog.author_name + ' (' + createLog.author_email + ')',
-            'Created On': createLog.date,
-            'Updated By': modifiedLog.author_name + ' (' + modifiedLog.author_email + ')',
-            'Updated On': modifiedLog.date,
-        };
-    }
+    let suiteRows = bySuite ? suiteRowsFor(testRows, testDir, settings) : [
+        [{
+            dir: testDir,
+            name: testRows.length ? testRows[0]['Suite'] : null,
+            id: testRows.length ? trSuiteId(testRows[0]['Suite ID']) : null
+        }, testRows]
+    ];
 
-    Object.assign(row, contentFields, gitInfo);
-    return row;
-}
+    if (onlySuite != null) {
 
-// TestRails allows nested Section specification on import by using
-// " > "  as a separator
-function pathToTrSection(testFile) {
+        let suite = findSuite(suiteRows.map(([suite]) => suite), onlySuite);
+        if (!suite) throw new Error("No suite '" + onlySuite + "' in the imported cases");
 
-    let trPath = testFile;
-    if (path.isAbsolute(trPath)) {
-        let parsed = path.parse(trPath);
-        trPath = trPath.substring(parsed.root.length);
+        suiteRows = suiteRows.filter(([other]) => other == suite);
     }
-    trPath = path.dirname(trPath);
 
-    if (trPath == '.') return "";
+    return suiteRows;
+}
 
-    let hierarchy = trPath.split(path.sep);
-    hierarchy = hierarchy.join(' > ');
+// Saves rows from a TestRail CSV file to a test directory (see
+// saveToTestDir()), suite by suite (see importSuitesFor()).  With
+// options.suite only that suite is imported.
+// Promises the plan of what was (or would be) written in all suites.
+function saveSuitesToTestDir(testRows, testDir, options, settings) {
 
-    return hierarchy;
+    settings = settings || moduleSettings;
+
+    options = Object.assign({
+        dryRun: false,
+        onConflict: 'stop',
+        suite: null
+    }, options);
+
+    let suiteRows;
+    try {
+        suiteRows = importSuitesFor(testRows, testDir, options.suite, settings);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    let saveSuite = ([suite, rows], suiteOptions) => saveToTestDir(rows, suite.dir, suiteOptions, settings)
+        .then((plan) => {
+            if (suite.dir != testDir && !suiteOptions.dryRun)
+                fs.writeFileSync(path.join(suite.dir, settings.flags.suiteMetaFile), withLineEndings(suiteMetaContent(suite), settings));
+            return plan;
+        });
+
+    let saveSuites = suiteOptions => suiteRows.reduce((saved, rows) => saved
+        .then(plans => saveSuite(rows, suiteOptions).then(plan => plans.concat(plan))), Promise.resolve([]));
+
+    if (options.dryRun || options.onConflict != 'stop') return saveSuites(options);
+
+    // Don't import some suites and then stop at local changes to another
+    return saveSuites(Object.assign({}, options, {
+            dryRun: true
+        }))
+        .then((plan) => {
+
+            let conflicts = plan.filter(entry => entry.action == 'would-overwrite-local-changes');
+            if (conflicts.length) throw importConflictsError(conflicts, testDir);
+
+            return saveSuites(options);
+        });
+}
+
+// Names the CSV file of a suite after the CSV file of a whole test
+// directory, e.g. 'for-testrails.csv' -> 'for-testrails.Android_app.csv'
+function suiteCsvFile(outputFile, suite) {
+    let parsed = path.parse(outputFile);
+    return path.join(parsed.dir, parsed.name + '.' + path.basename(suite.dir) + (parsed.ext || '.csv'));
+}
+
+//
+// TestRail-specific fields
+//
+
+// Registry of the TestRail fields we know about, in CSV column order.
+// Each field has:
+//   column - the TestRail CSV column name
+//   label - the 'Label: value' name in test files (default: column)
+//   type - text (default), date, dropdown, multi-select, checkbox or integer
+//   roundTrip - whether imports write the field to test files, so it can be
+//     re-exported to TestRail
+//   systemName - TestRail system name (without 'cases:') the column is
+//     imported as, columns without one aren't imported
+//   options - dropdown/multi-select value -> TestRail ID mapping
+//   optional - only exported as a CSV column when some test file has it
+// NOTE that we don't save 'Updated' information - this
+// is better pulled from git.
+let builtInTrFields = [{
+    column: 'ID',
+    roundTrip: true
+}, {
+    column: 'Title',
+    systemName: 'title'
+}, {
+    column: 'Created By',
+    roundTrip: true
+}, {
+    column: 'Created On',
+    type: 'date',
+    roundTrip: true
+}, {
+    column: 'Expected Result',
+    systemName: 'custom_expected'
+}, {
+    column: 'Milestone',
+    roundTrip: true
+}, {
+    column: 'Parameter Set',
+    optional: true
+}, {
+    column: 'Priority',
+    type: 'dropdown',
+    roundTrip: true,
+    systemName: 'priority_id'
+}, {
+    column: 'References',
+    roundTrip: true,
+    systemName: 'refs'
+}, {
+    column: 'Section',
+    systemName: 'section_id'
+}, {
+    column: 'Section Depth',
+    type: 'integer'
+}, {
+    column: 'Section Description'
+}, {
+    column: 'Section Hierarchy'
+}, {
+    column: 'Steps',
+    systemName: 'custom_steps'
+}, {
+    column: 'Suite',
+    roundTrip: true
+}, {
+    column: 'Suite ID',
+    roundTrip: true
+}, {
+    column: 'Type',
+    type: 'dropdown',
+    roundTrip: true,
+    systemName: 'type_id'
+}, {
+    column: 'Updated By'
+}, {
+    column: 'Updated On',
+    type: 'date'
+}];
+
+let trFieldTypes = ['text', 'date', 'dropdown', 'multi-select', 'checkbox', 'integer'];
+
+let trDate = function(date, format) {
+    var parsed = moment(date);
+    if (!parsed.isValid()) {
+        // Already-parsed round-trip date
+        parsed = moment(date, "M/D/YYYY h:mm A");
+    }
+    return parsed.format(format || "M/D/YYYY h:mm A");
+};
+
+// Some field types need magic special handling on export
+let trTypeFormatters = {
+    'date': (date, importConfig) => {
+        return trDate(date, csvDateFormat(importConfig));
+    },
+    'integer': (value) => {
+        let number = parseInt(value, 10);
+        return isNaN(number) ? "" + value : "" + number;
+    },
+    'checkbox': (value) => {
+        return ("" + value).trim().match(/^(yes|true|1|x|checked)$/i) ? "Yes" : "No";
+    },
+    'multi-select': (value) => {
+        return ("" + value).split(/\s*[,;]\s*/).filter(option => option).join(", ");
+    },
+};
+
+// The "Test Case (Steps)" template replaces the 'Steps' and 'Expected Result'
+// blobs with a list of separated steps, exported by TestRail as one CSV row
+// per step (the case fields are only set on the first row of each case).
+let trSeparatedStepFields = [
+    'Steps (Step)',
+    'Steps (Expected Result)',
+];
+
+// Sets up the field registry from the built-in fields and any custom fields
+// (from the project config).  Custom fields with the column of a built-in
+// field change that field, others are added as new CSV columns.
+function useTrFields(customFields, settings) {
+
+    settings = settings || moduleSettings;
+
+    let registry = builtInTrFields.map(field => Object.assign({}, field));
+
+    (customFields || []).forEach((customField) => {
+
+        if (!customField.column)
+            throw new Error("Custom fields need a 'column': " + JSON.stringify(customField));
+
+        let type = customField.type || 'text';
+        if (trFieldTypes.indexOf(type) < 0)
+            throw new Error("Unknown type '" + type + "' for field '" + customField.column + "'");
+
+        let field = registry.find(field => field.column == customField.column);
+        if (field) {
+            Object.assign(field, customField);
+        } else {
+            registry.push(Object.assign({
+                roundTrip: true
+            }, customField));
+        }
+    });
+
+    registry.forEach((field) => {
+        field.label = field.label || field.column;
+        field.type = field.type || 'text';
+    });
+
+    let trFields = registry.map(field => field.column);
+
+    let trSpecial = {};
+    registry.forEach((field) => {
+        if (field.type in trTypeFormatters) trSpecial[field.column] = trTypeFormatters[field.type];
+    });
+
+    settings.fields = {
+        registry: registry,
+        fields: trFields,
+        regexes: registry.map(field => new RegExp('^\\s?' +
+            field.label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\s?:\\s?(.*)$', 'i')),
+        special: trSpecial,
+
+        // Fields that we add from imported TestRail CSV rows to
+        // imported .test.txt files - these fields can then be
+        // re-exported to TestRail.
+        persisted: registry.filter(field => field.roundTrip).map(field => field.column),
+
+        separated: trFields
+            .filter(trField => trField != 'Steps' && trField != 'Expected Result')
+            .concat(trFields.indexOf('Preconditions') < 0 ? ['Preconditions'] : [], trSeparatedStepFields)
+    };
+}
+
+// Field lookups derived from the registry of some settings:
+//   { registry, fields, regexes, special, persisted, separated }
+function trFieldState(settings) {
+    return (settings || moduleSettings).fields;
+}
+
+// Returns the registry entry for a CSV column, if any
+function trFieldFor(column, settings) {
+    return trFieldState(settings).registry.find(field => field.column == column);
+}
+
+useTrFields();
+
+// Numbered steps in test files, i.e. "Step 1: ..." and "Expected 1: ..."
+let separatedStepRegex = /^\s?Step\s*(\d+)\s?:\s?(.*)$/i;
+let separatedExpectedRegex = /^\s?Expected\s*(\d+)\s?:\s?(.*)$/i;
+
+// Returns the CSV columns written by saveToTrCsv() for some read test files,
+// with the optional fields only if one of the files has them
+function trCsvColumns(readTestFiles, settings) {
+
+    settings = settings || moduleSettings;
+
+    let trFields = trFieldState(settings).fields;
+    let trRegexes = trFieldState(settings).regexes;
+    let columns = settings.flags.separatedSteps ? trFieldState(settings).separated : trFields;
+
+    return columns.filter((column) => {
+
+        let field = trFieldFor(column, settings);
+        if (!field || !field.optional) return true;
+
+        let regex = trRegexes[trFields.indexOf(column)];
+        return (readTestFiles || []).some(([testFile, content]) => content.split('\n').some(line => line.match(regex)));
+    });
+}
+
+//
+// TestRail CSV import config (.cfg) generation
+//
+
+// Settings for the generated import config, overridable in the
+// 'importConfig' section of the project config file
+let defaultImportConfig = {
+    // Defaults to TestRail's built-in "Test Case (Text)"/"(Steps)" templates
+    templateId: null,
+    // TestRail date format, dates are written to the CSV to match
+    dateFormat: "M/d/yyyy",
+    // CSV encoding, see lib/encoding.js
+    encoding: "UTF-8",
+    // CSV value -> TestRail ID mappings, e.g. { "High": 3 }
+    priorities: null,
+    types: null,
+    // Column -> TestRail system name (without 'cases:') overrides, e.g.
+    // { "Created By": "custom_git_created_by" }
+    fields: {}
+};
+
+// TestRail system names of the separated steps columns - other columns use
+// the system names of the field registry
+let trSystemNames = {
+    'Preconditions': 'custom_preconds',
+    'Steps (Step)': 'custom_steps_separated.content',
+    'Steps (Expected Result)': 'custom_steps_separated.expected',
+};
+
+// Default TestRail template IDs
+let trTemplateIds = {
+    text: 1,
+    steps: 2
+};
+
+// Returns the moment.js format to write CSV dates with, matching the
+// TestRail date format of the import config
+function csvDateFormat(importConfig) {
+
+    let dateFormat = (importConfig && importConfig.dateFormat) || defaultImportConfig.dateFormat;
+    return dateFormat.replace(/y/g, 'Y').replace(/d/g, 'D') + " h:mm A";
+}
+
+// Returns a TestRail CSV import config object matching some CSV columns
+function trImportConfigFor(columns, importConfig) {
+
+    importConfig = Object.assign({}, defaultImportConfig, importConfig);
+
+    // TestRail skips byte order marks, there's no separate encoding for them
+    let encoding = encodingName(importConfig.encoding);
+    if (encoding == 'UTF-8-BOM') encoding = 'UTF-8';
+
+    let separated = columns.indexOf(trSeparatedStepFields[0]) >= 0;
+    let templateId = importConfig.templateId != null ? importConfig.templateId :
+        (separated ? trTemplateIds.steps : trTemplateIds.text);
+
+    let config = {
+        "import": {
+            "format": "csv",
+            "version": 1
+        },
+        "file": {
+            "encoding": encoding,
+            "delimiter": ",",
+            "start_row": 1,
+            "has_header": true,
+            "skip_empty": true
+        },
+        "layout": {
+            // Multi-row cases start when the title column is set
+            "format": separated ? "multi" : "single",
+            "break": separated ? columns.indexOf('Title') : null,
+            "template": templateId
+        },
+        "columns": [],
+        "values": {}
+    };
+
+    for (let i = 0; i < columns.length; ++i) {
+
+        let column = columns[i];
+        let field = trFieldFor(column) || {
+            type: 'text'
+        };
+        let systemName = importConfig.fields[column] || field.systemName || trSystemNames[column];
+
+        if (!systemName) {
+            config.columns.push("");
+            continue;
+        }
+
+        config.columns.push("cases:" + systemName);
+
+        if (column == 'Section') continue;
+
+        if (column == 'Priority' || column == 'Type') {
+            config.values["" + i] = {
+                mapping: Object.assign({}, field.options,
+                    column == 'Priority' ? importConfig.priorities : importConfig.types)
+            };
+        } else if (field.type == 'dropdown' || field.type == 'multi-select') {
+            config.values["" + i] = {
+                mapping: Object.assign({}, field.options)
+            };
+        } else if (field.type == 'date') {
+            config.values["" + i] = {
+                date_format: importConfig.dateFormat
+            };
+        } else if (field.type == 'text') {
+            config.values["" + i] = {
+                remove_html: false
+            };
+        }
+    }
+
+    return config;
+}
+
+// Writes a TestRail CSV import config file for some CSV columns
+// Promises to return when done.
+function saveTrImportConfig(columns, configFile, importConfig) {
+
+    return new Promise((resolve, reject) => {
+
+        fs.writeFile(configFile, JSON.stringify(trImportConfigFor(columns, importConfig)), (err) => {
+            if (err) reject(err);
+            resolve();
+        });
+    });
+}
+
+// Returns the import config file written alongside some CSV file
+function trImportConfigFile(outputFile) {
+    return path.join(path.dirname(outputFile),
+        path.basename(outputFile, path.extname(outputFile)) + ".cfg");
+}
+
+// Saves a bunch of test files to a CSV formatted for TestRail
+// The import config settings (see defaultImportConfig) determine the date
+// format and encoding written.  Characters the encoding can't represent are
+// written as '?'.
+// Promises the characters that couldn't be written, as { testFile, column,
+// chars } (see unrepresentableChars()).
+function saveToTrCsv(readTestFiles, outputFile, addGitFooter, importConfig, settings) {
+
+    settings = settings || moduleSettings;
+
+    let encoding = (importConfig && importConfig.encoding) || defaultImportConfig.encoding;
+    try {
+        encoding = encodingName(encoding);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    // TestRail imports sections and cases in CSV order
+    readTestFiles.sort(compareTestFiles);
+
+    let columns = trCsvColumns(readTestFiles, settings);
+    let csvRows = [columns];
+    let trSpecial = trFieldState(settings).special;
+    let unrepresentable = [];
+
+    for (let i = 0; i < readTestFiles.length; ++i) {
+
+        let readTestFile = readTestFiles[i];
+        let trRow = exportRowFor(readTestFile, addGitFooter, settings);
+        if (!trRow) continue;
+
+        // Convert the row objects into CSV row arrays
+        let csvRow = [];
+        for (let j = 0; j < columns.length; ++j) {
+
+            let trField = columns[j];
+            let value = null;
+
+            if (trField in trRow) {
+                value = trRow[trField];
+                // Some fields need magic special handling (dates, numbers)
+                if (trField in trSpecial) {
+                    value = trSpecial[trField](value, importConfig);
+                }
+            }
+
+            let chars = typeof value == 'string' ? unrepresentableChars(value, encoding) : [];
+            if (chars.length) unrepresentable.push({
+                testFile: readTestFile[0],
+                column: trField,
+                chars: chars
+            });
+
+            csvRow.push(value);
+        }
+
+        if (!settings.flags.separatedSteps) {
+            csvRows.push(csvRow);
+            continue;
+        }
+
+        // Separated steps take one row per step, tests without numbered
+        // steps are exported as a single step
+        let steps = trRow['Separated Steps'] || [{
+            step: trRow['Steps'],
+            expected: trRow['Expected Result']
+        }];
+
+        let stepColumn = columns.indexOf('Steps (Step)');
+        let expectedColumn = columns.indexOf('Steps (Expected Result)');
+
+        for (let j = 0; j < steps.length; ++j) {
+
+            let stepRow = j == 0 ? csvRow : columns.map(() => null);
+            stepRow[stepColumn] = steps[j].step;
+            stepRow[expectedColumn] = steps[j].expected;
+            csvRows.push(stepRow);
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+
+        if (settings.flags.verbose) console.log("Saving to", outputFile, '...');
+
+        csv.stringify(csvRows, {
+            quoted: true
+        }, (err, csvStr) => {
+            if (err) reject(err);
+
+            fs.writeFile(outputFile, encodeText(csvStr, encoding), (err) => {
+                if (err) reject(err);
+                resolve(unrepresentable);
+            });
+        });
+    });
+}
+
+// Writes rows (arrays of values) to a CSV file, quoting every value
+// Promises to return when done.
+function writeCsv(rows, file) {
+
+    return new Promise((resolve, reject) => {
+
+        csv.stringify(rows, {
+            quoted: true
+        }, (err, csvStr) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            fs.writeFile(file, csvStr, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    });
+}
+
+// Reads a CSV file containing tests (usually in TestRail format), in an
+// encoding or the one detected (see lib/encoding.js)
+// Promises the row (objects) in the file
+function readTestCsv(inputFile, encoding) {
+
+    return new Promise((resolve, reject) => {
+
+        fs.readFile(inputFile, (err, data) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            try {
+                data = decodeText(data, encoding);
+            } catch (err) {
+                reject(err);
+                return;
+            }
+
+            csv.parse(data, {
+                columns: true
+            }, (err, rows) => {
+                if (err) reject(err);
+
+                resolve(foldSeparatedSteps(rows));
+            });
+        });
+    });
+}
+
+// Folds the multi-row layout of separated steps exports into one row per
+// case, with the steps in 'Separated Steps' - other rows are left as-is.
+function foldSeparatedSteps(rows) {
+
+    if (!rows.length || !(trSeparatedStepFields[0] in rows[0])) return rows;
+
+    let cases = [];
+    for (let i = 0; i < rows.length; ++i) {
+
+        let row = rows[i];
+        let step = {
+            step: row['Steps (Step)'] || "",
+            expected: row['Steps (Expected Result)'] || ""
+        };
+
+        // Continuation rows only have the step columns set
+        if (cases.length && !row['Title'] && !row['ID']) {
+            cases[cases.length - 1]['Separated Steps'].push(step);
+            continue;
+        }
+
+        row['Separated Steps'] = (step.step || step.expected) ? [step] : [];
+        cases.push(row);
+    }
+
+    return cases;
+}
+
+//
+// TestRail XML files
+//
+// TestRail's XML format nests sections, with their descriptions, and keeps
+// separated steps in their case instead of in rows of their own:
+// <suite>
+//   <id>S3</id>
+//   <name>SUITE NAME</name>
+//   <sections>
+//     <section>
+//       <name>SECTION NAME</name>
+//       <description>SECTION DESCRIPTION</description>
+//       <cases>
+//         <case>
+//           <id>C1</id>
+//           <title>TITLE</title>
+//           <template>Test Case (Text)</template>
+//           <custom>
+//             <steps>STEPS</steps>
+//             <expected>EXPECTED RESULT</expected>
+//           </custom>
+//         </case>
+//       </cases>
+//       <sections>SUB-SECTIONS</sections>
+//     </section>
+//   </sections>
+// </suite>
+//
+// Cases are converted to and from the same row objects as CSV rows, so the
+// rest of the import and export doesn't care about the format.
+//
+
+let trFileFormats = ['csv', 'xml'];
+
+// Columns kept in elements of their own in XML cases, other columns with a
+// 'custom_' system name go in the <custom> element
+let trXmlCaseFields = {
+    'ID': 'id',
+    'Title': 'title',
+    'Type': 'type',
+    'Priority': 'priority',
+    'Milestone': 'milestone',
+    'References': 'references'
+};
+
+let trXmlTemplates = {
+    text: 'Test Case (Text)',
+    steps: 'Test Case (Steps)'
+};
+
+// Picks the format of a TestRail file, by its extension unless given
+function trFileFormat(file, format) {
+
+    if (format) {
+        if (trFileFormats.indexOf(format) < 0) throw new Error("Unknown format '" + format + "'");
+        return format;
+    }
+
+    return path.extname(file).toLowerCase() == '.xml' ? 'xml' : 'csv';
+}
+
+// The <custom> element name of a column, if it has one
+function trXmlCustomName(column, importConfig, settings) {
+
+    let fields = (importConfig && importConfig.fields) || {};
+    let field = trFieldFor(column, settings);
+    let systemName = fields[column] || (field && field.systemName);
+
+    if (!systemName && column == 'Preconditions') systemName = 'custom_preconds';
+    return systemName && systemName.startsWith('custom_') ? systemName.substring('custom_'.length) : null;
+}
+
+// Creates the XML <case> element for an exported row object
+function trXmlCaseFor(row, importConfig, settings) {
+
+    settings = settings || moduleSettings;
+
+    let children = [];
+    let custom = [];
+
+    // Separated steps exports get numbered steps instead (see saveToTrCsv())
+    let steps = row['Separated Steps'];
+    if (!steps && settings.flags.separatedSteps) steps = [{
+        step: row['Steps'],
+        expected: row['Expected Result']
+    }];
+
+    for (let column in trXmlCaseFields) {
+
+        if (row[column] != null && row[column] !== "") children.push(xmlElement(trXmlCaseFields[column], row[column]));
+        if (column == 'Title') children.push(xmlElement('template', steps ? trXmlTemplates.steps : trXmlTemplates.text));
+    }
+
+    if (steps) {
+
+        if (row['Preconditions']) custom.push(xmlElement(trXmlCustomName('Preconditions', importConfig, settings), row['Preconditions']));
+        custom.push(xmlElement('steps_separated', steps.map((step, i) => xmlElement('step', [
+            xmlElement('index', i + 1),
+            xmlElement('content', step.step),
+            xmlElement('expected', step.expected)
+        ]))));
+    } else {
+
+        custom.push(xmlElement(trXmlCustomName('Steps', importConfig, settings), row['Steps']));
+        custom.push(xmlElement(trXmlCustomName('Expected Result', importConfig, settings), row['Expected Result']));
+    }
+
+    let trSpecial = trFieldState(settings).special;
+    trFieldState(settings).fields.forEach((column) => {
+
+        if (column == 'Steps' || column == 'Expected Result' || column == 'Preconditions') return;
+        if (column in trXmlCaseFields || row[column] == null || row[column] === "") return;
+
+        let name = trXmlCustomName(column, importConfig, settings);
+        if (!name) return;
+
+        let value = row[column];
+        if (column in trSpecial) value = trSpecial[column](value, importConfig);
+
+        // Dropdowns are written with their ID, if known
+        let field = trFieldFor(column, settings);
+        let id = field.options ? trValueId(value, field.options) : undefined;
+        custom.push(id != null ? xmlElement(name, [xmlElement('id', id), xmlElement('value', value)]) : xmlElement(name, value));
+    });
+
+    children.push(xmlElement('custom', custom));
+    return xmlElement('case', children);
+}
+
+// Creates the XML <suite> element for exported row objects, in the order
+// they should be imported
+function trXmlFor(rows, importConfig, settings) {
+
+    let root = {
+        children: {},
+        element: xmlElement('suite', [])
+    };
+    let suiteSections = xmlElement('sections', []);
+
+    // Finds or creates (parents first) the section element for some hierarchy
+    let sectionFor = (names) => {
+
+        let parent = names.length > 1 ? sectionFor(names.slice(0, -1)) : root;
+        let name = names[names.length - 1];
+        if (name in parent.children) return parent.children[name];
+
+        let section = {
+            children: {},
+            description: xmlElement('description', ""),
+            cases: xmlElement('cases', []),
+            sections: xmlElement('sections', [])
+        };
+        section.element = xmlElement('section', [xmlElement('name', name), section.description, section.cases, section.sections]);
+
+        (parent == root ? suiteSections : parent.sections).children.push(section.element);
+        parent.children[name] = section;
+        return section;
+    };
+
+    rows.forEach((row) => {
+
+        let hierarchy = row['Section Hierarchy'] || row['Section'];
+        if (!hierarchy) throw new Error("Case '" + row['Title'] + "' isn't in a section, XML cases need one");
+
+        let section = sectionFor(hierarchy.split(' > '));
+        if (row['Section Description']) section.description.text = row['Section Description'];
+        section.cases.children.push(trXmlCaseFor(row, importConfig, settings));
+    });
+
+    let first = rows.find(row => row['Suite ID'] || row['Suite']);
+    if (first && trSuiteId(first['Suite ID']) != null) root.element.children.push(xmlElement('id', "S" + trSuiteId(first['Suite ID'])));
+    if (first && first['Suite']) root.element.children.push(xmlElement('name', first['Suite']));
+    root.element.children.push(suiteSections);
+
+    return root.element;
+}
+
+// Saves a test directory, as read by readTestDir(), as a TestRail XML file
+// (see saveToTrCsv())
+function saveToTrXml(readTestFiles, outputFile, addGitFooter, importConfig, settings) {
+
+    settings = settings || moduleSettings;
+
+    // TestRail imports sections and cases in file order
+    readTestFiles.sort(compareTestFiles);
+
+    let xml;
+    try {
+        xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            stringifyXml(trXmlFor(readTestFiles.map(readTestFile => exportRowFor(readTestFile, addGitFooter, settings))
+                .filter(row => row), importConfig, settings));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return new Promise((resolve, reject) => {
+
+        if (settings.flags.verbose) console.log("Saving to", outputFile, '...');
+
+        fs.writeFile(outputFile, xml, (err) => {
+            if (err) reject(err);
+            resolve();
+        });
+    });
+}
+
+// Creates the row object for an XML <case> element (see testFor())
+function trRowForXmlCase(caseElement, sectionNames, sectionDescription, suite, settings) {
+
+    let row = {
+        'Title': xmlChildText(caseElement, 'title') || "",
+        'Section': sectionNames[sectionNames.length - 1],
+        'Section Hierarchy': sectionNames.join(' > '),
+        'Section Description': sectionDescription
+    };
+
+    for (let column in trXmlCaseFields) {
+        let value = xmlChildText(caseElement, trXmlCaseFields[column]);
+        if (value != null && value !== "" && column != 'Title') row[column] = value;
+    }
+
+    if (suite.id != null) row['Suite ID'] = "S" + suite.id;
+    if (suite.name) row['Suite'] = suite.name;
+
+    let custom = xmlChild(caseElement, 'custom');
+
+    trFieldState(settings).fields.concat(['Preconditions']).forEach((column) => {
+
+        let name = trXmlCustomName(column, null, settings);
+        let element = name ? xmlChild(custom, name) : null;
+        if (!element) return;
+
+        // Dropdowns have their ID and value
+        let value = element.children.length ? xmlChildText(element, 'value') : element.text;
+        if (value == null && xmlChildText(element, 'id') != null)
+            value = trValueName(xmlChildText(element, 'id'), (trFieldFor(column, settings) || {}).options);
+
+        if (value != null) row[column] = value;
+    });
+
+    let steps = xmlChild(custom, 'steps_separated');
+    if (steps) {
+        row['Separated Steps'] = xmlChildren(steps, 'step').map(step => ({
+            step: xmlChildText(step, 'content') || "",
+            expected: xmlChildText(step, 'expected') || ""
+        }));
+    }
+
+    return row;
+}
+
+// Reads a TestRail XML file
+// Promises the row objects of its cases in display order, like
+// readTestCsv()
+function readTestXml(inputFile, settings) {
+
+    return new Promise((resolve, reject) => {
+
+        fs.readFile(inputFile, 'utf8', (err, content) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            let rows = [];
+
+            // Cases come before the sub-sections next to them
+            let readSections = (sectionsElement, parentNames, suite) => {
+                xmlChildren(sectionsElement, 'section').forEach((section) => {
+
+                    let names = parentNames.concat([xmlChildText(section, 'name') || ""]);
+                    let description = xmlChildText(section, 'description') || "";
+
+                    xmlChildren(xmlChild(section, 'cases'), 'case').forEach((caseElement) => {
+                        rows.push(trRowForXmlCase(caseElement, names, description, suite, settings));
+                    });
+
+                    readSections(xmlChild(section, 'sections'), names, suite);
+                });
+            };
+
+            try {
+
+                let root = parseXml(content);
+                if (root.name == 'sections') {
+                    readSections(root, [], {});
+                } else {
+                    readSections(xmlChild(root, 'sections'), [], {
+                        id: trSuiteId(xmlChildText(root, 'id')),
+                        name: xmlChildText(root, 'name')
+                    });
+                }
+            } catch (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(rows);
+        });
+    });
+}
+
+// Works out the test files and section metadata files to write for rows
+// from a TestRail CSV file, in the order the directories should be created.
+// Rows are assumed to be in TestRail display order, which is recorded in the
+// section metadata files.  Cases already in the ID manifest (see
+// readIdManifest()) whose title or section changed are moved from the file
+// they were imported to.  The cases of sections with a feature file are
+// written to it instead (see featureFileFor()).
+// Returns a list of [sectionDir, [[file, content, movedFrom, caseId], ...]]
+function testDirWritesFor(testRows, testDir, manifest, settings) {
+
+    settings = settings || moduleSettings;
+
+    manifest = manifest || {
+        cases: {}
+    };
+
+    let sectionDirs = {};
+    let sectionMetas = {};
+    let sectionRows = {};
+
+    // Section metadata for a directory and its parents (up to the test dir)
+    let metaFor = (sectionDir) => {
+
+        if (sectionDir in sectionMetas) return sectionMetas[sectionDir];
+
+        let meta = {
+            description: null,
+            sectionOrder: [],
+            caseOrder: []
+        };
+        sectionMetas[sectionDir] = meta;
+        if (!(sectionDir in sectionDirs)) sectionDirs[sectionDir] = [];
+
+        let relDir = path.relative(testDir, sectionDir);
+        if (relDir && !relDir.startsWith('..')) {
+            let parentMeta = metaFor(path.dirname(sectionDir));
+            if (parentMeta.sectionOrder.indexOf(path.basename(sectionDir)) < 0)
+                parentMeta.sectionOrder.push(path.basename(sectionDir));
+        }
+
+        return meta;
+    };
+
+    metaFor(testDir);
+
+    let testFiles = manifestTestFiles(testRows, testDir, manifest, settings);
+
+    // Figure out all the directories we need to create first
+    for (let i = 0; i < testRows.length; ++i) {
+
+        let [testFile, testContent, caseId] = testFiles[i];
+        let recorded = caseId != null ? manifest.cases['C' + caseId] : null;
+        recorded = recorded ? path.join(testDir, recorded) : null;
+
+        let sectionDir = path.dirname(testFile);
+        let meta = metaFor(sectionDir);
+
+        // Each directory gets a metadata file, so that Section Descriptions
+        // can be exported back to TestRail
+        if (meta.description == null)
+            meta.description = testRows[i]['Section Description'] || "";
+
+        if (settings.flags.maxFilenameLength != null)
+            testFile = shortTestFilename(testFile, recorded, settings);
+
+        let title = path.basename(testFile);
+        meta.caseOrder.push(title.substring(0, title.length - settings.flags.testFileSuffix.length));
+
+        testContent = importContentFor(testRows[i], testFile, testDir, testContent, settings);
+
+        // Keep the includes of the local test, if it's staying in its directory
+        let localFile = [recorded, testFile].find(file => file && fs.existsSync(file));
+        if (localFile && path.dirname(localFile) == path.dirname(testFile))
+            testContent = collapseIncludes(testContent, fs.readFileSync(localFile, 'utf8'), path.relative(testDir, localFile), testDir, settings);
+
+        // Title or section changed since the case was imported
+        let movedFrom = recorded && recorded != testFile && fs.existsSync(recorded) ? recorded : null;
+
+        // Sort test file content to the appropriate directory
+        sectionDirs[sectionDir].push([testFile, testContent, movedFrom, caseId]);
+        (sectionRows[sectionDir] = sectionRows[sectionDir] || []).push([testRows[i],
+            [recorded, testFile]
+        ]);
+    };
+
+    // Sections with a feature file get that instead of test files
+    let featureSections = {};
+    for (let sectionDir in sectionRows) {
+
+        let rows = sectionRows[sectionDir];
+        let featureFile = featureFileFor(sectionDir, testDir, [].concat(...rows.map(([row, files]) => files.filter(file => file))), settings);
+        if (!featureFile) continue;
+
+        let localContent = fs.existsSync(featureFile) ? fs.readFileSync(featureFile, 'utf8') : null;
+        let content = featureFor(rows.map(([row]) => importRowFor(row, featureFile, testDir, settings)), localContent, settings);
+
+        sectionDirs[path.dirname(sectionDir)].push([featureFile, withLineEndings(content, settings)]);
+        sectionDirs[sectionDir] = [];
+        featureSections[sectionDir] = true;
+    }
+
+    // Keep what we don't know about from any existing metadata files
+    for (let sectionDir in sectionMetas) {
+
+        let meta = sectionMetas[sectionDir];
+        let existingMeta = readSectionMeta(sectionDir, settings);
+
+        if (meta.description == null) meta.description = existingMeta.description;
+        meta.sectionOrder = mergeOrder(meta.sectionOrder, existingMeta.sectionOrder);
+        meta.caseOrder = mergeOrder(meta.caseOrder, existingMeta.caseOrder);
+
+        // Feature sections only need a directory for their sub-sections
+        if (featureSections[sectionDir]) {
+            meta.caseOrder = [];
+            if (!meta.sectionOrder.length) {
+                delete sectionDirs[sectionDir];
+                continue;
+            }
+        }
+
+        sectionDirs[sectionDir].unshift([path.join(sectionDir, settings.flags.sectionMetaFile), withLineEndings(sectionMetaContent(meta), settings)]);
+    }
+
+    // Sort the directories in the order we want to create them
+    let sortedDirs = [];
+
+    for (let sectionDir in sectionDirs) {
+        sortedDirs.push([sectionDir, sectionDirs[sectionDir]]);
+    }
+
+    sortedDirs.sort((a, b) => {
+        return a[0] < b[0] ? -1 : 1;
+    });
+
+    return sortedDirs;
+}
+
+// Truncates test filenames longer than flags.maxFilenameLength, adding a
+// numeric suffix to keep them unique.  A file the test was truncated to
+// before (keepFile) is reused.
+function shortTestFilename(testFile, keepFile, settings) {
+
+    settings = settings || moduleSettings;
+
+    let filenameLength = path.resolve(testFile).length;
+    if (filenameLength <= settings.flags.maxFilenameLength) return testFile;
+
+    if (keepFile && path.dirname(keepFile) == path.dirname(testFile) &&
+        path.resolve(keepFile).length <= settings.flags.maxFilenameLength) {
+
+        let keepBasename = path.basename(keepFile, path.extname(keepFile)).replace(/\d+$/, '');
+        if (path.basename(testFile).startsWith(keepBasename)) return keepFile;
+    }
+
+    let testFileDir = path.dirname(testFile);
+    let testFileExt = path.extname(testFile);
+    let testFileBasename = path.basename(testFile, testFileExt);
+    let testFileSuffix = 0;
+    let numFilenameChars = settings.flags.maxFilenameLength -
+        (path.resolve(testFileDir).length + 1 + ("" + testFileSuffix).length + testFileExt.length);
+
+    while (true) {
+
+        if (numFilenameChars <= 0)
+            throw new Error("Filename " + path.resolve(testFile) + " too long.");
+
+        let shortFile = path.join(testFileDir,
+            testFileBasename.substring(0, numFilenameChars) + testFileSuffix + testFileExt);
+        if (!fs.existsSync(shortFile)) {
+
+            if (settings.flags.verbose) console.log("\nFilename", shortFile, "truncated.");
+
+            // Sanity check, should always succeed
+            if (path.resolve(shortFile).length > settings.flags.maxFilenameLength)
+                throw new Error("Bad filename created: " + path.resolve(shortFile));
+
+            return shortFile;
+        }
+
+        let nextSuffix = testFileSuffix + 1;
+        numFilenameChars = numFilenameChars -
+            (("" + nextSuffix).length - ("" + testFileSuffix).length);
+
+        testFileSuffix = nextSuffix;
+    }
+}
+
+//
+// Import state - what was last imported to each file, so that local
+// changes aren't silently overwritten by the next import
+//
+
+function contentHash(content) {
+    return crypto.createHash('sha1').update(content.replace(/\r/g, ''), 'utf8').digest('hex');
+}
+
+// State file paths are always '/' separated so the file can be shared
+function importStateKey(testFile, testDir) {
+    return path.relative(testDir, testFile).split(path.sep).join('/');
+}
+
+function readImportState(testDir, settings) {
+
+    settings = settings || moduleSettings;
+
+    let stateFile = path.join(testDir, settings.flags.importStateFile);
+    if (!fs.existsSync(stateFile)) return {
+        files: {}
+    };
+
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+}
+
+function saveImportState(testDir, state, settings) {
+    settings = settings || moduleSettings;
+    fs.writeFileSync(path.join(testDir, settings.flags.importStateFile), JSON.stringify(state, null, 2) + '\n');
+}
+
+// Records a file as imported with some content.  The content is kept as the
+// base for merging local changes with the next import.
+function recordImportedFile(state, testFile, testDir, importedContent) {
+
+    state.files[importStateKey(testFile, testDir)] = {
+        hash: contentHash(importedContent),
+        base: importedContent
+    };
+}
+
+// Absolute paths of files with uncommitted changes in a git working tree,
+// used to spot local changes to files imported before we kept state
+function gitModifiedFiles(testDir) {
+
+    if (!fs.existsSync(testDir) || !isGitRepo(testDir)) return {};
+
+    let gitOptions = {
+        cwd: testDir,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        encoding: 'utf8'
+    };
+
+    let root = childProcess.execSync('git rev-parse --show-toplevel', gitOptions).trim();
+    let status = childProcess.execSync('git status --porcelain -z -- .', gitOptions);
+
+    let modified = {};
+    let entries = status.split('\0');
+    for (let i = 0; i < entries.length; ++i) {
+
+        if (entries[i].length <= 3) continue;
+        modified[path.resolve(root, entries[i].substring(3))] = true;
+
+        // Renames and copies are followed by the original path
+        if (entries[i][0] == 'R' || entries[i][0] == 'C') ++i;
+    }
+
+    return modified;
+}
+
+//
+// ID manifest - the file each TestRail case was imported to, so that cases
+// renamed or moved in TestRail update their file instead of adding another
+//
+
+function readIdManifest(testDir, settings) {
+
+    settings = settings || moduleSettings;
+
+    let manifestFile = path.join(testDir, settings.flags.idManifestFile);
+    if (!fs.existsSync(manifestFile)) return {
+        cases: {}
+    };
+
+    return JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+}
+
+function saveIdManifest(testDir, manifest, settings) {
+
+    settings = settings || moduleSettings;
+
+    // Sorted by ID, to keep diffs of the file small
+    let cases = {};
+    Object.keys(manifest.cases)
+        .sort((a, b) => trCaseId(a) - trCaseId(b))
+        .forEach(key => cases[key] = manifest.cases[key]);
+
+    fs.writeFileSync(path.join(testDir, settings.flags.idManifestFile), JSON.stringify({
+        cases: cases
+    }, null, 2) + '\n');
+}
+
+// Works out the test file for each row from a TestRail CSV file, making
+// titles that safePath() mangles to the same name unique.  A case keeps the
+// name it has in the manifest, otherwise the lowest case ID gets the plain
+// name and others get their ID added (e.g. 'Login__SMS__C124.txt'), so the
+// names don't depend on the order of the rows.
+// Returns a list of [file, content, caseId] in row order
+function manifestTestFiles(testRows, testDir, manifest, settings) {
+
+    settings = settings || moduleSettings;
+
+    let entries = testRows.map((row, i) => {
+
+        let [testFile, content] = testFor(row, settings);
+        let caseId = trCaseId(row['ID']);
+        return {
+            index: i,
+            file: path.join(testDir, testFile),
+            content: content,
+            caseId: caseId,
+            recorded: caseId != null ? manifest.cases['C' + caseId] : null
+        };
+    });
+
+    // Case insensitive, for macOS and Windows
+    let taken = {};
+    let takenKey = testFile => importStateKey(testFile, testDir).toLowerCase();
+
+    // Files of cases not in this import stay where they are
+    let importedIds = {};
+    entries.forEach(entry => importedIds['C' + entry.caseId] = true);
+    for (let key in manifest.cases) {
+        if (!(key in importedIds)) taken[manifest.cases[key].toLowerCase()] = true;
+    }
+
+    let rank = entry => entry.recorded == importStateKey(entry.file, testDir) ? 0 : entry.caseId != null ? 1 : 2;
+    let claimOrder = entries.slice().sort((a, b) => rank(a) - rank(b) ||
+        (a.caseId != null && b.caseId != null ? a.caseId - b.caseId : 0) || a.index - b.index);
+
+    claimOrder.forEach((entry) => {
+
+        let base = entry.file.substring(0, entry.file.length - settings.flags.testFileSuffix.length);
+        let testFile = entry.file;
+
+        if (takenKey(testFile) in taken && entry.caseId != null)
+            testFile = base + '_C' + entry.caseId + settings.flags.testFileSuffix;
+
+        for (let n = 2; takenKey(testFile) in taken; ++n)
+            testFile = base + '_' + n + settings.flags.testFileSuffix;
+
+        taken[takenKey(testFile)] = true;
+        entry.file = testFile;
+    });
+
+    return entries.map(entry => [entry.file, entry.content, entry.caseId]);
+}
+
+// Checks the ID manifest against the test files read from a test directory,
+// e.g. after files were renamed or deleted without an import.
+// Returns a list of warning messages.
+function checkIdManifest(readTestFiles, testDir) {
+
+    let manifest = readIdManifest(testDir);
+    let recordedIds = Object.keys(manifest.cases);
+    if (!recordedIds.length) return [];
+
+    let warnings = [];
+    let found = {};
+
+    readTestFiles.slice().sort(compareTestFiles).forEach((readTestFile) => {
+
+        let caseId = trCaseId(trRowFor(readTestFile)['ID']);
+        if (caseId == null) return;
+
+        let relFile = readTestFile[0].split(path.sep).join('/');
+        let recorded = manifest.cases['C' + caseId];
+        found['C' + caseId] = true;
+
+        if (!recorded) {
+            warnings.push("C" + caseId + " in " + relFile + " is not in " + flags.idManifestFile);
+        } else if (recorded != relFile) {
+            warnings.push("C" + caseId + " is in " + relFile + " but " + flags.idManifestFile +
+                " has " + recorded);
+        }
+    });
+
+    recordedIds.forEach((key) => {
+        if (key in found) return;
+        warnings.push(key + " in " + flags.idManifestFile + " (" + manifest.cases[key] +
+            ") is not in the test directory");
+    });
+
+    return warnings;
+}
+
+// Finds local test files with a TestRail case ID that isn't in rows from a
+// TestRail CSV file, i.e. cases deleted in TestRail since they were imported,
+// leaving out files already planned to be written or moved (see
+// planTestDirWrites()) and any not matching a test filter (see
+// testFilterFor()).  Orphaned tests get an import plan entry with the
+// action to take:
+//   'orphaned' (reported only), 'archive' or 'delete'
+// Promises the list of plan entries
+function findOrphanedTests(testRows, testDir, plan, mode, testFilter, settings) {
+
+    if (!fs.existsSync(testDir)) return Promise.resolve([]);
+
+    let rowIds = {};
+    testRows.forEach((row) => {
+        let caseId = trCaseId(row['ID']);
+        if (caseId != null) rowIds[caseId] = true;
+    });
+
+    let plannedFiles = {};
+    plan.forEach((entry) => {
+        plannedFiles[path.resolve(entry.file)] = true;
+        if (entry.movedFrom) plannedFiles[path.resolve(entry.movedFrom)] = true;
+    });
+
+    let action = mode == 'report' ? 'orphaned' : mode;
+
+    return walkTestDir(testDir, settings).then(testPaths => testPaths.sort().map((testPath) => {
+
+        // Feature files are written with all the cases of their section
+        if (path.resolve(testPath) in plannedFiles || isFeatureFile(testPath, settings)) return null;
+
+        let content = fs.readFileSync(testPath, 'utf8');
+        let row = trRowFor([path.relative(testDir, testPath), content], null, settings);
+        let caseId = trCaseId(row['ID']);
+        if (caseId == null || caseId in rowIds) return null;
+
+        // Tests outside of a filtered import aren't orphans of it
+        if (testFilter && !testFilter(row, path.relative(testDir, testPath), settings)) return null;
+
+        let relFile = importStateKey(testPath, testDir);
+        return {
+            file: testPath,
+            action: action,
+            oldContent: content,
+            newContent: null,
+            diff: action == 'orphaned' ? null : unifiedDiff(content, null, 'a/' + relFile, '/dev/null'),
+            movedFrom: null,
+            caseId: caseId,
+            orphan: true
+        };
+    }).filter(entry => entry));
+}
+
+// Archives or deletes orphaned tests (see findOrphanedTests()), forgetting
+// their import state and ID manifest entries
+function removeOrphanedTests(orphans, testDir, state, manifest, settings) {
+
+    settings = settings || moduleSettings;
+
+    orphans.forEach((entry) => {
+
+        if (entry.action == 'orphaned') return;
+
+        if (entry.action == 'archive') {
+
+            entry.archivedTo = path.join(testDir, settings.flags.archiveDir, path.relative(testDir, entry.file));
+            if (settings.flags.verbose) console.log("Archiving", entry.file, "to", entry.archivedTo);
+
+            fsUtils.mkdirsSync(path.dirname(entry.archivedTo));
+            fs.renameSync(entry.file, entry.archivedTo);
+        } else {
+
+            if (settings.flags.verbose) console.log("Deleting", entry.file);
+            fs.unlinkSync(entry.file);
+        }
+
+        delete state.files[importStateKey(entry.file, testDir)];
+        if (manifest.cases['C' + entry.caseId] == importStateKey(entry.file, testDir))
+            delete manifest.cases['C' + entry.caseId];
+    });
+}
+
+// Removes section directories left without tests or sub-sections (and their
+// Section.meta.txt files), and the names of removed tests and sections from
+// the metadata files of the sections left
+function removeEmptySectionDirs(sectionDirs, testDir, settings) {
+
+    settings = settings || moduleSettings;
+
+    let pruned = {};
+
+    sectionDirs.forEach((sectionDir) => {
+
+        while (fs.existsSync(sectionDir)) {
+
+            let relDir = path.relative(testDir, sectionDir);
+            let names = fs.readdirSync(sectionDir).filter(name => name != settings.flags.sectionMetaFile);
+
+            if (!relDir || relDir.startsWith('..') || names.length) break;
+
+            if (settings.flags.verbose) console.log("Removing empty section", sectionDir);
+
+            if (fs.existsSync(path.join(sectionDir, settings.flags.sectionMetaFile)))
+                fs.unlinkSync(path.join(sectionDir, settings.flags.sectionMetaFile));
+            fs.rmdirSync(sectionDir);
+
+            sectionDir = path.dirname(sectionDir);
+        }
+
+        if (!fs.existsSync(path.join(sectionDir, settings.flags.sectionMetaFile)) || pruned[sectionDir]) return;
+        pruned[sectionDir] = true;
+
+        let meta = readSectionMeta(sectionDir, settings);
+        let content = withLineEndings(sectionMetaContent({
+            description: meta.description,
+            sectionOrder: meta.sectionOrder.filter(name => fs.existsSync(path.join(sectionDir, name)) ||
+                fs.existsSync(path.join(sectionDir, name + settings.flags.featureSuffix))),
+            caseOrder: meta.caseOrder.filter(name => fs.existsSync(path.join(sectionDir, name + settings.flags.testFileSuffix)))
+        }), settings);
+
+        if (content != fs.readFileSync(path.join(sectionDir, settings.flags.sectionMetaFile), 'utf8'))
+            fs.writeFileSync(path.join(sectionDir, settings.flags.sectionMetaFile), content);
+    });
+}
+
+// Formats orphaned tests found on import (see findOrphanedTests()) as
+// human-readable text
+function formatOrphanedTests(orphans, testDir) {
+
+    let done = {
+        orphaned: "(use --orphans archive or delete to remove them)",
+        archive: "archived to " + path.join(testDir, flags.archiveDir),
+        delete: "deleted"
+    };
+
+    let lines = [orphans.length + " test(s) no longer in TestRail " + done[orphans[0].action] + ":"];
+    orphans.forEach((entry) => {
+        lines.push("  " + path.relative(testDir, entry.file) + " (C" + entry.caseId + ")");
+    });
+
+    return lines.join('\n');
+}
+
+// Plans writing files to a test directory (see testDirWritesFor()), without
+// changing anything.  Each file gets an action:
+//   'create', 'update', 'move', 'unchanged' or 'would-overwrite-local-changes'
+// Files moved (with or without changes) keep the path they're moved from.
+// Returns a list of { file, action, oldContent, newContent, diff, movedFrom, caseId }
+function planTestDirWrites(dirWrites, testDir, state) {
+
+    let plan = [];
+    let gitModified = null;
+
+    dirWrites.forEach(([sectionDir, files]) => {
+        files.forEach(([testFile, newContent, movedFrom, caseId]) => {
+
+            let entry = {
+                file: testFile,
+                action: 'create',
+                oldContent: null,
+                newContent: newContent,
+                diff: null,
+                movedFrom: movedFrom || null,
+                caseId: caseId != null ? caseId : null
+            };
+            plan.push(entry);
+
+            let oldFile = movedFrom || testFile;
+            let oldRelFile = importStateKey(oldFile, testDir);
+            let relFile = importStateKey(testFile, testDir);
+
+            if (fs.existsSync(oldFile)) {
+
+                entry.oldContent = fs.readFileSync(oldFile, 'utf8');
+
+                if (contentHash(entry.oldContent) == contentHash(newContent)) {
+                    entry.action = movedFrom ? 'move' : 'unchanged';
+                    return;
+                }
+
+                let imported = state.files[oldRelFile];
+                let modified = false;
+                if (imported) {
+                    modified = contentHash(entry.oldContent) != imported.hash;
+                } else {
+                    if (gitModified == null) gitModified = gitModifiedFiles(testDir);
+                    modified = path.resolve(oldFile) in gitModified;
+                }
+
+                entry.action = modified ? 'would-overwrite-local-changes' : 'update';
+            }
+
+            entry.diff = unifiedDiff(entry.oldContent, newContent,
+                entry.oldContent == null ? '/dev/null' : 'a/' + oldRelFile, 'b/' + relFile);
+        });
+    });
+
+    return plan;
+}
+
+// Formats a plan from planTestDirWrites() as human-readable text
+function formatImportPlan(plan, testDir, withDiffs) {
+
+    let lines = [];
+    plan.forEach((entry) => {
+        lines.push(entry.action + "  " + path.relative(testDir, entry.file) +
+            (entry.movedFrom ? " (from " + path.relative(testDir, entry.movedFrom) + ")" : ""));
+        if (withDiffs && entry.diff) lines.push(entry.diff);
+    });
+
+    let counts = {};
+    plan.forEach(entry => counts[entry.action] = (counts[entry.action] || 0) + 1);
+    lines.push("", Object.keys(counts).map(action => counts[action] + " " + action).join(", "));
+
+    return lines.join('\n');
+}
+
+// The error for an import stopped by files changed locally, see saveToTestDir()
+function importConflictsError(conflicts, testDir) {
+
+    let err = new Error(conflicts.length + " file(s) changed locally since the last import:\n" +
+        conflicts.map(entry => "  " + path.relative(testDir, entry.file)).join('\n'));
+    err.conflicts = conflicts;
+    return err;
+}
+
+// Saves rows from a TestRail CSV file to individual test files in a directory
+// Files changed locally since the last import are handled depending on
+// options.onConflict:
+//   'stop' (default) - nothing is written, rejects with err.conflicts
+//   'merge' - three-way merges local and TestRail changes, with conflict markers
+//   'overwrite' - replaces local changes
+// Local tests whose cases aren't in the rows are handled depending on
+// options.orphans (see findOrphanedTests()):
+//   null (default) - not looked for
+//   'report' - listed in the plan only
+//   'archive' - moved to flags.archiveDir in the test directory
+//   'delete' - deleted
+// Section directories left empty are removed.
+// Cases exported from parameter tables are folded back into them (see
+// foldParameterSets()).
+// With options.filter (see testFilterFor()), only rows matching it are
+// imported.
+// With options.dryRun, nothing is written at all.
+// Promises the plan of what was (or would be) written, see planTestDirWrites().
+function saveToTestDir(testRows, testDir, options, settings) {
+
+    settings = settings || moduleSettings;
+
+    options = Object.assign({
+        dryRun: false,
+        onConflict: 'stop',
+        orphans: null,
+        filter: null
+    }, options);
+
+    let allRows = testRows;
+    let dirWrites, plan, state, manifest;
+    try {
+        testRows = filterTestRows(foldParameterSets(testRows), options.filter, settings);
+        manifest = readIdManifest(testDir, settings);
+        dirWrites = testDirWritesFor(testRows, testDir, manifest, settings);
+        state = readImportState(testDir, settings);
+        plan = planTestDirWrites(dirWrites, testDir, state);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    let orphansFound = options.orphans ?
+        findOrphanedTests(allRows, testDir, plan, options.orphans, options.filter, settings) : Promise.resolve([]);
+
+    if (options.dryRun) return orphansFound.then(orphans => plan.concat(orphans));
+
+    let conflicts = plan.filter(entry => entry.action == 'would-overwrite-local-changes');
+    if (conflicts.length && options.onConflict == 'stop')
+        return Promise.reject(importConflictsError(conflicts, testDir));
+
+    // Work out what to actually write for changed files
+    conflicts.forEach((entry) => {
+
+        if (options.onConflict != 'merge') return;
+
+        // Without a base (imported before we kept state) everything conflicts
+        let imported = state.files[importStateKey(entry.movedFrom || entry.file, testDir)];
+        let base = imported ? imported.base : "";
+        let merged = merge3(base, entry.oldContent, entry.newContent, 'local', 'testrail');
+
+        entry.writeContent = merged.content;
+        entry.conflicts = merged.conflicts;
+    });
+
+    let plannedFiles = {};
+    plan.forEach(entry => plannedFiles[entry.file] = entry);
+
+    // Files moved to are written first, then files moved from are removed
+    // (unless another file was moved to them)
+    let movedFrom = plan.filter(entry => entry.movedFrom && !(entry.movedFrom in plannedFiles));
+
+    // NOTE
+    // Here we're creating directories one-at-a-time, and creating all
+    // files in the directory in arbitrary order.  So we chain directory
+    // promises and concatenate the file promises underneath those.
+    let orphans = [];
+    let dirWritten = orphansFound.then(found => orphans = found);
+
+    dirWrites.forEach(([sectionDir, files]) => {
+
+        // Chain the next directory creation
+        dirWritten = dirWritten.then(() => new Promise((resolve, reject) => {
+
+            if (settings.flags.verbose) console.log("Creating ", sectionDir);
+
+            fsUtils.mkdirs(sectionDir, (err) => {
+                if (err) reject(err);
+
+                if (settings.flags.verbose) console.log("Created dir", sectionDir);
+
+                // Write all the files to the directory now
+                let fileWrites = files.map(([testFile]) => new Promise((resolve, reject) => {
+
+                    let entry = plannedFiles[testFile];
+                    let content = entry.writeContent != null ? entry.writeContent : entry.newContent;
+
+                    if (entry.movedFrom && !(entry.movedFrom in plannedFiles))
+                        delete state.files[importStateKey(entry.movedFrom, testDir)];
+                    recordImportedFile(state, testFile, testDir, entry.newContent);
+                    if (entry.caseId != null)
+                        manifest.cases['C' + entry.caseId] = importStateKey(testFile, testDir);
+
+                    if (entry.action == 'unchanged') {
+                        resolve();
+                        return;
+                    }
+
+                    if (settings.flags.verbose) console.log("Writing file", testFile);
+
+                    fs.writeFile(testFile, content, (err) => {
+                        if (err) reject(err);
+                        resolve();
+                    });
+                }));
+
+                // Wait for the file writes to complete, then move on
+                Promise.all(fileWrites).then(() => resolve(), reject);
+            });
+        }));
+    });
+
+    return dirWritten.then(() => {
+
+        movedFrom.forEach((entry) => {
+            if (settings.flags.verbose) console.log("Removing", entry.movedFrom, "moved to", entry.file);
+            fs.unlinkSync(entry.movedFrom);
+        });
+
+        removeOrphanedTests(orphans, testDir, state, manifest, settings);
+        removeEmptySectionDirs(movedFrom.map(entry => path.dirname(entry.movedFrom))
+            .concat(orphans.filter(entry => entry.action != 'orphaned').map(entry => path.dirname(entry.file))), testDir, settings);
+
+        saveImportState(testDir, state, settings);
+        saveIdManifest(testDir, manifest, settings);
+        return plan.concat(orphans);
+    });
+};
+
+// Returns a row object suitable for CSV export from a test file
+// (optionally in a git repo)
+function trRowFor([testFile, content, createLog, modifiedLog, section], addGitFooter, settings) {
+
+    settings = settings || moduleSettings;
+
+    let title = path.basename(testFile);
+    title = title.substring(0, title.length - settings.flags.testFileSuffix.length);
+
+    let contentFields = {};
+
+    // The format of tests is assumed to be:
+    // (case insensitive)
+    // > cat THE_TITLE.test.txt
+    // SOME STEP 1
+    // SOME STEP 2
+    // EXPECTED RESULT:
+    // WHAT SHOULD HAPPEN
+    // FIELD VALUE: SOME VALUE
+    //
+    // Basically the title is the first (nonempty) line,
+    // the steps ('Steps') come next until "Expected Result:" is seen,
+    // then result ('Expected Result') lines are assumed.
+    //
+    // Arbitrary TestRail field values can also be specified
+    // using FIELD:VALUE syntax (case/space insensitive), these
+    // lines are ignored in steps and results.
+    //
+    // Steps can instead be numbered, each with its own result, for
+    // TestRail's "Test Case (Steps)" template:
+    // STEP 1: SOME STEP
+    // EXPECTED 1: WHAT SHOULD HAPPEN
+    // STEP 2: SOME OTHER STEP
+    // EXPECTED 2: WHAT SHOULD HAPPEN NEXT
+    //
+    // Any text before the first numbered step is used as the
+    // 'Preconditions', and an "EXPECTED RESULT:" block is added to the
+    // last step's result.
+    //
+    // Include directives are expanded first (see expandIncludes()), for test
+    // files read from a test directory.
+
+    let expanded = section && section.testDir != null ? expandIncludes(content, testFile, section.testDir) : null;
+    let lines = (expanded ? expanded.content : content).replace(/\r/g, '').split('\n');
+    let stepLines = [];
+    let resultLines = [];
+
+    let trFields = trFieldState(settings).fields;
+    let trRegexes = trFieldState(settings).regexes;
+
+    let lineType = "step";
+    let attachments = [];
+
+    for (let i = 0; i < lines.length; ++i) {
+
+        let line = lines[i];
+        let prevLineType = lineType;
+
+        // Attachments aren't part of the text (see saveAttachmentBundle())
+        let attachmentMatch = line.match(attachmentRegex);
+        if (attachmentMatch) {
+            if (attachmentMatch[1].trim()) attachments.push(attachmentMatch[1].trim());
+            continue;
+        }
+
+        for (let j = 0; j < trRegexes.length; ++j) {
+
+            let match = line.match(trRegexes[j]);
+            if (match && match.length > 1) {
+
+                if (trFields[j] == 'Expected Result') {
+                    lineType = "result";
+                    line = match[1];
+                } else if (trFields[j] == 'Steps') {
+                    lineType = "step";
+                    line = match[1];
+                } else {
+                    lineType = "field";
+                    contentFields[trFields[j]] = match[1];
+                }
+
+                break;
+            }
+        }
+
+        if (lineType == "step") stepLines.push(line);
+        else if (lineType == "result") resultLines.push(line);
+        else if (lineType == "field") lineType = prevLineType;
+    }
+
+    // Title is first line of the steps
+    let steps = stepLines.join('\n').trim();
+    let results = resultLines.join('\n').trim();
+
+    // The directory structure determines the TestRail 
+    // 'Section Hierarchy'
+    let hierarchy = pathToTrSection(testFile);
+
+    if (createLog && modifiedLog && addGitFooter) {
+        steps = steps + '\n\nLatest Update:\n' +
+            JSON.stringify(Object.assign({}, modifiedLog), null, 2);
+    }
+
+    // Plain text conventions are converted to the markup TestRail renders
+    let row = {
+        'Title': title,
+        'Steps': fromText(steps, settings.flags.markup),
+        'Section': hierarchy,
+        'Expected Result': fromText(results, settings.flags.markup)
+    };
+
+    // Section metadata, if read with readTestDir()
+    if (section) {
+        row['Section Hierarchy'] = section.hierarchy;
+        row['Section Depth'] = section.depth;
+        if (section.description) row['Section Description'] = section.description;
+    }
+
+    let separated = parseSeparatedSteps(stepLines);
+    if (separated) {
+
+        let preconditions = separated.preconditions;
+
+        // A free text "Expected Result:" block follows the last step
+        let lastStep = separated.steps[separated.steps.length - 1];
+        if (results) lastStep.expected = (lastStep.expected + '\n' + results).trim();
+
+        if (createLog && modifiedLog && addGitFooter) {
+            preconditions = (preconditions + '\n\nLatest Update:\n' +
+                JSON.stringify(Object.assign({}, modifiedLog), null, 2)).trim();
+        }
+
+        row['Preconditions'] = fromText(preconditions, settings.flags.markup);
+        row['Separated Steps'] = separated.steps.map((step, i) => {
+
+            let separatedStep = {
+                step: fromText(step.step, settings.flags.markup),
+                expected: fromText(step.expected, settings.flags.markup)
+            };
+
+            let sharedStepId = expanded ? expanded.sharedSteps[separated.numbers[i]] : null;
+            if (sharedStepId != null) separatedStep.sharedStepId = sharedStepId;
+
+            return separatedStep;
+        });
+    }
+
+    // Add creation/update times from git if available
+    let gitInfo = {};
+    if (createLog && modifiedLog) {
+        gitInfo = {
+            'Created By': createLog.author_name + ' (' + createLog.author_email + ')',
+            'Created On': createLog.date,
+            'Updated By': modifiedLog.author_name + ' (' + modifiedLog.author_email + ')',
+            'Updated On': modifiedLog.date,
+        };
+    }
+
+    if (attachments.length) row['Attachments'] = attachments;
+    if (expanded && expanded.includes.length) row['Includes'] = expanded.includes;
+
+    Object.assign(row, contentFields, gitInfo);
+
+    // Tests in a suite directory belong to the suite, wherever they came from
+    if (section && section.suite) {
+        row['Suite'] = section.suite.name;
+        row['Suite ID'] = "S" + section.suite.id;
+    }
+
+    return row;
+}
+
+// Parses numbered "Step N:"/"Expected N:" lines (see trRowFor()) into a
+// list of { step, expected } objects in the order the steps first appear.
+// Returns null if there are no numbered steps.
+function parseSeparatedSteps(stepLines) {
+
+    let preconditionLines = [];
+    let steps = [];
+    let numbers = [];
+    let stepsByNumber = {};
+    let current = null;
+
+    for (let i = 0; i < stepLines.length; ++i) {
+
+        let line = stepLines[i];
+        let stepMatch = line.match(separatedStepRegex);
+        let expectedMatch = stepMatch ? null : line.match(separatedExpectedRegex);
+        let match = stepMatch || expectedMatch;
+
+        if (match) {
+
+            let number = match[1];
+            if (!(number in stepsByNumber)) {
+                stepsByNumber[number] = {
+                    step: [],
+                    expected: []
+                };
+                steps.push(stepsByNumber[number]);
+                numbers.push(number);
+            }
+
+            current = stepsByNumber[number][stepMatch ? 'step' : 'expected'];
+            current.push(match[2]);
+            continue;
+        }
+
+        if (current) current.push(line);
+        else preconditionLines.push(line);
+    }
+
+    if (!steps.length) return null;
+
+    return {
+        preconditions: preconditionLines.join('\n').trim(),
+        steps: steps.map(step => ({
+            step: step.step.join('\n').trim(),
+            expected: step.expected.join('\n').trim()
+        })),
+        numbers: numbers
+    };
+}
+
+// TestRails allows nested Section specification on import by using
+// " > "  as a separator
+function pathToTrSection(testFile) {
+
+    let trPath = testFile;
+    if (path.isAbsolute(trPath)) {
+        let parsed = path.parse(trPath);
+        trPath = trPath.substring(parsed.root.length);
+    }
+    trPath = path.dirname(trPath);
+
+    if (trPath == '.') return "";
+
+    let hierarchy = trPath.split(path.sep);
+    hierarchy = hierarchy.join(' > ');
+
+    return hierarchy;
+}
+
+// Translate a TestRail 'Section Hierarchy' into a path that's valid on
+// multiple OSes - kill weird characters, etc.
+function safePath(sectionPath, title) {
+
+    sectionPath = sectionPath.replace(/[\\\/]/g, '_').replace(/ > /g, path.sep);
+    title = title.replace(/[\\\/]/g, '_').substring(0, 200);
+
+    fullPath = path.join(sectionPath, title);
+    return fullPath.replace(/[^A-Za-z0-9\\\/]/g, '_');
+}
+
+// Creates test file content given a TestRail CSV row object -
+// see trRowFor() for output format.
+function testFor(trRow, settings) {
+
+    settings = settings || moduleSettings;
+
+    let sectionPath =
+        ('Section Hierarchy' in trRow && trRow['Section Hierarchy']) ?
+        trRow['Section Hierarchy'] :
+        trRow['Section'];
+
+    let title = trRow['Title'];
+    let testFile = safePath(sectionPath, title) + settings.flags.testFileSuffix;
+
+    // Placeholders in the titles of parameter tables are kept
+    if (trRow['Parameters']) {
+        let mangled = title.split(/(\{\{[^{}]*\}\})/).map((part, i) => i % 2 ? part : part.replace(/[^A-Za-z0-9]/g, '_'));
+        testFile = path.join(path.dirname(safePath(sectionPath, "_")), mangled.join('')) + settings.flags.testFileSuffix;
+    }
+
+    // These fields are markdown or HTML (see flags.markup) - double
+    // whitespace isn't rendered.  Our text files *do* care about this.
+    let steps = trRow['Steps'];
+    if (steps) steps = rewriteTrAttachments(toText(steps, settings.flags.markup));
+    let results = trRow['Expected Result'];
+    if (results) results = rewriteTrAttachments(toText(results, settings.flags.markup));
+
+    let content = steps + "\n\n" +
+        (results ? "Expected Result:\n" + results + "\n\n" : "");
+
+    // Separated steps exports get numbered steps instead
+    let separatedSteps = trRow['Separated Steps'];
+    if (separatedSteps && separatedSteps.length) {
+
+        let preconditions = trRow['Preconditions'];
+        content = preconditions ? rewriteTrAttachments(toText(preconditions, settings.flags.markup)) + "\n\n" : "";
+
+        for (let i = 0; i < separatedSteps.length; ++i) {
+
+            let step = rewriteTrAttachments(toText(separatedSteps[i].step || "", settings.flags.markup));
+            let expected = rewriteTrAttachments(toText(separatedSteps[i].expected || "", settings.flags.markup));
+
+            content += "Step " + (i + 1) + ": " + step + "\n" +
+                (expected ? "Expected " + (i + 1) + ": " + expected + "\n" : "") + "\n";
+        }
+    }
+
+    // Append any extra persisted TestRail data as fields in the
+    // test file
+    let fieldContent = [];
+    let persistedTrFields = trFieldState(settings).persisted;
+    for (let i = 0; i < persistedTrFields.length; ++i) {
+
+        let column = persistedTrFields[i];
+        if (trRow[column] == null) continue;
+
+        fieldContent.push(trFieldFor(column, settings).label + ": " + trRow[column]);
+    }
+
+    content = content + fieldContent.join('\n');
+
+    if (trRow['Parameters']) content = content.replace(/\s*$/, '') + "\n" + parameterTableContent(trRow['Parameters'], settings) + "\n";
+
+    return [testFile, withLineEndings(content, settings)];
+}
+
+//
+// Attachments
+//
+// Test files can refer to attachments (e.g. reference screenshots) next to
+// them with directive lines, wherever they fit in the steps or results:
+// > cat THE_TITLE.test.txt
+// SOME STEP
+// Attachment: screenshots/SOME_SCREEN.png
+// EXPECTED RESULT:
+// ...
+//
+// Paths are relative to the test file.  Exports collect the attachments
+// into a bundle, imports turn TestRail attachment references into directives
+// with local placeholder paths.
+//
+
+let attachmentRegex = /^\s?Attachment\s?:\s?(.*)$/i;
+
+// TestRail attachment references - markdown images, HTML images or links
+let trAttachmentRefRegex = new RegExp([
+    '!\\[[^\\]]*\\]\\(\\s*[^)\\s]*?index\\.php\\?/attachments/get/(\\d+)\\s*\\)',
+    '<img[^>]*?index\\.php\\?/attachments/get/(\\d+)[^>]*>',
+    '\\S*index\\.php\\?/attachments/get/(\\d+)'
+].join('|'), 'gi');
+
+// Local placeholder path (relative to the test file) for a TestRail attachment
+function attachmentPlaceholder(attachmentId) {
+    return path.join('attachments', "" + attachmentId);
+}
+
+// Rewrites the TestRail attachment references in imported text into
+// attachment directives on their own lines
+function rewriteTrAttachments(text) {
+
+    return text.split('\n').map((line) => {
+
+        let rewritten = line.replace(trAttachmentRefRegex, (ref, markdownId, htmlId, linkId) =>
+            '\0' + attachmentPlaceholder(markdownId || htmlId || linkId) + '\0');
+        if (rewritten == line) return line;
+
+        return rewritten.split('\0')
+            .map((part, i) => i % 2 ? "Attachment: " + part.split(path.sep).join('/') : (i ? part.trim() : part.replace(/\s+$/, '')))
+            .filter(part => part.trim())
+            .join('\n');
+    }).join('\n');
+}
+
+// Lists the TestRail attachments referenced by imported rows, with the local
+// placeholder files their references are rewritten to (see testFor())
+// Returns a list of { id, testFile, file } with paths relative to the test
+// directory (in a suite directory, if given - see importSuitesFor())
+function trAttachmentsFor(testRows, suiteDir) {
+
+    let attachments = [];
+    let seen = {};
+
+    testRows.forEach((trRow) => {
+
+        let [testFile] = testFor(trRow);
+        if (suiteDir) testFile = path.join(suiteDir, testFile);
+        let texts = [trRow['Steps'], trRow['Expected Result'], trRow['Preconditions']]
+            .concat((trRow['Separated Steps'] || []).map(step => (step.step || "") + "\n" + (step.expected || "")));
+
+        texts.filter(Boolean).forEach((text) => {
+
+            let match = null;
+            trAttachmentRefRegex.lastIndex = 0;
+            while ((match = trAttachmentRefRegex.exec(text))) {
+
+                let id = match[1] || match[2] || match[3];
+                let file = path.join(path.dirname(testFile), attachmentPlaceholder(id));
+                if (seen[file]) continue;
+
+                seen[file] = true;
+                attachments.push({
+                    id: parseInt(id, 10),
+                    testFile: testFile,
+                    file: file
+                });
+            }
+        });
+    });
+
+    return attachments;
+}
+
+// Saves the list of TestRail attachments to download after an import (see
+// trAttachmentsFor()) as CSV, with their URLs on a TestRail instance
+// Promises to return when done.
+function saveAttachmentList(attachments, listFile, baseUrl) {
+
+    let attachmentUrl = (id) => (baseUrl ? baseUrl.replace(/\/+$/, '') + '/' : '') + 'index.php?/attachments/get/' + id;
+
+    let csvRows = [
+        ['Attachment ID', 'URL', 'File', 'Test File']
+    ].concat(attachments.map(attachment => [
+        attachment.id, attachmentUrl(attachment.id), attachment.file, attachment.testFile
+    ]));
+
+    return writeCsv(csvRows, listFile);
+}
+
+// Returns the attachment list (on import) or bundle directory (on export)
+// path for some CSV file
+function attachmentsPathFor(csvFile, extension) {
+    return path.join(path.dirname(csvFile),
+        path.basename(csvFile, path.extname(csvFile)) + ".attachments" + (extension || ""));
+}
+
+// Copies the attachments of exported test files (see trRowFor()) into a
+// bundle directory, keeping their paths in the test directory, and writes a
+// manifest.json mapping each case to its attachments there.  Attachments
+// that don't exist are listed as missing.
+// Promises the manifest, or null if there are no attachments
+function saveAttachmentBundle(readTestFiles, testDir, bundleDir) {
+
+    let manifest = {
+        cases: [],
+        missing: []
+    };
+    let copies = [];
+
+    readTestFiles.forEach((readTestFile) => {
+
+        let [testFile] = readTestFile;
+        let row = trRowFor(readTestFile);
+        if (!row['Attachments']) return;
+
+        let bundled = [];
+        row['Attachments'].forEach((attachment) => {
+
+            let file = path.join(testDir, path.dirname(testFile), attachment);
+            if (!fs.existsSync(file)) {
+                manifest.missing.push({
+                    testFile: testFile.split(path.sep).join('/'),
+                    attachment: attachment
+                });
+                return;
+            }
+
+            // Attachments outside the test directory go to the bundle root
+            let bundlePath = path.relative(testDir, file).replace(/^(\.\.[\/\\])+/, '');
+            copies.push([file, path.join(bundleDir, bundlePath)]);
+            bundled.push(bundlePath.split(path.sep).join('/'));
+        });
+
+        manifest.cases.push({
+            id: row['ID'] || null,
+            title: row['Title'],
+            section: row['Section'],
+            testFile: testFile.split(path.sep).join('/'),
+            attachments: bundled
+        });
+    });
+
+    if (!manifest.cases.length) return Promise.resolve(null);
+
+    return Promise.all(copies.map(([from, to]) => new Promise((resolve, reject) => {
+            fsUtils.mkdirsSync(path.dirname(to));
+            fs.copyFile(from, to, (err) => {
+                if (err) reject(err);
+                resolve();
+            });
+        })))
+        .then(() => new Promise((resolve, reject) => {
+            fsUtils.mkdirsSync(bundleDir);
+            fs.writeFile(path.join(bundleDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n', (err) => {
+                if (err) reject(err);
+                resolve(manifest);
+            });
+        }));
+}
+
+//
+// Includes
+//
+// Test files can pull in shared snippets, e.g. common preconditions, with
+// directive lines that are replaced by the lines of the snippet on export:
+// > cat Clients/Open_client.test.txt
+// Include: ../shared/Log_in_as_field_officer.snippet.txt
+// Open the client list
+// ...
+//
+// Paths are relative to the including file, and snippets can include other
+// snippets.  Snippet files (flags.snippetSuffix) aren't tests themselves.
+// Snippets can be TestRail shared steps, with a 'Shared Step ID:' line -
+// numbered steps that only include one ('Step 2: Include: ...') are synced
+// as the shared step with separated steps.
+//
+
+let includeRegex = /^\s?Include\s?:\s?(.*)$/i;
+let sharedStepIdRegex = /^\s?Shared Step ID\s?:\s?(.*)$/i;
+
+// Reads a snippet file
+// Returns { lines, sharedStepId } with the lines of the snippet, without
+// its 'Shared Step ID:' line and surrounding blank lines.
+function readSnippet(snippetPath) {
+
+    let sharedStepId = null;
+    let lines = fs.readFileSync(snippetPath, 'utf8').replace(/\r/g, '').split('\n').filter((line) => {
+        let match = line.match(sharedStepIdRegex);
+        if (match && match[1].trim().match(/^\d+$/)) sharedStepId = parseInt(match[1].trim(), 10);
+        return !match;
+    });
+
+    while (lines.length && !lines[0].trim()) lines.shift();
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+
+    return {
+        lines: lines,
+        sharedStepId: sharedStepId
+    };
+}
+
+// Expands the include directives of test file content, given the test file
+// path relative to some test directory
+// Returns { content, includes, sharedSteps } with the expanded content, the
+// snippets included (relative to the test directory, nested ones too) and
+// the shared step IDs of numbered steps that include one, by step number.
+// Throws for missing snippets and include cycles, with the line of the
+// include in the test file as err.line and the lint rule as err.rule.
+function expandIncludes(content, testFile, testDir) {
+
+    let includes = [];
+    let sharedSteps = {};
+
+    let expand = (lines, file, including, includeLine) => [].concat(...lines.map((line, i) => {
+
+        let stepMatch = line.match(separatedStepRegex);
+        let includeMatch = (stepMatch ? stepMatch[2] : line).match(includeRegex);
+        if (!includeMatch) return [line];
+
+        let lineNumber = includeLine || i + 1;
+        let fail = (rule, message) => {
+            let err = new Error(testFile + ":" + lineNumber + ": " + message);
+            err.line = lineNumber;
+            err.rule = rule;
+            throw err;
+        };
+
+        let snippetFile = path.normalize(path.join(path.dirname(file), includeMatch[1].trim()));
+        if (!includeMatch[1].trim()) fail('missing-include', "Include without a snippet path");
+        if (including.indexOf(snippetFile) >= 0)
+            fail('include-cycle', "Include cycle " + including.concat([snippetFile]).join(' -> '));
+
+        let snippetPath = path.join(testDir, snippetFile);
+        if (!fs.existsSync(snippetPath) || fs.statSync(snippetPath).isDirectory())
+            fail('missing-include', "Included snippet " + snippetFile + " not found");
+
+        if (includes.indexOf(snippetFile) < 0) includes.push(snippetFile);
+
+        let snippet = readSnippet(snippetPath);
+        let expanded = expand(snippet.lines, snippetFile, including.concat([snippetFile]), lineNumber);
+        if (!stepMatch) return expanded;
+
+        // The step is the snippet, shared if it's a shared step
+        if (!includeLine && snippet.sharedStepId != null) sharedSteps[stepMatch[1]] = snippet.sharedStepId;
+        return [line.substring(0, line.length - stepMatch[2].length) + (expanded[0] || "")].concat(expanded.slice(1));
+    }));
+
+    return {
+        content: expand(content.replace(/\r/g, '').split('\n'), testFile, [path.normalize(testFile)]).join('\n'),
+        includes: includes,
+        sharedSteps: sharedSteps
+    };
+}
+
+// Puts the include directives of a local test file back into imported
+// content (see testFor()) wherever it has the lines they expand to, rather
+// than writing the expanded snippets into the test file
+function collapseIncludes(content, localContent, testFile, testDir, settings) {
+
+    let normalize = line => line.replace(/\s+/g, ' ').trim();
+    let lines = content.replace(/\r/g, '').split('\n');
+
+    localContent.replace(/\r/g, '').split('\n').forEach((localLine) => {
+
+        let stepMatch = localLine.match(separatedStepRegex);
+        if (!(stepMatch ? stepMatch[2] : localLine).match(includeRegex)) return;
+
+        let expanded = null;
+        try {
+            expanded = expandIncludes(localLine, testFile, testDir).content.split('\n').map(normalize);
+        } catch (err) {
+            return;
+        }
+
+        for (let i = 0; i + expanded.length <= lines.length; ++i) {
+            if (expanded.every((line, j) => normalize(lines[i + j]) == line)) {
+                lines.splice(i, expanded.length, localLine);
+                return;
+            }
+        }
+    });
+
+    return withLineEndings(lines.join('\n'), settings);
+}
+
+// Lists which test files include each snippet (see expandIncludes()), given
+// test files (or read test files) as [testFile, content] relative to a test
+// directory
+// Returns [{ snippet, testFiles }] sorted by snippet.
+function snippetUsage(testFiles, testDir) {
+
+    let usage = {};
+    testFiles.forEach(([testFile, content]) => {
+
+        let includes = [];
+        try {
+            includes = expandIncludes(content, testFile, testDir).includes;
+        } catch (err) {
+            // Lint reports broken includes
+        }
+
+        includes.forEach(snippet => (usage[snippet] = usage[snippet] || []).push(testFile));
+    });
+
+    return Object.keys(usage).sort().map(snippet => ({
+        snippet: snippet,
+        testFiles: usage[snippet].sort()
+    }));
+}
+
+// Formats snippet usage (see snippetUsage()) as human-readable text
+function formatSnippetUsage(usage) {
+    return usage.map(({
+        snippet,
+        testFiles
+    }) => snippet + " (" + testFiles.length + " test(s)):\n" + testFiles.map(testFile => "  " + testFile).join('\n')).join('\n');
+}
+
+//
+// Parameter tables
+//
+// A test file can cover several sets of values, e.g. countries, currencies
+// or phone models, with a table of parameters and {{placeholders}} in the
+// title (the filename), steps, results and fields:
+// > cat Payments/Pay_in_local_currency.test.txt
+// Open the checkout in {{Country}}
+// Pay with a card
+// Expected Result:
+// The total is shown in {{Currency}}
+// Parameters:
+// | ID    | Country     | Currency |
+// | C101  | New Zealand | NZD      |
+// | C102  | Australia   | AUD      |
+//
+// Each row is exported as a case of its own in the same section, titled
+// after the filename with the placeholders filled in, or with the row's
+// values added (e.g. 'Pay_in_local_currency [New Zealand, NZD]').  The
+// optional ID column has the TestRail case ID of each row.  Exported cases
+// get a 'Parameter Set:' field naming the test file and the row's values,
+// so imports can fold them back into one test file.
+//
+
+let parametersRegex = /^\s?Parameters\s?:\s*$/i;
+let parameterRowRegex = /^\s*\|/;
+let placeholderRegex = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+// Splits a '|' separated table row into its (trimmed) cells, '\|' being a
+// '|' in a cell
+function parameterCells(line) {
+
+    let cells = line.trim().replace(/^\|/, '').split(/(?<!\\)\|/);
+    if (cells.length > 1 && !cells[cells.length - 1].trim()) cells.pop();
+
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function escapeParameterValue(value) {
+    return value.replace(/\|/g, '\\|');
+}
+
+// Parses the parameter table of test file content
+// Returns null without one, otherwise { names, rows, start, end, problems }
+// with the parameter names (without the ID column), the rows as
+// { caseId, values, line } with values by parameter name, the line indexes
+// the table starts and ends at (exclusive) and problems with the table as
+// { line, message } (line numbers start at 1).
+function parseParameterTable(content, settings) {
+
+    let lines = content.replace(/\r/g, '').split('\n');
+    let start = lines.findIndex(line => line.match(parametersRegex));
+    if (start < 0) return null;
+
+    let end = start + 1;
+    while (end < lines.length && lines[end].match(parameterRowRegex)) end++;
+
+    let problems = [];
+    let problem = (line, message) => problems.push({
+        line: line,
+        message: message
+    });
+
+    // Markdown-style separator rows are allowed under the header
+    let tableLines = [];
+    for (let i = start + 1; i < end; ++i) {
+        if (!lines[i].match(/^\s*\|[\s|:-]*-[\s|:-]*$/)) tableLines.push([lines[i], i + 1]);
+    }
+
+    if (!tableLines.length) {
+        problem(start + 1, "Parameters without a table");
+        return {
+            names: [],
+            rows: [],
+            start: start,
+            end: end,
+            problems: problems
+        };
+    }
+
+    let header = parameterCells(tableLines[0][0]);
+    let idColumn = header.findIndex(name => name.toLowerCase() == trFieldFor('ID', settings).label.toLowerCase());
+    let names = header.filter((name, i) => i != idColumn);
+
+    names.forEach((name, i) => {
+        if (!name) problem(tableLines[0][1], "Parameter without a name");
+        else if (names.findIndex(other => other.toLowerCase() == name.toLowerCase()) < i)
+            problem(tableLines[0][1], "Duplicate parameter '" + name + "'");
+    });
+
+    let caseIds = [];
+    let rows = tableLines.slice(1).map(([line, lineNumber]) => {
+
+        let cells = parameterCells(line);
+        if (cells.length != header.length)
+            problem(lineNumber, "Expected " + header.length + " values, found " + cells.length);
+
+        let caseId = null;
+        if (idColumn >= 0 && cells[idColumn]) {
+            caseId = trCaseId(cells[idColumn]);
+            if (caseId == null) problem(lineNumber, "Invalid TestRail case ID '" + cells[idColumn] + "'");
+            else if (caseIds.indexOf(caseId) >= 0) problem(lineNumber, "Duplicate ID C" + caseId);
+            caseIds.push(caseId);
+        }
+
+        let values = {};
+        header.forEach((name, i) => {
+            if (i != idColumn) values[name] = cells[i] || "";
+        });
+
+        return {
+            caseId: caseId,
+            values: values,
+            line: lineNumber
+        };
+    });
+
+    if (!rows.length) problem(tableLines[0][1], "Parameter table without rows");
+
+    return {
+        names: names,
+        rows: rows,
+        start: start,
+        end: end,
+        problems: problems
+    };
+}
+
+// Looks up the value of a parameter by name, ignoring case
+function parameterValue(values, name) {
+    let key = Object.keys(values).find(key => key.toLowerCase() == name.toLowerCase());
+    return key !== undefined ? values[key] : null;
+}
+
+// Fills in the {{placeholders}} of some text, leaving unknown ones as is
+function substituteParameters(text, values) {
+    return text.replace(placeholderRegex, (placeholder, name) => {
+        let value = parameterValue(values, name);
+        return value != null ? value : placeholder;
+    });
+}
+
+// The 'Parameter Set:' field value of a row of a parameter table, e.g.
+// 'Pay_in_local_currency | Country=New Zealand | Currency=NZD'
+function parameterSetFor(title, values) {
+    return [title].concat(Object.keys(values).map(name => name + "=" + escapeParameterValue(values[name]))).join(' | ');
+}
+
+// Parses a 'Parameter Set:' field value, returns { title, values } or null
+function parseParameterSet(parameterSet) {
+
+    let parts = ("" + (parameterSet || "")).split(/(?<!\\)\|/).map(part => part.trim());
+    if (!parts[0] || parts.slice(1).some(part => part.indexOf('=') < 0)) return null;
+
+    let values = {};
+    parts.slice(1).forEach((part) => {
+        let separator = part.indexOf('=');
+        values[part.substring(0, separator).trim()] = part.substring(separator + 1).trim().replace(/\\\|/g, '|');
+    });
+
+    return {
+        title: parts[0],
+        values: values
+    };
+}
+
+// Expands read test files (see readTestDir()) with parameter tables into a
+// read test file per table row, each as if it were a test file next to the
+// original with the placeholders filled in (see the comment above).  Other
+// read test files are kept as they are.
+function expandParameterSets(readTestFiles, settings) {
+
+    settings = settings || moduleSettings;
+
+    let idRegex = trFieldState(settings).regexes[trFieldState(settings).fields.indexOf('ID')];
+
+    return [].concat(...readTestFiles.map((readTestFile) => {
+
+        let [testFile, content, ...rest] = readTestFile;
+        let table = parseParameterTable(content, settings);
+        if (!table) return [readTestFile];
+
+        let title = path.basename(testFile);
+        title = title.substring(0, title.length - settings.flags.testFileSuffix.length);
+
+        // The table and any ID of the file itself aren't part of the cases
+        let lines = content.replace(/\r/g, '').split('\n');
+        let template = lines.slice(0, table.start).concat(lines.slice(table.end))
+            .filter(line => !line.match(idRegex)).join('\n');
+
+        return table.rows.map((row) => {
+
+            let values = Object.keys(row.values).map(name => row.values[name]);
+            let rowTitle = title.match(placeholderRegex) ? substituteParameters(title, row.values) :
+                title + " [" + values.join(", ") + "]";
+
+            let rowContent = substituteParameters(template, row.values);
+            if (row.caseId != null) rowContent = setTestFileId(rowContent, row.caseId, settings);
+            rowContent = rowContent.replace(/\s*$/, '') + '\n' + trFieldFor('Parameter Set', settings).label + ": " +
+                parameterSetFor(title, row.values) + '\n';
+
+            let rowFile = path.join(path.dirname(testFile), rowTitle.replace(/[\\\/]/g, '_') + settings.flags.testFileSuffix);
+            return [rowFile, rowContent].concat(rest);
+        });
+    }));
+}
+
+// Columns of rows folded into a parameter table that aren't templated, as
+// they belong to the section or differ between every case
+let untemplatedColumns = ['ID', 'Title', 'Parameter Set', 'Section', 'Section Hierarchy', 'Section Depth',
+    'Section Description', 'Suite', 'Suite ID', 'Created By', 'Created On', 'Updated By', 'Updated On'
+];
+
+// Maps the text of the templated columns of a row object, including the
+// steps and results of separated steps
+function mapTemplatedText(row, fn) {
+
+    let mapped = {};
+    for (let column in row) {
+
+        if (untemplatedColumns.indexOf(column) >= 0 || row[column] == null) continue;
+
+        if (column == 'Separated Steps') {
+            mapped[column] = row[column].map(step => Object.assign({}, step, {
+                step: fn(step.step || ""),
+                expected: fn(step.expected || "")
+            }));
+        } else if (typeof row[column] == 'string') {
+            mapped[column] = fn(row[column]);
+        }
+    }
+
+    return mapped;
+}
+
+// Folds rows from a TestRail CSV file exported from parameter tables (see
+// expandParameterSets()) back into one row per table, in the position of
+// its first case.  The text of the first case becomes the template, with
+// the values that differ between cases replaced by their placeholders;
+// cases changed in TestRail so they no longer fit the template are kept as
+// rows of their own, without their 'Parameter Set'.
+// Folded rows have no ID, and their 'Parameters' are { names, rows } with
+// the rows as { caseId, values }, see parameterTableContent().
+function foldParameterSets(testRows) {
+
+    let sets = {};
+    let setKeys = testRows.map((row) => {
+
+        let parameterSet = parseParameterSet(row['Parameter Set']);
+        if (!parameterSet) return null;
+
+        let key = [row['Suite'] || "", row['Section Hierarchy'] || row['Section'] || "", parameterSet.title].join('\n');
+        (sets[key] = sets[key] || []).push([row, parameterSet]);
+        return key;
+    });
+
+    let folded = {};
+    let kept = [];
+
+    for (let key in sets) {
+
+        let members = sets[key];
+        let [first, firstSet] = members[0];
+        let names = Object.keys(firstSet.values);
+
+        // Only values that differ between the cases can be told apart from
+        // the rest of the text (unless there's just the one case)
+        let varying = members.length < 2 ? names : names.filter(name => members.some(([row, parameterSet]) =>
+            parameterValue(parameterSet.values, name) != firstSet.values[name]));
+
+        let replacements = varying.filter(name => firstSet.values[name])
+            .sort((a, b) => firstSet.values[b].length - firstSet.values[a].length);
+        let valueRegex = replacements.length ? new RegExp('(?<![A-Za-z0-9])(' + replacements
+            .map(name => firstSet.values[name].replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')(?![A-Za-z0-9])', 'g') : null;
+        let toTemplate = text => valueRegex ? text.replace(valueRegex, value =>
+            '{{' + replacements.find(name => firstSet.values[name] == value) + '}}') : text;
+
+        let template = Object.assign({}, first, mapTemplatedText(first, toTemplate));
+        let templateTitle = firstSet.title;
+
+        let fits = ([row, parameterSet]) => names.every(name => parameterValue(parameterSet.values, name) != null) &&
+            JSON.stringify(mapTemplatedText(template, text => substituteParameters(text, parameterSet.values))) ==
+            JSON.stringify(mapTemplatedText(row, text => text));
+
+        let parameterRows = [];
+        members.forEach(([row, parameterSet]) => {
+
+            if (!fits([row, parameterSet])) {
+                kept.push(row);
+                return;
+            }
+
+            parameterRows.push({
+                caseId: trCaseId(row['ID']),
+                values: names.map(name => parameterValue(parameterSet.values, name))
+            });
+        });
+
+        delete template['ID'];
+        delete template['Parameter Set'];
+        template['Title'] = templateTitle;
+        template['Parameters'] = {
+            names: names,
+            rows: parameterRows
+        };
+
+        if (parameterRows.length) folded[key] = template;
+    }
+
+    return [].concat(...testRows.map((row, i) => {
+
+        if (setKeys[i] == null) return [row];
+        if (kept.indexOf(row) >= 0) {
+            row = Object.assign({}, row);
+            delete row['Parameter Set'];
+            return [row];
+        }
+
+        let template = folded[setKeys[i]];
+        delete folded[setKeys[i]];
+        return template ? [template] : [];
+    }));
+}
+
+// Creates the parameter table lines of a test file (see testFor()) for the
+// 'Parameters' of a folded row (see foldParameterSets())
+function parameterTableContent(parameters, settings) {
+
+    let withIds = parameters.rows.some(row => row.caseId != null);
+    let table = [(withIds ? [trFieldFor('ID', settings).label] : []).concat(parameters.names)]
+        .concat(parameters.rows.map(row => (withIds ? [row.caseId != null ? "C" + row.caseId : ""] : [])
+            .concat(row.values.map(escapeParameterValue))));
+
+    let widths = table[0].map((cell, i) => Math.max(...table.map(cells => cells[i].length)));
+    return ["Parameters:"].concat(table.map(cells => "| " + cells.map((cell, i) => cell + " ".repeat(widths[i] - cell.length))
+        .join(" | ") + " |")).join('\n');
+}
+
+//
+// Gherkin feature files
+//
+// Acceptance tests can be kept as .feature files (flags.featureSuffix) next
+// to test files.  A feature is a section (named after the Feature), and each
+// scenario a case in it:
+// > cat Payments/Checkout.feature
+// Feature: Checkout with cards
+//   @priority:High @references:REQ-12,REQ-13 @C101
+//   Scenario: Pay with a card
+//     Given I am logged in
+//     When I pay with a card
+//     Then I see a receipt
+//
+// Given and When steps (and the background) are the 'Steps', Then steps the
+// 'Expected Result', each with its keyword.  Tags of the form @label:value
+// are fields, with '_' for spaces in values and values separated by commas,
+// and @C123 is the case ID.  Scenario outlines are parameter tables (see
+// expandParameterSets()), with the outline's examples as the table.
+//
+// Imports write the cases of a section to its feature file, if it has one -
+// with flags.featureFiles, new sections get one too.
+//
+
+// Checks if a path is a feature file
+function isFeatureFile(testPath, settings) {
+    settings = settings || moduleSettings;
+    return testPath.endsWith(settings.flags.featureSuffix);
+}
+
+// Tag names are field labels, e.g. @automation_status for 'Automation Status'
+function tagName(label) {
+    return label.trim().toLowerCase().replace(/[\s_-]+/g, '_');
+}
+
+// Returns the fields of some tags by column, see the comment above
+function tagFields(tags, settings) {
+
+    let fields = {};
+    tags.forEach((tag) => {
+
+        let idMatch = tag.match(/^@C(\d+)$/i);
+        if (idMatch) {
+            fields['ID'] = "C" + idMatch[1];
+            return;
+        }
+
+        let fieldMatch = tag.match(/^@([^:=]+)[:=](.*)$/);
+        let field = fieldMatch ? trFieldState(settings).registry.find(field => tagName(field.label) == tagName(fieldMatch[1])) : null;
+        if (!field || field.column == 'ID') return;
+
+        let value = fieldMatch[2].replace(/_/g, ' ').split(',').map(value => value.trim()).filter(value => value).join(', ');
+        fields[field.column] = fields[field.column] && value ? fields[field.column] + ", " + value : (value || fields[field.column]);
+    });
+
+    return fields;
+}
+
+// Returns the tags of the fields of a row object (see tagFields())
+function fieldTags(row, settings) {
+
+    let tags = [];
+    if (trCaseId(row['ID']) != null) tags.push("@C" + trCaseId(row['ID']));
+
+    trFieldState(settings).persisted.forEach((column) => {
+
+        if (['ID', 'Suite', 'Suite ID', 'Created By', 'Created On'].indexOf(column) >= 0) return;
+        if (row[column] == null || !("" + row[column]).trim()) return;
+
+        let values = ("" + row[column]).split(/\s*,\s*/).filter(value => value).map(value => value.replace(/\s+/g, '_'));
+        tags.push("@" + tagName(trFieldFor(column, settings).label) + ":" + values.join(','));
+    });
+
+    return tags;
+}
+
+// Gherkin steps as test file lines (see the comment above), with
+// placeholders for outline <parameters>
+function stepLines(steps, outline) {
+
+    let placeholders = text => outline ? text.replace(/<([^<>]+)>/g, '{{$1}}') : text;
+
+    return [].concat(...steps.map(step => [step.keyword + " " + placeholders(step.text)]
+        .concat(step.docString != null ? ['  """'].concat(step.docString.split('\n').map(line => '  ' + placeholders(line)), ['  """']) : [])
+        .concat(step.table ? tableLines(step.table.map(cells => cells.map(placeholders))).map(line => '  ' + line) : [])));
+}
+
+// Lists the scenarios of a feature file as test files, each as { file,
+// content, line, scenario } with a file path as if the feature were a
+// section directory next to it, the test file content (see the comment
+// above) and the line of the scenario.
+// Throws for invalid features, see parseFeature().
+function featureScenarios(featureFile, content, settings) {
+
+    settings = settings || moduleSettings;
+
+    let feature = null;
+    try {
+        feature = parseFeature(content);
+    } catch (err) {
+        err.message = featureFile + ": " + err.message;
+        throw err;
+    }
+
+    let name = path.basename(featureFile);
+    name = feature.name || name.substring(0, name.length - settings.flags.featureSuffix.length);
+    let sectionDir = path.join(path.dirname(featureFile), name.replace(/[\\\/]/g, '_'));
+
+    return feature.scenarios.map((scenario) => {
+
+        // And, But and * steps are whatever the step before them is
+        let steps = (feature.background ? feature.background.steps : []).concat(scenario.steps);
+        let stepSteps = [];
+        let resultSteps = [];
+        let current = stepSteps;
+        steps.forEach((step) => {
+            if (step.keyword == 'Given' || step.keyword == 'When') current = stepSteps;
+            if (step.keyword == 'Then') current = resultSteps;
+            current.push(step);
+        });
+
+        // The description comes before the steps
+        let lines = (scenario.description ? scenario.description.split('\n') : []).concat(stepLines(stepSteps, scenario.outline));
+        if (resultSteps.length) lines = lines.concat(["", "Expected Result:"], stepLines(resultSteps, scenario.outline));
+
+        let fields = Object.assign(tagFields(feature.tags, settings), tagFields(scenario.tags, settings));
+        lines = lines.concat([""], Object.keys(fields).map(column => trFieldFor(column, settings).label + ": " + fields[column]));
+
+        // Examples are the parameter table, with their ID column if any
+        if (scenario.outline && scenario.examples.some(examples => examples.header)) {
+
+            let idLabel = trFieldFor('ID', settings).label.toLowerCase();
+            let names = [];
+            scenario.examples.forEach(examples => (examples.header || []).forEach((name) => {
+                if (name.toLowerCase() != idLabel && names.indexOf(name) < 0) names.push(name);
+            }));
+
+            let rows = [].concat(...scenario.examples.map(examples => examples.rows.map((cells) => {
+                let cellFor = name => cells[examples.header.findIndex(other => other.toLowerCase() == name.toLowerCase())];
+                return {
+                    caseId: trCaseId(cellFor(idLabel)),
+                    values: names.map(name => cellFor(name) || "")
+                };
+            })));
+
+            lines.push(parameterTableContent({
+                names: names,
+                rows: rows
+            }, settings));
+        }
+
+        let title = scenario.outline ? scenario.name.replace(/<([^<>]+)>/g, '{{$1}}') : scenario.name;
+        return {
+            file: path.join(sectionDir, title.replace(/[\\\/]/g, '_') + settings.flags.testFileSuffix),
+            content: lines.join('\n').replace(/\s*$/, '') + '\n',
+            line: scenario.line,
+            scenario: scenario,
+            feature: feature
+        };
+    });
+}
+
+// Reads a feature file read from a test directory (see readTestFile()) as a
+// read test file per scenario (see featureScenarios()), with the section
+// information of the feature (see sectionInfoReader()) and the feature
+// file added as featureFile
+function featureTestFiles([featureFile, content, createLog, modifiedLog], sectionInfoFor, settings) {
+
+    let dirNames = path.dirname(featureFile) == '.' ? [] : path.dirname(featureFile).split(path.sep);
+
+    return featureScenarios(featureFile, content, settings).map((scenario, i) => {
+
+        let name = path.basename(path.dirname(scenario.file));
+        let section = sectionInfoFor(path.join(path.dirname(featureFile), safePath("", name), path.basename(scenario.file)));
+
+        // Scenarios are in the order of the feature file
+        return [scenario.file, scenario.content, createLog, modifiedLog, Object.assign(section, {
+            hierarchy: dirNames.concat([name]).join(' > '),
+            description: scenario.feature.description || null,
+            orderKey: section.orderKey.slice(0, -1).concat([
+                [i, path.basename(scenario.file)]
+            ]),
+            featureFile: featureFile
+        })];
+    });
+}
+
+// Returns the feature file imported cases of a section directory are
+// written to: the feature file next to it for the section (by file or
+// Feature name), or with flags.featureFiles a new one unless the cases
+// already have test files.  Returns null for test files.
+function featureFileFor(sectionDir, testDir, testFiles, settings) {
+
+    settings = settings || moduleSettings;
+
+    let parentDir = path.dirname(sectionDir);
+    let name = path.basename(sectionDir);
+    if (!path.relative(testDir, sectionDir) || path.relative(testDir, sectionDir).startsWith('..')) return null;
+
+    let featureFiles = fs.existsSync(parentDir) ? fs.readdirSync(parentDir).filter(file => isFeatureFile(file, settings)) : [];
+    let featureFile = featureFiles.find((file) => {
+
+        if (file.substring(0, file.length - settings.flags.featureSuffix.length) == name) return true;
+        try {
+            return safePath("", parseFeature(fs.readFileSync(path.join(parentDir, file), 'utf8')).name) == name;
+        } catch (err) {
+            return false;
+        }
+    });
+
+    if (featureFile) return path.join(parentDir, featureFile);
+    if (!settings.flags.featureFiles || testFiles.some(testFile => fs.existsSync(testFile))) return null;
+
+    return path.join(parentDir, name + settings.flags.featureSuffix);
+}
+
+// Splits test file text (see testFor()) into a description and Gherkin
+// steps, where lines without a keyword are steps with the default keyword
+// - the description is the lines before the first keyword, if any
+function textSteps(text, defaultKeyword, outline) {
+
+    let gherkinText = line => outline ? line.replace(placeholderRegex, '<$1>') : line;
+    let lines = text.replace(/\r/g, '').split('\n');
+    let keywordRegex = /^\s*(Given|When|Then|And|But|\*)\s+(.*)$/;
+    let hasKeywords = lines.some(line => line.match(keywordRegex));
+
+    let description = [];
+    let steps = [];
+    let docString = null;
+
+    lines.forEach((line) => {
+
+        let step = steps[steps.length - 1];
+
+        if (docString) {
+            if (line.trim() == '"""') {
+                step.docString = docString.join('\n');
+                docString = null;
+            } else {
+                docString.push(gherkinText(line.replace(/^ {1,2}/, '')));
+            }
+            return;
+        }
+
+        if (!line.trim()) return;
+
+        if (step && line.trim() == '"""') {
+            docString = [];
+            return;
+        }
+
+        if (step && line.trim().startsWith('|')) {
+            step.table = (step.table || []).concat([tableCells(line).map(gherkinText)]);
+            return;
+        }
+
+        let match = line.match(keywordRegex);
+        if (!match && hasKeywords && !steps.length) {
+            description.push(gherkinText(line.trim()));
+            return;
+        }
+
+        steps.push({
+            keyword: match ? match[1] : (defaultKeyword == 'Then' && steps.length ? 'And' : defaultKeyword),
+            text: gherkinText(match ? match[2].trim() : line.trim()),
+            docString: null,
+            table: null
+        });
+    });
+
+    if (docString) steps[steps.length - 1].docString = docString.join('\n');
+
+    return {
+        description: description.join('\n'),
+        steps: steps
+    };
+}
+
+// Creates .feature file content for the rows of a section from a TestRail
+// CSV file, keeping the background and the tags that aren't fields of the
+// local feature file (if any)
+function featureFor(rows, localContent, settings) {
+
+    settings = settings || moduleSettings;
+
+    let local = null;
+    try {
+        local = localContent != null ? parseFeature(localContent) : null;
+    } catch (err) {
+        // Invalid local features are replaced
+    }
+
+    let otherTags = tags => (tags || []).filter(tag => !Object.keys(tagFields([tag], settings)).length);
+    let hierarchy = rows[0]['Section Hierarchy'] || rows[0]['Section'] || "";
+
+    let feature = {
+        tags: otherTags(local && local.tags),
+        name: hierarchy.split(' > ').pop(),
+        description: toText(rows[0]['Section Description'] || "", settings.flags.markup).trim(),
+        background: local && local.background,
+        scenarios: []
+    };
+
+    let text = value => value ? rewriteTrAttachments(toText(value, settings.flags.markup)) : "";
+    let backgroundLines = feature.background ? stepLines(feature.background.steps, false) : [];
+
+    let scenarios = rows.map((row) => {
+
+        let outline = !!row['Parameters'];
+        let steps = text(row['Steps']);
+        let results = text(row['Expected Result']);
+
+        if (row['Separated Steps'] && row['Separated Steps'].length) {
+            steps = [text(row['Preconditions'])].concat(row['Separated Steps'].map(step => text(step.step))).join('\n');
+            results = row['Separated Steps'].map(step => text(step.expected)).join('\n');
+        }
+
+        let stepText = textSteps(steps, '*', outline);
+        let resultText = textSteps(results, 'Then', outline);
+        let name = outline ? row['Title'].replace(placeholderRegex, '<$1>') : row['Title'];
+        let localScenario = local && local.scenarios.find(scenario => scenario.name == name);
+
+        let examples = [];
+        if (outline) {
+            let withIds = row['Parameters'].rows.some(parameterRow => parameterRow.caseId != null);
+            examples.push({
+                tags: [],
+                name: "",
+                header: (withIds ? [trFieldFor('ID', settings).label] : []).concat(row['Parameters'].names),
+                rows: row['Parameters'].rows.map(parameterRow => (withIds ? [parameterRow.caseId != null ? "C" + parameterRow.caseId : ""] : [])
+                    .concat(parameterRow.values))
+            });
+        }
+
+        return {
+            tags: otherTags(localScenario && localScenario.tags).concat(fieldTags(row, settings)),
+            outline: outline,
+            name: name,
+            description: stepText.description,
+            steps: stepText.steps.concat(resultText.description ? [{
+                keyword: 'Then',
+                text: resultText.description,
+                docString: null,
+                table: null
+            }] : [], resultText.steps),
+            examples: examples
+        };
+    });
+
+    // The background was exported as the first steps of every scenario
+    let startsWithBackground = scenario => backgroundLines.every((line, i) =>
+        (stepLines(scenario.steps, false)[i] || "").trim() == line.trim());
+    if (backgroundLines.length && scenarios.every(startsWithBackground)) {
+        scenarios.forEach(scenario => scenario.steps = scenario.steps.slice(feature.background.steps.length));
+    } else {
+        feature.background = null;
+    }
+
+    feature.scenarios = scenarios;
+    return featureContent(feature);
+}
+
+//
+// Project configuration
+//
+
+// Reads the JSON project config file - either the one given explicitly or
+// the default one in the test directory root (if present).
+function readProjectConfig(testDir, configFile) {
+
+    let file = configFile || path.join(testDir, flags.projectConfigFile);
+    if (!configFile && !fs.existsSync(file)) return {};
+
+    let config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    // Hook modules are relative to the config file
+    if (typeof config.hooks == 'string') config.hooks = path.resolve(path.dirname(file), config.hooks);
+
+    // Keep API keys out of committed config files if needed
+    if (config.testrail && process.env.TESTRAIL_API_KEY)
+        config.testrail.apiKey = process.env.TESTRAIL_API_KEY;
+
+    return config;
+}
+
+// Sets the markup TestRail text fields are converted to and from (see
+// lib/markup.js), plain text by default
+function useMarkup(mode, settings) {
+
+    settings = settings || moduleSettings;
+
+    mode = mode || "text";
+    if (markupModes.indexOf(mode) < 0)
+        throw new Error("Unknown markup mode '" + mode + "', expected one of " + markupModes.join(', '));
+
+    settings.flags.markup = mode;
+}
+
+// Sets the line endings of test (and metadata) files written, "lf" (the
+// default) or "crlf"
+function useLineEndings(mode, settings) {
+
+    settings = settings || moduleSettings;
+
+    mode = (mode || "lf").toLowerCase();
+    if (['lf', 'crlf'].indexOf(mode) < 0)
+        throw new Error("Unknown line endings '" + mode + "', expected lf or crlf");
+
+    settings.flags.lineEndings = mode;
+}
+
+// Converts the line endings of file content to the ones written (see
+// useLineEndings())
+function withLineEndings(content, settings) {
+    settings = settings || moduleSettings;
+    return content.replace(/\r?\n/g, settings.flags.lineEndings == 'crlf' ? '\r\n' : '\n');
+}
+
+// Returns the import config settings from the project config (see
+// defaultImportConfig) - value mappings default to the ones used for sync
+function importConfigFrom(config) {
+
+    let testrail = config.testrail || {};
+    return Object.assign({
+        priorities: testrail.priorities,
+        types: testrail.types
+    }, config.importConfig);
+}
+
+//
+// TestRail API sync
+//
+
+// Parses a TestRail case ID ("C123" or "123"), returns null if invalid
+function trCaseId(id) {
+    let match = ("" + (id == null ? "" : id)).trim().match(/^C?(\d+)$/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Sets (or adds) the 'ID:' field line of some test file content
+function setTestFileId(content, caseId, settings) {
+
+    let idLine = trFieldFor('ID', settings).label + ": C" + caseId;
+    let idRegex = trFieldState(settings).regexes[trFieldState(settings).fields.indexOf('ID')];
+
+    let lines = content.split('\n');
+    for (let i = 0; i < lines.length; ++i) {
+        if (lines[i].replace(/\r$/, '').match(idRegex)) {
+            lines[i] = idLine + (lines[i].endsWith('\r') ? '\r' : '');
+            return lines.join('\n');
+        }
+    }
+
+    return content.replace(/\s*$/, '') + '\n' + idLine + '\n';
+}
+
+// Titles and section names are compared the same way safePath() mangles
+// them, so that imported files match the TestRail cases they came from
+function trNameKey(name) {
+    return ("" + name).replace(/[^A-Za-z0-9]/g, '_');
+}
+
+function trSectionKey(hierarchy) {
+    return hierarchy.split(' > ').map(trNameKey).join(' > ');
+}
+
+// Maps TestRail section IDs to their ' > ' separated hierarchy
+function trSectionPaths(sections) {
+
+    let byId = {};
+    for (let i = 0; i < sections.length; ++i) byId[sections[i].id] = sections[i];
+
+    let paths = {};
+    let pathFor = (section) => {
+        if (!(section.id in paths)) {
+            let parent = section.parent_id != null ? byId[section.parent_id] : null;
+            paths[section.id] = (parent ? pathFor(parent) + ' > ' : '') + section.name;
+        }
+        return paths[section.id];
+    };
+
+    for (let i = 0; i < sections.length; ++i) pathFor(sections[i]);
+    return paths;
+}
+
+// Looks up a TestRail ID for a Priority/Type field value, either numeric or
+// mapped by name in the project config
+function trValueId(value, mapping) {
+
+    if (value == null || value === "") return undefined;
+    if (("" + value).match(/^\d+$/)) return parseInt(value, 10);
+
+    mapping = mapping || {};
+    for (let name in mapping) {
+        if (name.toLowerCase() == ("" + value).trim().toLowerCase()) return mapping[name];
+    }
+    return undefined;
+}
+
+// Reverse of trValueId()
+function trValueName(id, mapping) {
+
+    if (id == null) return undefined;
+
+    mapping = mapping || {};
+    for (let name in mapping) {
+        if (mapping[name] == id) return name;
+    }
+    return "" + id;
+}
+
+// Returns the add_case/update_case payload for an exported row object
+function trCaseFor(row, sectionId, apiConfig) {
+
+    let trCase = {
+        title: row['Title'],
+        section_id: sectionId,
+        refs: row['References'] || null,
+        priority_id: trValueId(row['Priority'], apiConfig.priorities),
+        type_id: trValueId(row['Type'], apiConfig.types),
+    };
+
+    // Separated steps, with included snippets as shared steps (see
+    // expandIncludes())
+    if (flags.separatedSteps && row['Separated Steps']) {
+        trCase[apiConfig.preconditionsField || 'custom_preconds'] = row['Preconditions'];
+        trCase[apiConfig.separatedStepsField || 'custom_steps_separated'] = row['Separated Steps'].map(step =>
+            step.sharedStepId != null ? {
+                shared_step_id: step.sharedStepId
+            } : {
+                content: step.step,
+                expected: step.expected
+            });
+    } else {
+        trCase[apiConfig.stepsField || 'custom_steps'] = row['Steps'];
+        trCase[apiConfig.expectedField || 'custom_expected'] = row['Expected Result'];
+    }
+
+    for (let key in trCase) {
+        if (trCase[key] === undefined) delete trCase[key];
+    }
+
+    return trCase;
+}
+
+// Returns a row object (as if read from a TestRail CSV) for a TestRail case
+function trRowForCase(trCase, sections, sectionPaths, apiConfig) {
+
+    let section = sections.find(section => section.id == trCase.section_id);
+
+    return {
+        'ID': "C" + trCase.id,
+        'Title': trCase.title,
+        'Section': section ? section.name : "",
+        'Section Hierarchy': sectionPaths[trCase.section_id] || "",
+        'Section Description': (section && section.description) || "",
+        'Steps': trCase[apiConfig.stepsField || 'custom_steps'] || "",
+        'Expected Result': trCase[apiConfig.expectedField || 'custom_expected'] || "",
+        'References': trCase.refs || undefined,
+        'Priority': trValueName(trCase.priority_id, apiConfig.priorities),
+        'Type': trValueName(trCase.type_id, apiConfig.types),
+        'Suite ID': trCase.suite_id != null ? "S" + trCase.suite_id : undefined,
+        'Created On': trCase.created_on ? trDate(moment.unix(trCase.created_on)) : undefined,
+    };
+}
+
+// Checks if an update_case payload differs from the current TestRail case
+function trCaseChanged(payload, trCase) {
+
+    let normalize = (value) => {
+
+        // Separated steps only differ by their text or shared step
+        if (Array.isArray(value)) return JSON.stringify(value.map(step => step.shared_step_id != null ? [step.shared_step_id] : [
+            normalize(step.content), normalize(step.expected)
+        ]));
+
+        return (value == null ? "" : "" + value).replace(/\r/g, '').trim();
+    };
+
+    for (let key in payload) {
+        if (key == 'title' && trNameKey(payload[key]) == trNameKey(trCase[key])) continue;
+        if (normalize(payload[key]) != normalize(trCase[key])) return true;
+    }
+    return false;
+}
+
+// Synchronizes a test directory with a TestRail project through the API.
+// Local tests are matched to TestRail cases by their 'ID:' field; new local
+// tests are added (creating any missing sections) and have their new IDs
+// written back, new TestRail cases are written as new local tests.  Changed
+// cases are pushed or pulled depending on options.prefer:
+//   'local', 'remote' or 'newer' (git/file date vs. TestRail 'updated_on')
+// options.direction limits the sync to 'push' or 'pull' ('both' by default).
+// Unless TestRail is preferred, files changed locally since they were last
+// imported (or with uncommitted changes) aren't pulled over but reported as
+// conflicts.
+// Promises a summary of what was done.
+function syncWithTestRail(testDir, apiConfig, options) {
+
+    options = Object.assign({
+        prefer: 'newer',
+        direction: 'both',
+        client: null
+    }, options);
+
+    let client = options.client || testRailClient(apiConfig);
+    let projectId = apiConfig.projectId;
+    let suiteId = apiConfig.suiteId;
+
+    let push = options.direction != 'pull';
+    let pull = options.direction != 'push';
+
+    let summary = {
+        added: [],
+        updated: [],
+        pulled: [],
+        created: [],
+        sections: [],
+        unchanged: [],
+        missing: [],
+        skipped: [],
+        conflicts: []
+    };
+
+    let sections, sectionPaths, sectionIds, cases;
+    let importState = readImportState(testDir);
+    let manifest = readIdManifest(testDir);
+
+    let gitModified = null;
+    let uncommitted = (testFile) => {
+        if (gitModified == null) gitModified = gitModifiedFiles(testDir);
+        return path.resolve(testFile) in gitModified;
+    };
+
+    // Finds or creates (parents first) the section for some hierarchy
+    let ensureSection = (hierarchy) => {
+
+        let key = trSectionKey(hierarchy);
+        if (key in sectionIds) return Promise.resolve(sectionIds[key]);
+
+        let names = hierarchy.split(' > ');
+        let name = names.pop();
+        let parentDone = names.length ? ensureSection(names.join(' > ')) : Promise.resolve(null);
+
+        return parentDone.then((parentId) => {
+
+            if (flags.verbose) console.log("Adding section", hierarchy);
+
+            let data = {
+                name: name,
+                parent_id: parentId
+            };
+            if (suiteId != null) data.suite_id = suiteId;
+
+            return client.addSection(projectId, data);
+        }).then((section) => {
+
+            sections.push(section);
+            sectionPaths[section.id] = hierarchy;
+            sectionIds[key] = section.id;
+            summary.sections.push(hierarchy);
+            return section.id;
+        });
+    };
+
+    return Promise.all([
+            readTestDir(testDir),
+            client.getSections(projectId, suiteId),
+            client.getCases(projectId, suiteId)
+        ])
+        .then(([readTestFiles, remoteSections, remoteCases]) => {
+
+            sections = remoteSections;
+            sectionPaths = trSectionPaths(sections);
+            sectionIds = {};
+            for (let id in sectionPaths) sectionIds[trSectionKey(sectionPaths[id])] = parseInt(id, 10);
+
+            cases = {};
+            for (let i = 0; i < remoteCases.length; ++i) cases[remoteCases[i].id] = remoteCases[i];
+
+            let seenIds = {};
+
+            // NOTE
+            // API calls are chained one-at-a-time, TestRail rate-limits
+            // hosted instances and section creation must happen in order.
+            let syncs = Promise.resolve();
+
+            readTestFiles.forEach((readTestFile) => {
+
+                let [relFile, content, createLog, modifiedLog] = readTestFile;
+                let testFile = path.join(testDir, relFile);
+                let row = trRowFor(readTestFile);
+                let caseId = trCaseId(row['ID']);
+
+                // The cases of parameter tables are only exported and imported
+                let table = parseParameterTable(content);
+                if (table) {
+                    table.rows.forEach((tableRow) => {
+                        if (tableRow.caseId != null) seenIds[tableRow.caseId] = true;
+                    });
+                    summary.skipped.push([relFile, "parameter tables can't be synced, export and import them instead"]);
+                    return;
+                }
+
+                // So are the scenarios of feature files
+                let featureFile = readTestFile[4] && readTestFile[4].featureFile;
+                if (featureFile) {
+                    if (caseId != null) seenIds[caseId] = true;
+                    if (!summary.skipped.some(([skippedFile]) => skippedFile == featureFile))
+                        summary.skipped.push([featureFile, "feature files can't be synced, export and import them instead"]);
+                    return;
+                }
+
+                if (row['ID'] != null && caseId == null) {
+                    summary.skipped.push([relFile, "invalid ID '" + row['ID'] + "'"]);
+                    return;
+                }
+
+                if (caseId != null) seenIds[caseId] = true;
+
+                if (caseId != null && !(caseId in cases)) {
+                    summary.missing.push([relFile, caseId]);
+                    return;
+                }
+
+                if (!row['Section']) {
+                    summary.skipped.push([relFile, "tests must be in a section directory"]);
+                    return;
+                }
+
+                syncs = syncs.then(() => {
+
+                    // Brand new local test
+                    if (caseId == null) {
+
+                        if (!push) return;
+
+                        return ensureSection(row['Section'])
+                            .then(sectionId => client.addCase(sectionId, trCaseFor(row, sectionId, apiConfig)))
+                            .then((trCase) => {
+
+                                if (flags.verbose) console.log("Added case C" + trCase.id, "for", relFile);
+
+                                fs.writeFileSync(testFile, setTestFileId(content, trCase.id));
+                                manifest.cases['C' + trCase.id] = importStateKey(testFile, testDir);
+                                summary.added.push([relFile, trCase.id]);
+                            });
+                    }
+
+                    let trCase = cases[caseId];
+                    let sectionKey = trSectionKey(row['Section']);
+                    let sectionId = sectionIds[sectionKey];
+
+                    if (sectionId !== undefined &&
+                        !trCaseChanged(trCaseFor(row, sectionId, apiConfig), trCase)) {
+                        summary.unchanged.push([relFile, caseId]);
+                        return;
+                    }
+
+                    // Files with uncommitted changes are newer than their last commit
+                    let pushLocal = options.prefer == 'local';
+                    if (options.prefer == 'newer') {
+                        let localDate = modifiedLog && !uncommitted(testFile) ? new Date(modifiedLog.date) : fs.statSync(testFile).mtime;
+                        pushLocal = !trCase.updated_on || localDate.getTime() >= trCase.updated_on * 1000;
+                    }
+
+                    let won = options.prefer == 'newer' ? " is newer" : " is preferred";
+                    if (pushLocal && !push) {
+                        summary.skipped.push([relFile, "local" + won + ", push disabled"]);
+                        return;
+                    }
+                    if (!pushLocal && !pull) {
+                        summary.skipped.push([relFile, "TestRail" + won + ", pull disabled"]);
+                        return;
+                    }
+
+                    if (pushLocal) {
+
+                        return ensureSection(row['Section'])
+                            .then((sectionId) => {
+
+                                // Don't replace TestRail titles with their mangled filenames
+                                let payload = trCaseFor(row, sectionId, apiConfig);
+                                if (trNameKey(payload.title) == trNameKey(trCase.title))
+                                    payload.title = trCase.title;
+
+                                return client.updateCase(caseId, payload);
+                            })
+                            .then(() => {
+                                if (flags.verbose) console.log("Updated case C" + caseId, "from", relFile);
+                                summary.updated.push([relFile, caseId]);
+                            });
+                    }
+
+                    // Both changed since the last import, don't lose the local changes
+                    let imported = importState.files[importStateKey(testFile, testDir)];
+                    let changedLocally = imported ? contentHash(content) != imported.hash : uncommitted(testFile);
+                    if (changedLocally && options.prefer != 'remote') {
+                        summary.conflicts.push([relFile, caseId]);
+                        return;
+                    }
+
+                    let [newRelFile, newContent] = testFor(trRowForCase(trCase, sections, sectionPaths, apiConfig));
+                    let newTestFile = path.join(testDir, newRelFile);
+
+                    // Title/section changed in TestRail, move the file
+                    if (trSectionKey(sectionPaths[trCase.section_id] || "") != sectionKey ||
+                        trNameKey(trCase.title) != trNameKey(row['Title'])) {
+                        fsUtils.mkdirsSync(path.dirname(newTestFile));
+                        fs.unlinkSync(testFile);
+                    } else {
+                        newTestFile = testFile;
+                    }
+
+                    if (flags.verbose) console.log("Updated", path.relative(testDir, newTestFile), "from case C" + caseId);
+
+                    fs.writeFileSync(newTestFile, newContent);
+                    recordImportedFile(importState, newTestFile, testDir, newContent);
+                    manifest.cases['C' + caseId] = importStateKey(newTestFile, testDir);
+                    summary.pulled.push([path.relative(testDir, newTestFile), caseId]);
+                });
+            });
+
+            return syncs.then(() => {
+
+                saveIdManifest(testDir, manifest);
+
+                if (!pull) return;
+
+                // Pulled files count as imported
+                saveImportState(testDir, importState);
+
+                // Cases only in TestRail become new local tests
+                let newRows = [];
+                for (let id in cases) {
+                    if (id in seenIds) continue;
+                    let newRow = trRowForCase(cases[id], sections, sectionPaths, apiConfig);
+                    newRows.push(newRow);
+                    summary.created.push([testFor(newRow)[0], cases[id].id]);
+                }
+
+                if (newRows.length) return saveToTestDir(newRows, testDir, {
+                    onConflict: 'merge'
+                });
+            });
+        })
+        .then(() => summary);
+}
+
+//
+// Test file linting
+//
+
+// Lint rules and their default severities ('error', 'warning' or 'off')
+let lintRules = {
+    'missing-expected-result': 'error',
+    'misspelled-field': 'warning',
+    'duplicate-id': 'error',
+    'filename-collision': 'error',
+    'invalid-id': 'warning',
+    'invalid-field-value': 'warning',
+    'empty-steps': 'warning',
+    'step-numbering': 'warning',
+    'missing-attachment': 'error',
+    'missing-include': 'error',
+    'include-cycle': 'error',
+    'parameter-table': 'error',
+    'unknown-parameter': 'error',
+    'gherkin-syntax': 'error',
+};
+
+// Edit distance between two strings, for spotting misspelled field names
+function editDistance(a, b) {
+
+    let prev = [];
+    for (let j = 0; j <= b.length; ++j) prev.push(j);
+
+    for (let i = 1; i <= a.length; ++i) {
+
+        let curr = [i];
+        for (let j = 1; j <= b.length; ++j) {
+            curr.push(Math.min(prev[j] + 1, curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1)));
+        }
+        prev = curr;
+    }
+
+    return prev[b.length];
+}
+
+// Returns the known field name a 'Field:' label was probably meant to be,
+// allowing fewer typos in short labels
+function misspelledField(label, settings) {
+
+    label = label.trim().toLowerCase();
+    if (label.length < 4) return null;
+
+    let maxDistance = label.length < 6 ? 1 : 2;
+
+    let knownFields = trFieldState(settings).registry.map(field => field.label).concat(['Preconditions', 'Attachment', 'Include']);
+    for (let i = 0; i < knownFields.length; ++i) {
+
+        let distance = editDistance(label, knownFields[i].toLowerCase());
+        if (distance > 0 && distance <= maxDistance) return knownFields[i];
+    }
+    return null;
+}
+
+// Checks a field value against the field type, returns why it's invalid
+// (or null if it's fine)
+function invalidFieldValue(field, value) {
+
+    value = value.trim();
+    if (!value) return null;
+
+    let options = field.options ? Object.keys(field.options).map(option => option.toLowerCase()) : null;
+    let invalid = (expected) => "Invalid " + field.type + " value '" + value + "' for '" + field.label +
+        "', expected " + expected;
+
+    if (field.type == 'integer' && !value.match(/^-?\d+$/))
+        return invalid("a whole number");
+
+    if (field.type == 'checkbox' && !value.match(/^(yes|no|true|false|1|0|x|checked|unchecked)$/i))
+        return invalid("yes or no");
+
+    if (field.type == 'date' && !moment(value).isValid() && !moment(value, "M/D/YYYY h:mm A").isValid())
+        return invalid("a date");
+
+    if (field.type == 'dropdown' && options && options.indexOf(value.toLowerCase()) < 0)
+        return invalid("one of " + Object.keys(field.options).join(", "));
+
+    if (field.type == 'multi-select' && options) {
+        let unknown = value.split(/\s*[,;]\s*/).filter(option => option && options.indexOf(option.toLowerCase()) < 0);
+        if (unknown.length) return invalid("any of " + Object.keys(field.options).join(", "));
+    }
+
+    return null;
+}
+
+// Lints the content of a single test file, returns a list of problems as
+// { file, line, rule, message } objects (line numbers start at 1)
+function lintTestContent(testFile, content, settings) {
+
+    let problems = [];
+    let report = (line, rule, message) => problems.push({
+        file: testFile,
+        line: line,
+        rule: rule,
+        message: message
+    });
+
+    let lines = content.replace(/\r/g, '').split('\n');
+    let hasExpectedResult = false;
+    let hasSteps = false;
+    let stepNumbers = [];
+    let expectedNumbers = [];
+
+    let trFieldRegistry = trFieldState(settings).registry;
+    let trFields = trFieldState(settings).fields;
+    let trRegexes = trFieldState(settings).regexes;
+
+    // Parameter tables aren't steps, but their placeholders have to be in them
+    let table = parseParameterTable(content, settings);
+    let unknownParameters = (text) => (text.match(placeholderRegex) || [])
+        .map(placeholder => placeholder.replace(placeholderRegex, '$1'))
+        .filter(name => table.names.every(other => other.toLowerCase() != name.toLowerCase()));
+
+    if (table) {
+
+        table.problems.forEach(problem => report(problem.line, 'parameter-table', problem.message));
+
+        let title = path.basename(testFile);
+        unknownParameters(title).forEach(name => report(1, 'unknown-parameter',
+            "Unknown parameter '" + name + "' in the title"));
+    }
+
+    for (let i = 0; i < lines.length; ++i) {
+
+        let line = lines[i];
+
+        if (table && i >= table.start && i < table.end) continue;
+
+        if (table) unknownParameters(line).forEach(name => report(i + 1, 'unknown-parameter',
+            "Unknown parameter '" + name + "'"));
+
+        let fieldIndex = trRegexes.findIndex(regex => regex.test(line));
+        if (fieldIndex >= 0) {
+
+            let trField = trFields[fieldIndex];
+            let value = line.match(trRegexes[fieldIndex])[1];
+
+            if (trField == 'Expected Result') hasExpectedResult = true;
+            if (trField == 'Steps' && value.trim()) hasSteps = true;
+
+            if (trField == 'ID' && trCaseId(value) == null)
+                report(i + 1, 'invalid-id', "Invalid TestRail case ID '" + value.trim() + "'");
+
+            let invalid = invalidFieldValue(trFieldRegistry[fieldIndex], value);
+            if (invalid)
+                report(i + 1, 'invalid-field-value', invalid);
+
+            continue;
+        }
+
+        let stepMatch = line.match(separatedStepRegex);
+        let expectedMatch = line.match(separatedExpectedRegex);
+
+        if (stepMatch) {
+            stepNumbers.push([parseInt(stepMatch[1], 10), i + 1]);
+            hasSteps = true;
+            continue;
+        }
+
+        if (expectedMatch) {
+            expectedNumbers.push([parseInt(expectedMatch[1], 10), i + 1]);
+            hasExpectedResult = true;
+            continue;
+        }
+
+        if (line.match(attachmentRegex)) continue;
+
+        let labelMatch = line.match(/^\s?([A-Za-z][A-Za-z ()]*?)\s?:/);
+        let knownField = labelMatch ? misspelledField(labelMatch[1], settings) : null;
+        if (knownField) {
+            report(i + 1, 'misspelled-field', "Unknown field '" + labelMatch[1] +
+                "' (did you mean '" + knownField + "'?) will be exported as a step");
+            continue;
+        }
+
+        if (!hasExpectedResult && line.trim()) hasSteps = true;
+    }
+
+    if (!hasSteps)
+        report(1, 'empty-steps', "No steps");
+
+    if (!hasExpectedResult)
+        report(1, 'missing-expected-result', "No 'Expected Result:' section");
+
+    for (let i = 0; i < stepNumbers.length; ++i) {
+        if (stepNumbers[i][0] != i + 1)
+            report(stepNumbers[i][1], 'step-numbering', "Expected step " + (i + 1) +
+                ", found step " + stepNumbers[i][0]);
+    }
+
+    for (let i = 0; i < expectedNumbers.length; ++i) {
+        let [number, line] = expectedNumbers[i];
+        if (!stepNumbers.find(([stepNumber]) => stepNumber == number))
+            report(line, 'step-numbering', "Expected result " + number + " has no matching step");
+    }
+
+    return problems;
+}
+
+// Lints test files read relative to some test directory, including the
+// checks across files (duplicate IDs, filename collisions).  Attachments
+// are checked if the test directory is given.  Severities for each rule
+// can be overridden, problems of 'off' rules are dropped.
+// Returns a list of { file, line, rule, severity, message } objects.
+function lintTestFiles(testFiles, severities, testDir, settings) {
+
+    settings = settings || moduleSettings;
+
+    severities = Object.assign({}, lintRules, severities);
+
+    let problems = [];
+    let ids = {};
+    let safePaths = {};
+
+    // Feature files are linted a scenario at a time (see featureScenarios()),
+    // with the problems of a scenario on its line
+    let lintedFiles = [];
+    testFiles.forEach(([testFile, content]) => {
+
+        if (!isFeatureFile(testFile, settings)) {
+            lintedFiles.push([testFile, content, testFile, null]);
+            return;
+        }
+
+        try {
+            featureScenarios(testFile, content, settings).forEach(scenario => lintedFiles.push([scenario.file, scenario.content, testFile, scenario.line]));
+        } catch (err) {
+            if (err.line == null) throw err;
+            problems.push({
+                file: testFile,
+                line: err.line,
+                rule: 'gherkin-syntax',
+                message: err.message.substring(err.message.indexOf(': ', testFile.length) + 2)
+            });
+        }
+    });
+
+    for (let i = 0; i < lintedFiles.length; ++i) {
+
+        let [testFile, content, file, scenarioLine] = lintedFiles[i];
+        if (scenarioLine != null) {
+            problems = problems.concat(lintTestContent(testFile, content, settings).map(problem => Object.assign(problem, {
+                file: file,
+                line: scenarioLine
+            })));
+        } else {
+            problems = problems.concat(lintTestContent(testFile, content, settings));
+        }
+
+        if (testDir != null && scenarioLine == null) {
+            try {
+                expandIncludes(content, testFile, testDir);
+            } catch (err) {
+                if (!err.rule) throw err;
+                problems.push({
+                    file: testFile,
+                    line: err.line,
+                    rule: err.rule,
+                    message: err.message.substring(err.message.indexOf(': ', testFile.length) + 2)
+                });
+            }
+        }
+
+        let lines = content.replace(/\r/g, '').split('\n');
+        let idRegex = trFieldState(settings).regexes[trFieldState(settings).fields.indexOf('ID')];
+        for (let j = 0; j < lines.length; ++j) {
+
+            let attachmentMatch = lines[j].match(attachmentRegex);
+            if (attachmentMatch && testDir != null && scenarioLine == null &&
+                !fs.existsSync(path.join(testDir, path.dirname(testFile), attachmentMatch[1].trim()))) {
+                problems.push({
+                    file: testFile,
+                    line: j + 1,
+                    rule: 'missing-attachment',
+                    message: "Attachment " + attachmentMatch[1].trim() + " not found"
+                });
+            }
+
+            let match = lines[j].match(idRegex);
+            if (!match || !match[1].trim()) continue;
+
+            let caseId = trCaseId(match[1]);
+            let key = caseId != null ? "C" + caseId : match[1].trim();
+            (ids[key] = ids[key] || []).push([file, scenarioLine || j + 1]);
+        }
+
+        let table = parseParameterTable(content, settings);
+        (table ? table.rows : []).forEach((row, k) => {
+            if (row.caseId == null || table.rows.findIndex(other => other.caseId == row.caseId) < k) return;
+            (ids["C" + row.caseId] = ids["C" + row.caseId] || []).push([file, scenarioLine || row.line]);
+        });
+
+        // Importing the exported tests would write this file path
+        let title = path.basename(testFile);
+        title = title.substring(0, title.length - settings.flags.testFileSuffix.length);
+        let importPath = safePath(pathToTrSection(testFile), title);
+        (safePaths[importPath] = safePaths[importPath] || []).push([file, scenarioLine || 1]);
+    }
+
+    // Scenarios are told apart by their line
+    let fileName = ([file, line]) => isFeatureFile(file, settings) ? file + ":" + line : file;
+
+    for (let id in ids) {
+        if (ids[id].length < 2) continue;
+        ids[id].forEach(([testFile, line]) => {
+            problems.push({
+                file: testFile,
+                line: line,
+                rule: 'duplicate-id',
+                message: "ID " + id + " is also used in " + ids[id]
+                    .filter(([otherFile, otherLine]) => otherFile != testFile || otherLine != line)
+                    .map(fileName).join(', ')
+            });
+        });
+    }
+
+    for (let importPath in safePaths) {
+        if (safePaths[importPath].length < 2) continue;
+        safePaths[importPath].forEach(([testFile, line]) => {
+            problems.push({
+                file: testFile,
+                line: line,
+                rule: 'filename-collision',
+                message: "Title collides with " + safePaths[importPath]
+                    .filter(([otherFile, otherLine]) => otherFile != testFile || otherLine != line)
+                    .map(fileName).join(', ') +
+                    " when imported as " + importPath + settings.flags.testFileSuffix
+            });
+        });
+    }
+
+    problems = problems
+        .map(problem => Object.assign(problem, {
+            severity: severities[problem.rule] || 'error'
+        }))
+        .filter(problem => problem.severity != 'off');
+
+    problems.sort((a, b) => {
+        if (a.file != b.file) return a.file < b.file ? -1 : 1;
+        return a.line - b.line;
+    });
+
+    return problems;
+}
+
+// Lints a directory of manual test files
+// Promises the list of problems found (see lintTestFiles())
+function lintTestDir(testDir, severities, settings) {
+
+    return walkTestDir(testDir, settings)
+        .then(testPaths => Promise.all(testPaths.map(testPath => new Promise((resolve, reject) => {
+            fs.readFile(testPath, 'utf8', (err, content) => {
+                if (err) reject(err);
+                resolve([path.relative(testDir, testPath), content]);
+            });
+        }))))
+        .then(testFiles => lintTestFiles(testFiles, severities, testDir, settings));
+}
+
+// Formats lint problems as human-readable text
+function formatLintProblems(problems) {
+
+    let lines = problems.map(problem => problem.file + ":" + problem.line + "  " +
+        problem.severity + "  " + problem.message + "  (" + problem.rule + ")");
+
+    let errors = problems.filter(problem => problem.severity == 'error').length;
+    lines.push("", errors + " error(s), " + (problems.length - errors) + " warning(s)");
+
+    return lines.join('\n');
+}
+
+//
+// Test run results
+//
+// Results of running the manual tests are kept in run files (e.g.
+// Release_2_3.run) next to the test tree, with the test file path (relative
+// to the test directory) or TestRail case ID of each case run followed by
+// its result fields (case insensitive).  Fields before the first case apply
+// to the whole run:
+// > cat Release_2_3.run
+// Run: Release 2.3
+// Tester: SOME TESTER
+//
+// Login/Enter_PIN.test.txt
+// Status: Passed
+// Elapsed: 2m 30s
+//
+// C1234
+// Status: Failed
+// Tester: SOME OTHER TESTER
+// Defects: BUG-12, BUG-13
+// Comment: SOME COMMENT
+// THAT CONTINUES
+//
+
+let runFields = ['Run', 'Tester', 'Version', 'Status', 'Elapsed', 'Defects', 'Comment'];
+let runRegexes = runFields.map(field => new RegExp('^\\s?' + field + '\\s?:\\s?(.*)$', 'i'));
+
+// TestRail's built-in result statuses, custom ones can be added in the
+// 'results' section of the project config
+let defaultResultStatuses = {
+    'Passed': 1,
+    'Blocked': 2,
+    'Untested': 3,
+    'Retest': 4,
+    'Failed': 5,
+};
+
+// TestRail timespans, e.g. "1h 30m" or "45s"
+let elapsedRegex = /^(\d+\s*[wdhms]\s*)+$/i;
+
+// Parses run file content
+// Returns { run, results } with the run fields and a list of results, each
+// with the case reference and its line as well as its fields
+function parseRunFile(content) {
+
+    let run = {};
+    let results = [];
+    let lastField = null;
+    let prevBlank = false;
+
+    let lines = content.replace(/\r/g, '').split('\n');
+    for (let i = 0; i < lines.length; ++i) {
+
+        let line = lines[i];
+        let blank = !line.trim();
+        let current = results.length ? results[results.length - 1] : run;
+
+        let j = runRegexes.findIndex(regex => regex.test(line));
+        if (j >= 0) {
+            lastField = runFields[j];
+            current[lastField] = line.match(runRegexes[j])[1].trim();
+        } else if (!blank && lastField == 'Comment' && !prevBlank) {
+            current['Comment'] += '\n' + line.trim();
+        } else if (!blank) {
+            lastField = null;
+            results.push({
+                ref: line.trim(),
+                line: i + 1
+            });
+        }
+
+        prevBlank = blank;
+    }
+
+    return {
+        run: run,
+        results: results
+    };
+}
+
+// Reads a run file, promises the parsed run (see parseRunFile())
+function readRunFile(runFile) {
+
+    return new Promise((resolve, reject) => {
+
+        fs.readFile(runFile, 'utf8', (err, content) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(parseRunFile(content));
+        });
+    });
+}
+
+// Matches the results of a parsed run file to the test files read from a
+// test directory (see readTestDir()) and validates them.  Result statuses
+// are mapped to TestRail status IDs by name.
+// Returns { results, problems } with results as { caseId, testFile, title,
+// section, status, statusId, tester, version, elapsed, defects, comment }
+// and problems like lint problems (see lintTestFiles()).
+function checkRunResults(runFile, parsedRun, readTestFiles, statuses) {
+
+    statuses = Object.assign({}, defaultResultStatuses, statuses);
+
+    let statusIds = {};
+    for (let status in statuses) statusIds[status.toLowerCase()] = statuses[status];
+
+    let byPath = {};
+    let byId = {};
+    readTestFiles.forEach((readTestFile) => {
+
+        let testPath = readTestFile[0].split(path.sep).join('/');
+        byPath[testPath] = readTestFile;
+        byPath[testPath.substring(0, testPath.length - flags.testFileSuffix.length)] = readTestFile;
+
+        let caseId = trCaseId(trRowFor(readTestFile)['ID']);
+        if (caseId != null) byId[caseId] = readTestFile;
+    });
+
+    let problems = [];
+    let problem = (line, rule, severity, message) => problems.push({
+        file: runFile,
+        line: line,
+        rule: rule,
+        severity: severity,
+        message: message
+    });
+
+    let results = [];
+    let resultLines = {};
+
+    parsedRun.results.forEach((result) => {
+
+        let ref = result.ref.replace(/\\/g, '/');
+        let readTestFile = trCaseId(ref) != null ? byId[trCaseId(ref)] : byPath[ref];
+        if (!readTestFile) {
+            problem(result.line, 'unknown-case', 'error', "No test " + result.ref + " in the test directory");
+            return;
+        }
+
+        let [testFile] = readTestFile;
+        let row = trRowFor(readTestFile);
+        let caseId = trCaseId(row['ID']);
+        if (caseId == null)
+            problem(result.line, 'missing-id', 'error', testFile + " has no TestRail ID to record results for");
+
+        if (resultLines[testFile]) {
+            problem(result.line, 'duplicate-result', 'warning', "Also has a result on line " + resultLines[testFile]);
+        }
+        resultLines[testFile] = result.line;
+
+        let status = result['Status'] || "";
+        if (!status) {
+            problem(result.line, 'missing-status', 'error', "No status for " + result.ref);
+        } else if (!(status.toLowerCase() in statusIds)) {
+            problem(result.line, 'invalid-status', 'error', "Unknown status '" + status +
+                "', expected one of " + Object.keys(statuses).join(', '));
+        }
+
+        let elapsed = result['Elapsed'] || "";
+        if (elapsed && !elapsed.match(elapsedRegex)) {
+            problem(result.line, 'invalid-elapsed', 'error', "Elapsed time '" + elapsed +
+                "' is not a timespan like '1h 30m' or '45s'");
+        }
+
+        results.push({
+            caseId: caseId,
+            testFile: testFile,
+            title: row['Title'],
+            section: row['Section'],
+            status: status,
+            statusId: statusIds[status.toLowerCase()],
+            tester: result['Tester'] || parsedRun.run['Tester'] || "",
+            version: result['Version'] || parsedRun.run['Version'] || "",
+            elapsed: elapsed,
+            defects: result['Defects'] || "",
+            comment: result['Comment'] || ""
+        });
+    });
+
+    return {
+        results: results,
+        problems: problems
+    };
+}
+
+let trResultColumns = ['Case ID', 'Title', 'Section', 'Status', 'Tested By', 'Version', 'Elapsed', 'Defects', 'Comment'];
+
+// Saves checked run results (see checkRunResults()) to a CSV formatted for
+// importing into a TestRail run
+// Promises to return when done.
+function saveTrResultsCsv(results, outputFile) {
+
+    let csvRows = [trResultColumns].concat(results.map(result => [
+        "C" + result.caseId, result.title, result.section, result.status, result.tester,
+        result.version, result.elapsed, result.defects, result.comment
+    ]));
+
+    return writeCsv(csvRows, outputFile);
+}
+
+// Returns the add_results_for_cases API payload for checked run results
+// (see checkRunResults()).  Testers are mentioned in the comment, as the API
+// records results as added by the API user (and 'assignedto_id' would
+// reassign the test instead).
+function trResultsPayload(results) {
+
+    return {
+        results: results.map((result) => {
+
+            let payload = {
+                case_id: result.caseId,
+                status_id: result.statusId
+            };
+
+            let comment = result.comment;
+            if (result.tester) comment = (comment + "\n\nTested by " + result.tester).trim();
+
+            if (comment) payload.comment = comment;
+            if (result.version) payload.version = result.version;
+            if (result.elapsed) payload.elapsed = result.elapsed;
+            if (result.defects) payload.defects = result.defects;
+
+            return payload;
+        })
+    };
+}
+
+// Formats the number of results with each status per section as
+// human-readable text
+function formatResultsSummary(results) {
+
+    let counts = (sectionResults) => {
+
+        let byStatus = {};
+        sectionResults.forEach((result) => {
+            let status = result.status.toLowerCase();
+            byStatus[status] = (byStatus[status] || 0) + 1;
+        });
+
+        return Object.keys(byStatus).map(status => byStatus[status] + " " + status).join(', ');
+    };
+
+    let sections = {};
+    results.forEach(result => (sections[result.section] = sections[result.section] || []).push(result));
+
+    let lines = Object.keys(sections).sort().map(section => (section || "(root)") + ": " + counts(sections[section]));
+    lines.push("", "Total: " + (results.length ? counts(results) : "no results"));
+
+    return lines.join('\n');
+}
+
+//
+// Filters
+//
+// Exports and imports can be limited to the test cases matching a filter
+// expression over their fields (see lib/filter.js) and path globs relative
+// to the test directory:
+// > trio --filter 'Priority in (1, 2) and Section ~ "Payments > *"' \
+//     --include 'Payments/**' --exclude '*_Draft.test.txt' ...
+//
+
+// Returns the value of a field of a row object (see trRowFor()) for
+// filters, by column or field label ignoring case.  'Section' is the whole
+// section hierarchy, 'Path' the test file path and 'ID' also matches
+// without the 'C'.
+function filterFieldValue(row, testFile, name, settings) {
+
+    let lowerName = name.toLowerCase();
+    if (lowerName == 'section') return row['Section Hierarchy'] || pathToTrSection(testFile);
+    if (lowerName == 'path') return testFile.split(path.sep).join('/');
+    if (lowerName == 'id') return row['ID'] ? [row['ID'], "" + trCaseId(row['ID'])] : null;
+
+    let column = trFieldState(settings).fields.find(column => column.toLowerCase() == lowerName ||
+        trFieldFor(column, settings).label.toLowerCase() == lowerName);
+    if (!column) column = Object.keys(row).find(column => column.toLowerCase() == lowerName);
+
+    return column ? row[column] : null;
+}
+
+// Returns the test filter for options { filter, include, exclude } with a
+// filter expression and lists of path globs (see lib/filter.js), or null if
+// there's nothing to filter by.  The test filter checks a row object (see
+// trRowFor()) and its test file path, relative to the test directory, with
+// the settings (see createTrio()) fields are looked up in.
+function testFilterFor(options) {
+
+    options = options || {};
+
+    let include = [].concat(options.include || []);
+    let exclude = [].concat(options.exclude || []);
+    let matchesFields = options.filter ? parseFilter(options.filter) : null;
+
+    if (!matchesFields && !include.length && !exclude.length) return null;
+
+    return (row, testFile, settings) => {
+
+        let filePath = testFile.split(path.sep).join('/');
+        if (include.length && !include.some(glob => matchesPathGlob(glob, filePath))) return false;
+        if (exclude.some(glob => matchesPathGlob(glob, filePath))) return false;
+
+        return !matchesFields || matchesFields(name => filterFieldValue(row, testFile, name, settings));
+    };
+}
+
+// Filters read test files (see readTestDir()) with a test filter (see
+// testFilterFor())
+function filterTestFiles(readTestFiles, testFilter, settings) {
+    if (!testFilter) return readTestFiles;
+    return readTestFiles.filter(readTestFile => testFilter(trRowFor(readTestFile, null, settings), readTestFile[0], settings));
+}
+
+// Filters rows from a TestRail file with a test filter (see
+// testFilterFor()), by the test files they'd be imported to
+function filterTestRows(testRows, testFilter, settings) {
+    if (!testFilter) return testRows;
+    return testRows.filter(row => testFilter(row, testFor(row, settings)[0], settings));
+}
+
+//
+// Run plans
+//
+// The cases of TestRail test runs are picked in plan manifests (e.g.
+// Release_2_3.plan) kept next to the test tree, selecting tests by path
+// globs, sections and filter expressions (see testFilterFor()).  A manifest
+// is a single run, or a plan of runs with a 'Run:' line starting each run:
+// > cat Release_2_3.plan
+// Name: Release 2.3
+// Milestone: Release 2.3
+// Filter: Priority in (High, Critical)
+//
+// Run: Payments
+// Section: Payments
+// Exclude: Payments/Legacy/**
+//
+// Run: Login on Android
+// Include: Login/**
+// Filter: Platform ~ "*Android*"
+//
+// Selections before the first run apply to all runs, and a test is selected
+// if it matches all of the selections given.
+//
+
+let planFields = ['Name', 'Milestone', 'Description', 'Run', 'Include', 'Exclude', 'Section', 'Filter'];
+let planRegexes = planFields.map(field => new RegExp('^\\s?' + field + '\\s?:\\s?(.*)$', 'i'));
+
+function emptySelection() {
+    return {
+        include: [],
+        exclude: [],
+        sections: [],
+        filters: []
+    };
+}
+
+// Parses plan manifest content
+// Returns { name, milestone, milestoneLine, description, selection, runs,
+// invalid } with the runs as { name, line, description, selection }, selections as
+// { include, exclude, sections, filters } (filters as { filter, line }) and
+// the lines that aren't manifest fields as { line, text }
+function parsePlanManifest(content) {
+
+    let manifest = {
+        name: "",
+        milestone: null,
+        milestoneLine: null,
+        description: "",
+        selection: emptySelection(),
+        runs: [],
+        invalid: []
+    };
+    let lastField = null;
+    let prevBlank = false;
+
+    let lines = content.replace(/\r/g, '').split('\n');
+    for (let i = 0; i < lines.length; ++i) {
+
+        let line = lines[i];
+        let blank = !line.trim();
+        let current = manifest.runs.length ? manifest.runs[manifest.runs.length - 1] : manifest;
+
+        let j = planRegexes.findIndex(regex => regex.test(line));
+        let value = j >= 0 ? line.match(planRegexes[j])[1].trim() : null;
+        let field = j >= 0 ? planFields[j] : null;
+
+        if (field == 'Run') {
+            manifest.runs.push({
+                name: value,
+                line: i + 1,
+                description: "",
+                selection: emptySelection()
+            });
+        } else if (field == 'Include' || field == 'Exclude') {
+            current.selection[field.toLowerCase()].push(value);
+        } else if (field == 'Section') {
+            current.selection.sections.push(value);
+        } else if (field == 'Filter') {
+            current.selection.filters.push({
+                filter: value,
+                line: i + 1
+            });
+        } else if (field == 'Description') {
+            current.description = value;
+        } else if (field && current == manifest) {
+            manifest[field.toLowerCase()] = value;
+            if (field == 'Milestone') manifest.milestoneLine = i + 1;
+        } else if (field) {
+            manifest.invalid.push({
+                line: i + 1,
+                text: field + " is set for the whole plan, before the first Run"
+            });
+        } else if (!blank && lastField == 'Description' && !prevBlank) {
+            current.description += '\n' + line.trim();
+        } else if (!blank) {
+            lastField = null;
+            manifest.invalid.push({
+                line: i + 1,
+                text: "Expected a manifest field, found '" + line.trim() + "'"
+            });
+        }
+
+        if (field) lastField = field;
+        prevBlank = blank;
+    }
+
+    return manifest;
+}
+
+// Reads a plan manifest, promises the parsed manifest (see
+// parsePlanManifest())
+function readPlanManifest(manifestFile) {
+
+    return new Promise((resolve, reject) => {
+
+        fs.readFile(manifestFile, 'utf8', (err, content) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(parsePlanManifest(content));
+        });
+    });
+}
+
+// Returns a function checking a row object (see trRowFor()) and its test
+// file against a selection of a plan manifest, with the filters already
+// checked to parse
+function planSelectionFilter(selection) {
+
+    let testFilter = testFilterFor({
+        include: selection.include,
+        exclude: selection.exclude,
+        filter: selection.filters.length ? selection.filters.map(entry => "(" + entry.filter + ")").join(" and ") : null
+    });
+
+    let sectionKeys = selection.sections.map(section => trSectionKey(section).toLowerCase());
+
+    return (row, testFile) => {
+
+        let sectionKey = trSectionKey(row['Section Hierarchy'] || pathToTrSection(testFile)).toLowerCase();
+        if (sectionKeys.length && !sectionKeys.some(key => sectionKey == key || sectionKey.startsWith(key + " > ")))
+            return false;
+
+        return !testFilter || testFilter(row, testFile);
+    };
+}
+
+// Reads the test files a plan manifest selects from (see readTestDir()),
+// suite by suite for test directories with suite directories, with paths
+// relative to the test directory
+// Promises the read test files.
+function readPlanTestFiles(testDir) {
+
+    let suites = readSuiteDirs(testDir);
+    if (!suites.length) return readTestDir(testDir);
+
+    return Promise.all(suites.map(suite => readTestDir(suite.dir)
+            .then(readTestFiles => readTestFiles.map(([testFile, content, createLog, modifiedLog, section]) => [
+                path.join(path.relative(testDir, suite.dir), testFile), content, createLog, modifiedLog,
+                Object.assign({}, section, {
+                    testDir: testDir
+                })
+            ]))))
+        .then(suiteTestFiles => [].concat(...suiteTestFiles));
+}
+
+// Resolves a parsed plan manifest (see parsePlanManifest()) against the test
+// files read from a test directory (see readPlanTestFiles()) into the
+// TestRail cases of each run, in test directory order.  Runs with cases from
+// several suites are split into a run per suite.  Options are { milestones,
+// suiteId } with milestone names mapped to TestRail milestone IDs ('M7' and
+// '7' are IDs already) and the suite of tests that aren't in a suite
+// directory.
+// Returns { plan, problems } with the plan as { name, description,
+// milestoneId, runs, isPlan }, the runs as { name, description, suiteId,
+// cases } and the cases as { caseId, testFile, title, section }, and
+// problems like lint problems (see lintTestFiles()).
+function resolvePlan(manifestFile, manifest, readTestFiles, options) {
+
+    options = options || {};
+
+    let problems = [];
+    let problem = (line, rule, severity, message) => problems.push({
+        file: manifestFile,
+        line: line,
+        rule: rule,
+        severity: severity,
+        message: message
+    });
+
+    manifest.invalid.forEach(invalid => problem(invalid.line, 'invalid-line', 'error', invalid.text));
+
+    // Bad filters would select nothing, so they're errors
+    let badFilters = 0;
+    manifest.runs.map(run => run.selection).concat([manifest.selection]).forEach((selection) => {
+        selection.filters.forEach((entry) => {
+            try {
+                parseFilter(entry.filter);
+            } catch (err) {
+                problem(entry.line, 'invalid-filter', 'error', err.message);
+                badFilters++;
+            }
+        });
+    });
+
+    let milestoneId = null;
+    if (manifest.milestone) {
+        let milestones = options.milestones || {};
+        let match = manifest.milestone.match(/^M?(\d+)$/i);
+        milestoneId = manifest.milestone in milestones ? milestones[manifest.milestone] : (match ? parseInt(match[1], 10) : null);
+        if (milestoneId == null) problem(manifest.milestoneLine, 'unknown-milestone', 'warning', "No TestRail ID for milestone '" +
+            manifest.milestone + "', add it to the 'plan' milestones of the project config");
+    }
+
+    let plan = {
+        name: manifest.name || path.basename(manifestFile, path.extname(manifestFile)),
+        description: manifest.description,
+        milestoneId: milestoneId,
+        runs: [],
+        isPlan: manifest.runs.length > 0
+    };
+
+    if (badFilters) return {
+        plan: plan,
+        problems: problems
+    };
+
+    let suiteOf = (section) => {
+        if (section && section.suite && section.suite.id != null) return section.suite;
+        return options.suiteId != null ? {
+            id: trSuiteId(options.suiteId),
+            name: null
+        } : null;
+    };
+
+    let rows = readTestFiles.slice().sort(compareTestFiles)
+        .map(readTestFile => [readTestFile[0], trRowFor(readTestFile), suiteOf(readTestFile[4])]);
+    let selectedByAll = planSelectionFilter(manifest.selection);
+
+    let runs = plan.isPlan ? manifest.runs : [{
+        name: plan.name,
+        line: 1,
+        description: "",
+        selection: emptySelection()
+    }];
+
+    runs.forEach((run) => {
+
+        let selected = planSelectionFilter(run.selection);
+        let suiteRuns = [];
+
+        rows.filter(([testFile, row]) => selectedByAll(row, testFile) && selected(row, testFile)).forEach(([testFile, row, suite]) => {
+
+            let caseId = trCaseId(row['ID']);
+            if (caseId == null) {
+                problem(run.line, 'missing-id', 'warning', testFile + " is selected but has no TestRail ID yet");
+                return;
+            }
+
+            let suiteId = suite ? suite.id : null;
+            let suiteRun = suiteRuns.find(other => other.suiteId === suiteId);
+            if (!suiteRun) {
+                suiteRun = {
+                    suiteId: suiteId,
+                    suiteName: suite && suite.name ? suite.name : (suiteId != null ? "S" + suiteId : "no suite"),
+                    cases: []
+                };
+                suiteRuns.push(suiteRun);
+            }
+
+            if (suiteRun.cases.find(other => other.caseId == caseId)) return;
+
+            suiteRun.cases.push({
+                caseId: caseId,
+                testFile: testFile,
+                title: row['Title'],
+                section: row['Section Hierarchy'] || row['Section']
+            });
+        });
+
+        if (!suiteRuns.length) {
+            problem(run.line, 'empty-run', 'warning', "Run '" + run.name + "' has no cases");
+            let suite = suiteOf(null);
+            suiteRuns.push({
+                suiteId: suite ? suite.id : null,
+                cases: []
+            });
+        }
+
+        if (suiteRuns.length > 1 && !plan.isPlan) {
+            problem(run.line, 'multiple-suites', 'error', "Cases from " + suiteRuns.map(suiteRun => suiteRun.suiteName).join(', ') +
+                " can't be in one run, use 'Run:' lines for a plan");
+        }
+
+        // TestRail needs the suite of each run of a plan
+        if (plan.isPlan && suiteRuns.some(suiteRun => suiteRun.suiteId == null)) {
+            problem(run.line, 'unknown-suite', 'error', "No TestRail suite ID for run '" + run.name +
+                "', use a suite directory or set the 'testrail' suiteId of the project config");
+        }
+
+        suiteRuns.forEach(suiteRun => plan.runs.push({
+            name: suiteRuns.length > 1 ? run.name + " (" + suiteRun.suiteName + ")" : run.name,
+            description: run.description,
+            suiteId: suiteRun.suiteId,
+            cases: suiteRun.cases
+        }));
+    });
+
+    return {
+        plan: plan,
+        problems: problems
+    };
+}
+
+// Returns the API payload creating a resolved plan (see resolvePlan()) in
+// TestRail - add_run for a single run, add_plan for a plan of runs
+function trPlanPayload(plan) {
+
+    let runPayload = (run) => {
+
+        let payload = {};
+        if (run.suiteId != null) payload.suite_id = run.suiteId;
+        payload.name = run.name;
+        if (run.description) payload.description = run.description;
+
+        return Object.assign(payload, {
+            include_all: false,
+            case_ids: run.cases.map(selected => selected.caseId)
+        });
+    };
+
+    let payload = plan.isPlan ? {
+        name: plan.name
+    } : runPayload(plan.runs[0]);
+
+    if (plan.description) payload.description = plan.description;
+    if (plan.milestoneId != null) payload.milestone_id = plan.milestoneId;
+    if (plan.isPlan) payload.entries = plan.runs.map(runPayload);
+
+    return payload;
+}
+
+let trPlanColumns = ['Run', 'Case ID', 'Title', 'Section', 'Test File', 'Status', 'Tested By'];
+
+// Saves a resolved plan (see resolvePlan()) as a checklist CSV, with a row
+// per case of each run and blank Status and Tested By columns to fill in
+// Promises to return when done.
+function saveTrPlanCsv(plan, outputFile) {
+
+    let csvRows = [trPlanColumns];
+    plan.runs.forEach(run => run.cases.forEach((selected) => {
+        csvRows.push([run.name, "C" + selected.caseId, selected.title, selected.section,
+            selected.testFile.split(path.sep).join('/'), "", ""
+        ]);
+    }));
+
+    return writeCsv(csvRows, outputFile);
+}
+
+// Formats the number of cases in each run of a resolved plan (see
+// resolvePlan()) as human-readable text
+function formatPlanSummary(plan) {
+
+    let total = plan.runs.reduce((total, run) => total + run.cases.length, 0);
+
+    let lines = plan.isPlan ? plan.runs.map(run => run.name + ": " + run.cases.length + " case(s)").concat([""]) : [];
+    lines.push(plan.name + ": " + total + " case(s)" + (plan.isPlan ? " in " + plan.runs.length + " run(s)" : ""));
+
+    return lines.join('\n');
+}
+
+//
+// Requirements traceability
+//
+// Test files reference requirements (e.g. Jira keys) on their
+// 'References:' line, comma separated as TestRail has them:
+// > cat Login/Enter_PIN.test.txt
+// ...
+// References: AUTH-12, AUTH-15
+//
+
+// Splits a TestRail References field into its references
+function splitReferences(refs) {
+    return ("" + (refs == null ? "" : refs)).split(/[,\s]+/).filter(ref => ref);
+}
+
+// Compares references so that e.g. AUTH-2 sorts before AUTH-10
+function compareReferences(a, b) {
+    return a.localeCompare(b, 'en', {
+        numeric: true,
+        sensitivity: 'base'
+    });
+}
+
+// Builds the traceability matrix of test files read from a test directory
+// (see readTestDir()), optionally checked against a list of required
+// references.  References are matched case insensitively.
+// Returns { references, unreferenced, uncovered } with the references as
+// { ref, cases }, the cases without references and the required references
+// without cases, cases as { caseId, testFile, title, section, priority,
+// updatedOn, updatedBy } in test directory order.
+function traceReferences(readTestFiles, requiredRefs) {
+
+    let references = {};
+    let unreferenced = [];
+
+    readTestFiles.slice().sort(compareTestFiles).forEach((readTestFile) => {
+
+        let [testFile, content, createLog, modifiedLog] = readTestFile;
+        let row = trRowFor(readTestFile);
+
+        let traced = {
+            caseId: trCaseId(row['ID']),
+            testFile: testFile,
+            title: row['Title'],
+            section: row['Section Hierarchy'] || "",
+            priority: row['Priority'] || "",
+            updatedOn: modifiedLog ? moment(modifiedLog.date).format('YYYY-MM-DD') : "",
+            updatedBy: modifiedLog ? modifiedLog.author_name : ""
+        };
+
+        let refs = splitReferences(row['References']);
+        if (!refs.length) unreferenced.push(traced);
+
+        refs.forEach((ref) => {
+            let key = ref.toUpperCase();
+            if (!(key in references)) references[key] = {
+                ref: ref,
+                cases: []
+            };
+            if (references[key].cases.indexOf(traced) < 0) references[key].cases.push(traced);
+        });
+    });
+
+    let uncovered = (requiredRefs || []).filter((ref, i, refs) =>
+        !(ref.toUpperCase() in references) && refs.findIndex(other => other.toUpperCase() == ref.toUpperCase()) == i);
+
+    return {
+        references: Object.keys(references).map(key => references[key]).sort((a, b) => compareReferences(a.ref, b.ref)),
+        unreferenced: unreferenced,
+        uncovered: uncovered.sort(compareReferences)
+    };
+}
+
+// Reads a list of required references, either a text file with references
+// on each line or a CSV with them in a 'References' (or 'Key', 'Issue key')
+// column, otherwise the first column.  Lines starting with '#' are comments.
+// Promises the references.
+function readRequiredReferences(refsFile) {
+
+    return new Promise((resolve, reject) => {
+
+        fs.readFile(refsFile, 'utf8', (err, content) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            content = content.replace(/^\ufeff/, '');
+
+            if (path.extname(refsFile).toLowerCase() != '.csv') {
+                resolve(content.split(/\r?\n/).filter(line => !line.trim().startsWith('#'))
+                    .reduce((refs, line) => refs.concat(splitReferences(line)), []));
+                return;
+            }
+
+            csv.parse(content, {
+                relax_column_count: true
+            }, (err, csvRows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                let header = (csvRows[0] || []).map(column => column.trim().toLowerCase());
+                let column = header.findIndex(column => ['reference', 'references', 'key', 'issue key'].indexOf(column) >= 0);
+                if (column >= 0) csvRows = csvRows.slice(1);
+
+                resolve(csvRows.map(csvRow => csvRow[Math.max(column, 0)] || "")
+                    .filter(cell => !cell.trim().startsWith('#'))
+                    .reduce((refs, cell) => refs.concat(splitReferences(cell)), []));
+            });
+        });
+    });
+}
+
+let traceFormats = {
+    '.md': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.csv': 'csv'
+};
+
+// Returns the format of a traceability report file, given or from its
+// extension (markdown by default)
+function traceFormat(file, format) {
+
+    format = format || traceFormats[path.extname(file || "").toLowerCase()] || 'markdown';
+    if (['markdown', 'html', 'csv'].indexOf(format) < 0)
+        throw new Error("Unknown format '" + format + "', expected markdown, html or csv");
+
+    return format;
+}
+
+let traceColumns = ['Reference', 'Case ID', 'Title', 'Section', 'Priority', 'Updated On', 'Updated By', 'Test File'];
+
+// Returns the rows of a traceability report (see traceReferences()), one per
+// reference and case, with cases without references and references without
+// cases on rows of their own
+function traceRows(trace) {
+
+    let caseCells = traced => [traced.caseId != null ? "C" + traced.caseId : "", traced.title, traced.section,
+        traced.priority, traced.updatedOn, traced.updatedBy, traced.testFile.split(path.sep).join('/')
+    ];
+
+    let rows = [];
+    trace.references.forEach(reference => reference.cases.forEach(traced => rows.push([reference.ref].concat(caseCells(traced)))));
+    trace.unreferenced.forEach(traced => rows.push([""].concat(caseCells(traced))));
+    trace.uncovered.forEach(ref => rows.push([ref, "", "", "", "", "", "", ""]));
+
+    return rows;
+}
+
+// Formats a traceability report (see traceReferences()) as Markdown
+function formatTraceMarkdown(trace) {
+
+    let cell = text => ("" + text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    let table = (columns, rows) => ["| " + columns.join(" | ") + " |", "|" + columns.map(() => "---|").join('')]
+        .concat(rows.map(row => "| " + row.map(cell).join(" | ") + " |"));
+
+    let rows = traceRows(trace);
+    let lines = ["# Traceability", "",
+        trace.references.length + " reference(s), " + trace.unreferenced.length + " case(s) without references, " +
+        trace.uncovered.length + " required reference(s) without cases", "",
+        "## Test cases by reference", ""
+    ];
+
+    lines = lines.concat(table(traceColumns, rows.filter(row => row[0] && row[2])));
+
+    if (trace.unreferenced.length) {
+        lines.push("", "## Test cases without references", "");
+        lines = lines.concat(table(traceColumns.slice(1), rows.filter(row => !row[0]).map(row => row.slice(1))));
+    }
+
+    if (trace.uncovered.length) {
+        lines.push("", "## Required references without test cases", "");
+        lines = lines.concat(trace.uncovered.map(ref => "- " + cell(ref)));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Formats a traceability report (see traceReferences()) as a standalone HTML
+// page
+function formatTraceHtml(trace) {
+
+    let escape = text => ("" + text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    let table = (columns, rows) => ["<table>",
+        "  <tr>" + columns.map(column => "<th>" + escape(column) + "</th>").join('') + "</tr>"
+    ].concat(rows.map(row => "  <tr>" + row.map(value => "<td>" + escape(value) + "</td>").join('') + "</tr>"), ["</table>"]);
+
+    let rows = traceRows(trace);
+    let lines = ["<!DOCTYPE html>", "<html>", "<head>", '<meta charset="utf-8">', "<title>Traceability</title>",
+        "<style>table { border-collapse: collapse; } th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }</style>",
+        "</head>", "<body>", "<h1>Traceability</h1>",
+        "<p>" + trace.references.length + " reference(s), " + trace.unreferenced.length + " case(s) without references, " +
+        trace.uncovered.length + " required reference(s) without cases</p>",
+        "<h2>Test cases by reference</h2>"
+    ];
+
+    lines = lines.concat(table(traceColumns, rows.filter(row => row[0] && row[2])));
+
+    if (trace.unreferenced.length) {
+        lines.push("<h2>Test cases without references</h2>");
+        lines = lines.concat(table(traceColumns.slice(1), rows.filter(row => !row[0]).map(row => row.slice(1))));
+    }
+
+    if (trace.uncovered.length) {
+        lines.push("<h2>Required references without test cases</h2>", "<ul>");
+        lines = lines.concat(trace.uncovered.map(ref => "  <li>" + escape(ref) + "</li>"), ["</ul>"]);
+    }
+
+    lines.push("</body>", "</html>");
+    return lines.join('\n') + '\n';
+}
+
+// Formats a traceability report (see traceReferences()) as Markdown, HTML or
+// CSV (see traceRows())
+// Promises the report text.
+function formatTraceReport(trace, format) {
+
+    if (format == 'markdown') return Promise.resolve(formatTraceMarkdown(trace));
+    if (format == 'html') return Promise.resolve(formatTraceHtml(trace));
+
+    return new Promise((resolve, reject) => {
+        csv.stringify([traceColumns].concat(traceRows(trace)), {
+            quoted: true
+        }, (err, csvStr) => {
+            if (err) reject(err);
+            resolve(csvStr);
+        });
+    });
 }
 
-// Fields that we add from imported TestRail CSV rows to
-// imported .test.txt files - these fields can then be
-// re-exported to TestRail.
-// NOTE that we don't save 'Updated' information - this
-// is better pulled from git.
-let persistedTrFields = [
-    'ID',
-    'Created By',
-    'Created On',
-    'Milestone',
-    'Priority',
-    'References',
-    'Suite',
-    'Suite ID',
-    'Type'
-];
+//
+// Round trip verification
+//
+// Imports and exports aren't lossless - text is converted to and from
+// markup, titles are made safe as file names, some columns aren't written to
+// test files at all.  Verifying runs tests through an export and an import
+// (or TestRail cases through an import and an export) in a temporary
+// directory, and compares the cases before and after field by field.
+//
 
-// Translate a TestRail 'Section Hierarchy' into a path that's valid on
-// multiple OSes - kill weird characters, etc.
-function safePath(sectionPath, title) {
+// Columns that come from the git history of the test directory on export,
+// which the temporary copy of the tests doesn't have
+let gitColumns = ['Created By', 'Created On', 'Updated By', 'Updated On'];
 
-    sectionPath = sectionPath.replace(/[\\\/]/g, '_').replace(/ > /g, path.sep);
-    title = title.replace(/[\\\/]/g, '_').substring(0, 200);
+// Exports a test directory to a TestRail file (see saveToTrFile()) and reads
+// it back, suite by suite for test directories with suite directories
+// Promises the exported row objects.
+function exportedRowsOf(testDir, exportFile, options) {
 
-    fullPath = path.join(sectionPath, title);
-    return fullPath.replace(/[^A-Za-z0-9\\\/]/g, '_');
+    let suiteDirs = readSuiteDirs(testDir).map(suite => suite.dir);
+    if (!suiteDirs.length) suiteDirs = [testDir];
+
+    return suiteDirs.reduce((exported, suiteDir, i) => exported.then((rows) => {
+
+        let suiteFile = exportFile + '.' + i;
+        return readTestDir(suiteDir)
+            .then(readTestFiles => saveToTrFile(expandParameterSets(readTestFiles), suiteFile, options))
+            .then(() => readTrFile(suiteFile, options.format, options.encoding))
+            .then(suiteRows => rows.concat(suiteRows));
+    }), Promise.resolve([]));
 }
 
-// Creates test file content given a TestRail CSV row object -
-// see trRowFor() for output format.
-function testFor(trRow) {
+// Matches the cases of rows before and after a round trip - by ID, then by
+// section and title, then in order within their section
+// Returns a list of [before, after] with null for cases only on one side
+function matchRoundTripRows(before, after) {
 
-    let sectionPath =
-        ('Section Hierarchy' in trRow && trRow['Section Hierarchy']) ?
-        trRow['Section Hierarchy'] :
-        trRow['Section'];
+    let sectionOf = row => row['Section Hierarchy'] || row['Section'] || "";
+    let unmatched = after.slice();
+    let take = (match) => {
+        let i = unmatched.findIndex(match);
+        return i < 0 ? null : unmatched.splice(i, 1)[0];
+    };
 
-    let title = trRow['Title'];
-    let testFile = safePath(sectionPath, title) + flags.testFileSuffix;
+    let pairs = before.map(row => [row, row['ID'] ? take(other => other['ID'] == row['ID']) : null]);
 
-    // These fields are kind of HTML-ish - double whitespace isn't rendered.
-    // Our text files *do* care about this.
-    let steps = trRow['Steps'];
-    if (steps) steps = steps.replace(/[ \t]+/g, ' ');
-    let results = trRow['Expected Result'];
-    if (results) results = results.replace(/[ \t]+/g, ' ');
+    pairs.forEach((pair) => {
+        let row = pair[0];
+        if (!pair[1]) pair[1] = take(other => !other['ID'] && sectionOf(other) == sectionOf(row) && other['Title'] == row['Title']);
+    });
+    pairs.forEach((pair) => {
+        let row = pair[0];
+        if (!pair[1] && !row['ID']) pair[1] = take(other => !other['ID'] && sectionOf(other) == sectionOf(row));
+    });
 
-    let content = steps + "\n\n" +
-        (results ? "Expected Result:\n" + results + "\n\n" : "");
+    return pairs.concat(unmatched.map(row => [null, row]));
+}
 
-    // Append any extra persisted TestRail data as fields in the
-    // test file
-    let fieldContent = [];
-    for (let i = 0; i < persistedTrFields.length; ++i) {
+// Compares the fields of a case before and after a round trip, empty and
+// missing fields being the same.  Only the columns the case had before are
+// compared, e.g. not the columns TestRail files leave out.
+// Returns the differences as { column, before, after, change }, change one
+// of 'lost', 'added' or 'changed'
+function roundTripFieldChanges(before, after, ignoredColumns) {
+
+    let valueOf = (row, column) => {
+        let value = row[column];
+        if (value == null) return "";
+        return typeof value == 'string' ? value : JSON.stringify(value, null, 2);
+    };
+
+    return Object.keys(before).filter(column => ignoredColumns.indexOf(column) < 0)
+        .map(column => ({
+            column: column,
+            before: valueOf(before, column),
+            after: valueOf(after, column)
+        }))
+        .filter(field => field.before !== field.after)
+        .map(field => Object.assign(field, {
+            change: !field.after ? 'lost' : (!field.before ? 'added' : 'changed')
+        }));
+}
+
+// Runs the tests of a test directory through an export, an import and
+// another export in a temporary directory, or with options.file the cases
+// of a TestRail file (see readTrFile()) through an import and an export.
+// Options are { file, format, encoding, importConfig }, and the test
+// directory's project config is used as set up by the caller.
+// Promises { cases, differences } with the number of cases compared and the
+// cases that didn't survive the round trip as { id, title, section, change,
+// fields }, change one of 'lost', 'added' or 'changed' and the fields
+// changed as returned by roundTripFieldChanges().
+function verifyRoundTrip(testDir, options) {
+
+    options = Object.assign({}, options);
+
+    let tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trio-verify-'));
+    let importDir = path.join(tmpDir, 'tests');
+    let exportOptions = {
+        format: options.file ? trFileFormat(options.file, options.format) : options.format || 'csv',
+        encoding: options.encoding,
+        importConfig: Object.assign({}, options.importConfig, options.encoding ? {
+            encoding: options.encoding
+        } : {})
+    };
+
+    // Suite directories keep their suite in the temporary copy
+    let suite = readSuiteMeta(testDir);
+    fsUtils.mkdirsSync(importDir);
+    if (suite && !options.file) fs.writeFileSync(path.join(importDir, flags.suiteMetaFile), suiteMetaContent(suite));
+
+    // Imports write cases back to the feature files they came from (see
+    // featureFileFor()), so the temporary copy has them too
+    let featuresCopied = !fs.existsSync(testDir) ? Promise.resolve() : walkTestDir(testDir)
+        .then(testPaths => testPaths.filter(file => isFeatureFile(file)).forEach((featurePath) => {
+            let copyPath = path.join(importDir, path.relative(testDir, featurePath));
+            fsUtils.mkdirsSync(path.dirname(copyPath));
+            fs.copyFileSync(featurePath, copyPath);
+        }));
+
+    let before = featuresCopied.then(() => options.file ? readTrFile(options.file, options.format, options.encoding) :
+        exportedRowsOf(testDir, path.join(tmpDir, 'before'), exportOptions));
+
+    let verified = before
+        .then(beforeRows => saveSuitesToTestDir(beforeRows, importDir)
+            .then(() => exportedRowsOf(importDir, path.join(tmpDir, 'after'), exportOptions))
+            .then(afterRows => [beforeRows, afterRows]))
+        .then(([beforeRows, afterRows]) => {
+
+            let ignoredColumns = options.file ? [] : gitColumns;
+            let differences = [];
+
+            matchRoundTripRows(beforeRows, afterRows).forEach(([beforeRow, afterRow]) => {
+
+                let row = beforeRow || afterRow;
+                let difference = {
+                    id: row['ID'] || null,
+                    title: row['Title'],
+                    section: row['Section Hierarchy'] || row['Section'] || "",
+                    change: !afterRow ? 'lost' : (!beforeRow ? 'added' : 'changed'),
+                    fields: beforeRow && afterRow ? roundTripFieldChanges(beforeRow, afterRow, ignoredColumns) : []
+                };
+
+                if (difference.change != 'changed' || difference.fields.length) differences.push(difference);
+            });
+
+            return {
+                cases: beforeRows.length,
+                differences: differences
+            };
+        });
+
+    let cleanUp = () => fsUtils.rmdirsSync(tmpDir);
+    return verified.then((result) => {
+        cleanUp();
+        return result;
+    }, (err) => {
+        cleanUp();
+        throw err;
+    });
+}
+
+// Formats the differences found verifying a round trip (see
+// verifyRoundTrip()) as human-readable text, with a line diff of each
+// changed field
+function formatRoundTripReport(result) {
+
+    let lines = [];
+    result.differences.forEach((difference) => {
+
+        lines.push((difference.id ? difference.id + "  " : "") + difference.section +
+            (difference.section ? " > " : "") + difference.title);
+
+        if (difference.change == 'lost') lines.push("  lost: not in the cases after the round trip");
+        if (difference.change == 'added') lines.push("  added: not in the cases before the round trip");
+
+        difference.fields.forEach((field) => {
+            lines.push("  " + field.column + " " + field.change + ":");
+            diffLines(field.before, field.after)
+                .filter(([op]) => op != ' ')
+                .forEach(([op, line]) => lines.push("    " + op + " " + line));
+        });
+    });
+
+    if (lines.length) lines.push("");
+    lines.push(result.differences.length + " of " + result.cases + " case(s) not the same after the round trip");
+
+    return lines.join('\n');
+}
 
-        let trField = persistedTrFields[i];
-        if (trRow[trField] == null) continue;
+//
+// Module API - a test case model, instances with their own settings and
+// hooks for changing cases on export and import
+//
 
-        fieldContent.push(trField + ": " + trRow[trField]);
+// A test case: a test file and the TestRail fields it has
+//   file - path of the test file, relative to the test (or suite) directory
+//   fields - TestRail fields by CSV column, as exported (see trRowFor()),
+//     e.g. fields['Title'], fields['Steps'], fields['Priority']
+//   createLog, modifiedLog - git commits that created and last changed the
+//     file, if known (see lib/git-history.js)
+//   section - the Section of the test file, if read from a test directory
+//   settings - the settings the case is parsed and serialized with (see
+//     createTrio()), the module's if not given
+class TestCase {
+
+    constructor(file, fields, createLog, modifiedLog, section, settings) {
+        this.file = file;
+        this.fields = fields || {};
+        this.createLog = createLog || null;
+        this.modifiedLog = modifiedLog || null;
+        this.section = section || null;
+        this.settings = settings || moduleSettings;
     }
 
-    content = content + fieldContent.join('\n');
+    get title() {
+        return this.fields['Title'];
+    }
+
+    // The TestRail case ID as a number, null for new tests
+    get id() {
+        return trCaseId(this.fields['ID']);
+    }
+
+    // Parses test file content
+    static parse(file, content, settings) {
+        return TestCase.fromReadTestFile([file, content], null, settings);
+    }
+
+    // Creates a test case from a read test file (see readTestDir())
+    static fromReadTestFile(readTestFile, section, settings) {
+        let [testFile, content, createLog, modifiedLog] = readTestFile;
+        return new TestCase(testFile, trRowFor(readTestFile, null, settings), createLog, modifiedLog, section, settings);
+    }
+
+    // Creates a test case from a row imported from TestRail (see
+    // readTestCsv() and readTestXml())
+    static fromRow(row, settings) {
+        return new TestCase(testFor(row, settings)[0], Object.assign({}, row), null, null, null, settings);
+    }
+
+    // Test file content, as an import writes it (see testFor())
+    serialize() {
+        return testFor(this.fields, this.settings)[1];
+    }
+
+    // The row object exported to TestRail
+    toRow() {
+        return Object.assign({}, this.fields);
+    }
+}
+
+// A section directory and its metadata (see parseSectionMeta())
+//   dir - path of the directory, relative to the test (or suite) directory,
+//     '' for the root
+//   description, sectionOrder, caseOrder - as in the section metadata file
+class Section {
+
+    constructor(dir, meta) {
+        meta = meta || parseSectionMeta("");
+        this.dir = dir == '.' ? '' : dir || '';
+        this.description = meta.description;
+        this.sectionOrder = meta.sectionOrder;
+        this.caseOrder = meta.caseOrder;
+    }
+
+    // TestRail ' > ' separated section names
+    get hierarchy() {
+        return this.dir ? this.dir.split(path.sep).join(' > ') : "";
+    }
+
+    get name() {
+        return this.dir ? path.basename(this.dir) : "";
+    }
+
+    // Parses section metadata file content
+    static parse(dir, content) {
+        return new Section(dir, parseSectionMeta(content));
+    }
+
+    // Section metadata file content
+    serialize() {
+        return sectionMetaContent(this);
+    }
+}
+
+// Reads the test cases of a test directory (see readTestDir())
+// Promises a list of TestCase, each with its Section
+function readTestCases(testDir, settings) {
+
+    let sections = {};
+    let sectionFor = (dir) => {
+        if (!(dir in sections)) sections[dir] = new Section(dir, readSectionMeta(path.join(testDir, dir), settings));
+        return sections[dir];
+    };
+
+    return readTestDir(testDir, settings).then(readTestFiles => readTestFiles.sort(compareTestFiles)
+        .map(readTestFile => TestCase.fromReadTestFile(readTestFile, sectionFor(path.dirname(readTestFile[0])), settings)));
+}
+
+let hookNames = ['beforeExport', 'afterImport'];
+
+// Sets the hooks test cases are passed through, from an object or the path
+// of a module exporting them:
+//   beforeExport(testCase) - before a case is exported, changes to it are
+//     exported and returning false leaves it out
+//   afterImport(testCase, file) - after a case is imported, before its file
+//     is written, changes to it are written
+// Hooks are called synchronously.
+function useHooks(hooks, settings) {
+
+    settings = settings || moduleSettings;
+
+    if (typeof hooks == 'string') hooks = require(path.resolve(hooks));
+    hooks = hooks || {};
+
+    Object.keys(hooks).forEach((name) => {
+        if (hookNames.indexOf(name) < 0)
+            throw new Error("Unknown hook '" + name + "', expected one of " + hookNames.join(', '));
+        if (typeof hooks[name] != 'function')
+            throw new Error("Hook '" + name + "' isn't a function");
+    });
+
+    settings.flags.hooks = hooks;
+}
+
+// Returns the row object to export for a read test file (see trRowFor()),
+// after the beforeExport hook, or null if the hook leaves it out
+function exportRowFor(readTestFile, addGitFooter, settings) {
+
+    settings = settings || moduleSettings;
+
+    let row = trRowFor(readTestFile, addGitFooter, settings);
+    if (!settings.flags.hooks.beforeExport) return row;
+
+    let [testFile, content, createLog, modifiedLog] = readTestFile;
+    let testCase = new TestCase(testFile, row, createLog, modifiedLog, null, settings);
+    return settings.flags.hooks.beforeExport(testCase) === false ? null : testCase.fields;
+}
+
+// Returns an imported row after the afterImport hook, as written to some
+// file (see featureFor())
+function importRowFor(row, file, testDir, settings) {
+
+    settings = settings || moduleSettings;
+
+    if (!settings.flags.hooks.afterImport) return row;
+
+    let testCase = TestCase.fromRow(row, settings);
+    testCase.file = path.relative(testDir, file);
+    settings.flags.hooks.afterImport(testCase, file);
+
+    return testCase.fields;
+}
+
+// Returns the test file content to write for an imported row, after the
+// afterImport hook
+function importContentFor(row, testFile, testDir, content, settings) {
+
+    settings = settings || moduleSettings;
+
+    if (!settings.flags.hooks.afterImport) return content;
+
+    let testCase = TestCase.fromRow(row, settings);
+    testCase.file = path.relative(testDir, testFile);
+    settings.flags.hooks.afterImport(testCase, testFile);
+
+    return testCase.serialize();
+}
+
+// Saves read test files as a TestRail file in some format (see
+// trFileFormat()), with options { format, addGitFooter, importConfig }
+function saveToTrFile(readTestFiles, outputFile, options, settings) {
+
+    options = options || {};
+
+    let format;
+    try {
+        format = trFileFormat(outputFile, options.format);
+    } catch (err) {
+        return Promise.reject(err);
+    }
 
-    return [testFile, content];
+    let save = format == 'xml' ? saveToTrXml : saveToTrCsv;
+    return save(readTestFiles, outputFile, options.addGitFooter, options.importConfig, settings);
+}
+
+// Reads a TestRail file in some format (see trFileFormat()), CSV files in
+// an encoding or the one detected (see readTestCsv())
+// Promises its row objects
+function readTrFile(inputFile, format, encoding, settings) {
+
+    try {
+        format = trFileFormat(inputFile, format);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return format == 'xml' ? readTestXml(inputFile, settings) : readTestCsv(inputFile, encoding);
+}
+
+// Creates an instance of the module with its own settings, instead of the
+// module flags shared by everything that require()s it.  Options are
+// module flags (e.g. testFileSuffix, markup, separatedSteps), plus:
+//   customFields - see useTrFields()
+//   hooks - see useHooks()
+function createTrio(options) {
+
+    options = options || {};
+
+    let settings = {
+        flags: Object.assign({}, defaultFlags),
+        fields: null
+    };
+
+    Object.keys(options).forEach((name) => {
+        if (name == 'customFields' || name == 'hooks') return;
+        if (!(name in defaultFlags)) throw new Error("Unknown option '" + name + "'");
+        settings.flags[name] = options[name];
+    });
+
+    useTrFields(options.customFields, settings);
+    useMarkup(settings.flags.markup, settings);
+    useLineEndings(settings.flags.lineEndings, settings);
+    useHooks(options.hooks, settings);
+
+    return {
+        flags: settings.flags,
+
+        parseTestCase: (file, content) => TestCase.parse(file, content, settings),
+
+        readTestCases: testDir => readTestCases(testDir, settings),
+
+        // Options are { format, addGitFooter, importConfig, filter }, with a
+        // test filter (see testFilterFor())
+        exportTestDir: (testDir, outputFile, exportOptions) => readTestDir(testDir, settings)
+            .then(readTestFiles => saveToTrFile(filterTestFiles(expandParameterSets(readTestFiles, settings), (exportOptions || {}).filter, settings),
+                outputFile, exportOptions, settings)),
+
+        // Options are { format, encoding } and the options of
+        // saveSuitesToTestDir()
+        importTestFile: (inputFile, testDir, importOptions) => readTrFile(inputFile, (importOptions || {}).format,
+                (importOptions || {}).encoding, settings)
+            .then(rows => saveSuitesToTestDir(rows, testDir, importOptions, settings)),
+
+        lintTestDir: (testDir, severities) => lintTestDir(testDir, severities, settings)
+    };
 }
 
 if (!module.parent) {
 
     flags.verbose = true;
 
+    // Options shared by all commands
+    let applyCommonFlags = () => {
+
+        if (program.quiet)
+            flags.verbose = false;
+
+        if (program.testExtension)
+            flags.testFileSuffix = program.testExtension;
+
+        if (program.shortFilenamesForWin)
+            flags.maxFilenameLength = 256
+
+        if (program.separatedSteps)
+            flags.separatedSteps = true;
+
+        if (program.featureFiles)
+            flags.featureFiles = true;
+    };
+
+    let exitWithError = (err) => {
+        console.error("Error:", err && err.message ? err.message : err);
+        process.exit(1);
+    };
+
+    // Reads the project config, setting up any custom fields and the markup
+    let loadProjectConfig = (testDir) => {
+        try {
+            let config = readProjectConfig(testDir, program.config);
+            useTrFields(config.customFields);
+            useMarkup(program.markup || config.markup);
+            useLineEndings(program.lineEndings || config.lineEndings);
+            useHooks(config.hooks);
+            return config;
+        } catch (err) {
+            exitWithError(err);
+        }
+    };
+
     // CLI entry point, when executed directly
+    program
+        .command('sync <test-dir>')
+        .description('Two-way sync of a test directory with TestRail through its API')
+        .option('--prefer <side>', 'Which side wins for cases changed on both: local, remote or newer', 'newer')
+        .option('--push-only', 'Only send local changes to TestRail')
+        .option('--pull-only', 'Only write TestRail changes to local test files')
+        .action(function(testDir, cmd) {
+
+            applyCommonFlags();
+
+            let config = loadProjectConfig(testDir);
+            if (!config.testrail) {
+                exitWithError("No 'testrail' section in project config");
+                return;
+            }
+
+            syncWithTestRail(testDir, config.testrail, {
+                    prefer: cmd.prefer,
+                    direction: cmd.pushOnly ? 'push' : (cmd.pullOnly ? 'pull' : 'both')
+                })
+                .then((summary) => {
+
+                    summary.missing.forEach(([testFile, caseId]) => {
+                        console.warn("Warning: case C" + caseId + " for", testFile, "not found in TestRail");
+                    });
+                    summary.skipped.forEach(([testFile, reason]) => {
+                        console.warn("Warning: skipped", testFile, "-", reason);
+                    });
+                    summary.conflicts.forEach(([testFile, caseId]) => {
+                        console.warn("Warning: not pulling case C" + caseId, "over local changes to", testFile);
+                    });
+
+                    if (flags.verbose) {
+                        console.log("Done syncing", testDir + ":",
+                            summary.added.length, "added,",
+                            summary.updated.length, "updated,",
+                            summary.pulled.length, "pulled,",
+                            summary.created.length, "created locally,",
+                            summary.sections.length, "sections added,",
+                            summary.unchanged.length, "unchanged");
+                    }
+                })
+                .catch(exitWithError);
+        });
+
+    program
+        .command('lint <test-dir>')
+        .description('Check a test directory for problems before export')
+        .option('--rule <rule=severity>', 'Set a rule severity (error, warning or off), repeatable',
+            (rule, rules) => rules.concat([rule]), [])
+        .option('--json', 'Output problems as JSON')
+        .option('--snippets', 'Also list the tests that include each snippet')
+        .action(function(testDir, cmd) {
+
+            applyCommonFlags();
+
+            let config = loadProjectConfig(testDir);
+            let severities = Object.assign({}, config.lint && config.lint.rules);
+
+            for (let i = 0; i < cmd.rule.length; ++i) {
+                let [rule, severity] = cmd.rule[i].split('=');
+                if (!(rule in lintRules) || ['error', 'warning', 'off'].indexOf(severity) < 0) {
+                    exitWithError("Invalid rule setting '" + cmd.rule[i] + "'");
+                    return;
+                }
+                severities[rule] = severity;
+            }
+
+            // Don't mix progress output into the results
+            flags.verbose = false;
+
+            lintTestDir(testDir, severities)
+                .then((problems) => {
+
+                    if (cmd.json) console.log(JSON.stringify(problems, null, 2));
+                    else console.log(formatLintProblems(problems));
+
+                    if (problems.find(problem => problem.severity == 'error'))
+                        process.exitCode = 1;
+
+                    if (!cmd.snippets) return;
+
+                    return readTestDir(testDir).then((readTestFiles) => {
+                        let usage = snippetUsage(readTestFiles, testDir);
+                        console.log("\n" + (usage.length ? formatSnippetUsage(usage) : "No snippets included"));
+                    });
+                })
+                .catch(exitWithError);
+        });
+
+    program
+        .command('results <test-dir> <run-file>')
+        .description('Check a run file of test results against a test directory and export it for TestRail')
+        .option('--csv <file>', 'Write the results as a TestRail results .csv')
+        .option('--payload <file>', 'Write the results as an add_results_for_cases API payload (.json)')
+        .action(function(testDir, runFile, cmd) {
+
+            applyCommonFlags();
+
+            let config = loadProjectConfig(testDir);
+            let resultsConfig = config.results || {};
+
+            // Don't mix progress output into the summary
+            flags.verbose = false;
+
+            Promise.all([readTestDir(testDir), readRunFile(runFile)])
+                .then(([readTestFiles, parsedRun]) => {
+
+                    let {
+                        results,
+                        problems
+                    } = checkRunResults(runFile, parsedRun, readTestFiles, resultsConfig.statuses);
+
+                    if (problems.length) console.log(formatLintProblems(problems) + '\n');
+
+                    if (problems.find(problem => problem.severity == 'error')) {
+                        process.exitCode = 1;
+                        return;
+                    }
+
+                    console.log(formatResultsSummary(results));
+
+                    let written = [];
+                    if (cmd.csv) written.push(saveTrResultsCsv(results, cmd.csv));
+                    if (cmd.payload) written.push(new Promise((resolve, reject) => {
+                        fs.writeFile(cmd.payload, JSON.stringify(trResultsPayload(results), null, 2), (err) => {
+                            if (err) reject(err);
+                            resolve();
+                        });
+                    }));
+
+                    return Promise.all(written);
+                })
+                .catch(exitWithError);
+        });
+
+    program
+        .command('plan <test-dir> <manifest-file>')
+        .description('Resolve a run plan manifest against a test directory into the TestRail cases of each run')
+        .option('--csv <file>', 'Write a checklist .csv of the cases of each run')
+        .option('--payload <file>', 'Write an add_run (or add_plan, for manifests with runs) API payload (.json)')
+        .action(function(testDir, manifestFile, cmd) {
+
+            applyCommonFlags();
+
+            let config = loadProjectConfig(testDir);
+            let planConfig = config.plan || {};
+
+            // Don't mix progress output into the summary
+            flags.verbose = false;
+
+            Promise.all([readPlanTestFiles(testDir), readPlanManifest(manifestFile)])
+                .then(([readTestFiles, manifest]) => {
+
+                    let {
+                        plan,
+                        problems
+                    } = resolvePlan(manifestFile, manifest, expandParameterSets(readTestFiles), {
+                        milestones: planConfig.milestones,
+                        suiteId: config.testrail && config.testrail.suiteId
+                    });
+
+                    if (problems.length) console.log(formatLintProblems(problems) + '\n');
+
+                    if (problems.find(problem => problem.severity == 'error')) {
+                        process.exitCode = 1;
+                        return;
+                    }
+
+                    console.log(formatPlanSummary(plan));
+
+                    let written = [];
+                    if (cmd.csv) written.push(saveTrPlanCsv(plan, cmd.csv));
+                    if (cmd.payload) written.push(new Promise((resolve, reject) => {
+                        fs.writeFile(cmd.payload, JSON.stringify(trPlanPayload(plan), null, 2), (err) => {
+                            if (err) reject(err);
+                            resolve();
+                        });
+                    }));
+
+                    return Promise.all(written);
+                })
+                .catch(exitWithError);
+        });
+
+    program
+        .command('trace <test-dir> [output-file]')
+        .description('Write a traceability report of the requirements tests reference (markdown, html or csv)')
+        .option('--required <file>', 'List references without tests from a file of required references (.txt or .csv)')
+        .option('--format <format>', 'Report format, markdown, html or csv (default: from the file extension)')
+        .action(function(testDir, outputFile, cmd) {
+
+            applyCommonFlags();
+            loadProjectConfig(testDir);
+
+            let format = null;
+            try {
+                format = traceFormat(outputFile, cmd.format);
+            } catch (err) {
+                exitWithError(err);
+                return;
+            }
+
+            // Don't mix progress output into the report
+            flags.verbose = false;
+
+            Promise.all([readTestDir(testDir), cmd.required ? readRequiredReferences(cmd.required) : null])
+                .then(([readTestFiles, requiredRefs]) => {
+
+                    let trace = traceReferences(readTestFiles, requiredRefs);
+                    return formatTraceReport(trace, format).then((report) => {
+
+                        if (!outputFile) {
+                            process.stdout.write(report);
+                            return;
+                        }
+
+                        fs.writeFileSync(outputFile, report);
+                        console.log(trace.references.length, "references,",
+                            trace.unreferenced.length, "cases without references,",
+                            trace.uncovered.length, "required references without cases");
+                    });
+                })
+                .catch(exitWithError);
+        });
+
+    program
+        .command('verify <test-dir> [testrail-file]')
+        .description('Check that tests survive an export and import (or a TestRail file an import and export) unchanged, listing the fields lost or changed')
+        .option('--format <format>', 'TestRail file format, csv or xml (default: from the file extension, csv without a file)')
+        .option('--encoding <encoding>', 'CSV encoding of the TestRail file (default: detected)')
+        .option('--json', 'Output the differences as JSON')
+        .action(function(testDir, trFile, cmd) {
+
+            applyCommonFlags();
+
+            let importConfig = importConfigFrom(loadProjectConfig(testDir));
+
+            // Don't mix progress output into the report
+            flags.verbose = false;
+
+            // Multi-suite test directories are verified suite by suite
+            let suiteDirs = trFile ? [] : readSuiteDirs(testDir).map(suite => suite.dir);
+            if (!suiteDirs.length) suiteDirs = [testDir];
+
+            suiteDirs.reduce((verified, suiteDir) => verified.then(results => verifyRoundTrip(suiteDir, {
+                        file: trFile,
+                        format: cmd.format,
+                        encoding: cmd.encoding,
+                        importConfig: importConfig
+                    })
+                    .then(result => results.concat([result]))), Promise.resolve([]))
+                .then((results) => {
+
+                    let result = {
+                        cases: results.reduce((cases, result) => cases + result.cases, 0),
+                        differences: [].concat(...results.map(result => result.differences))
+                    };
+
+                    if (cmd.json) console.log(JSON.stringify(result, null, 2));
+                    else console.log(formatRoundTripReport(result));
+
+                    if (result.differences.length) process.exitCode = 1;
+                })
+                .catch(exitWithError);
+        });
+
     program
         .arguments('<test-dir> <output-file>')
         .option('--import', 'Import tests from .csv, not export to .csv')
+        .option('--format <format>', 'TestRail file format, csv or xml (default: from the file extension)')
+        .option('--dry-run', 'Print what an import would change, with diffs, without writing anything')
+        .option('--on-conflict <mode>', 'How to import files changed locally since the last import: stop, merge or overwrite', 'stop')
+        .option('--orphans <mode>', 'What to do on import with local tests of cases no longer in TestRail: report, archive or delete', 'report')
+        .option('--suite <suite>', 'Only export or import one suite of a multi-suite test directory (by name or ID)')
+        .option('--filter <expression>', 'Only export or import tests with fields matching an expression, e.g. \'Priority in (1, 2) and Section ~ "Payments > *"\'')
+        .option('--include <glob>', 'Only export or import tests with paths matching a glob, repeatable',
+            (glob, globs) => globs.concat([glob]), [])
+        .option('--exclude <glob>', 'Don\'t export or import tests with paths matching a glob, repeatable',
+            (glob, globs) => globs.concat([glob]), [])
+        .option('--since <ref>', 'Only export tests added or modified since a git ref, reporting deleted and renamed tests')
+        .option('--since-last-export', 'Only export tests changed since the last export with this option, and record this export')
         .option('--add-git-footer', 'Add human-readable git information as a footer to the exported test steps')
-        .option('--copy-testrail-config', 'Copies the TestRail config file alongside the exported .csv')
+        .option('--copy-testrail-config', 'Writes a matching TestRail import config (.cfg) alongside the exported .csv')
+        .option('--config <file>', 'Project config file (default: <test-dir>/' + flags.projectConfigFile + ')')
+        .option('--markup <mode>', 'Markup of TestRail text fields, converted to and from plain text: text, markdown or html')
+        .option('--encoding <encoding>', 'CSV encoding: UTF-8, UTF-8-BOM, UTF-16LE or Windows-1252 (default: detected on import, UTF-8 on export)')
+        .option('--line-endings <mode>', 'Line endings of imported test files, lf or crlf (default: lf)')
+        .option('--separated-steps', 'Export numbered steps for the "Test Case (Steps)" template, one row per step')
+        .option('--feature-files', 'Import new sections as Gherkin .feature files, rather than a test file per case')
         .option('--test-extension [ext]', 'Test file extension to search for')
         .option('--short-filenames-for-win', 'Truncate filenames at 256 chars b/c windows is dumb')
         .option('--quiet', 'Suppress output except errors')
         .action(function(testDir, outputFile) {
 
-            if (program.quiet)
-                flags.verbose = false;
-
-            if (program.testExtension)
-                flags.testFileSuffix = program.testExtension;
+            applyCommonFlags();
 
-            if (program.shortFilenamesForWin)
-                flags.maxFilenameLength = 256
+            let format = null;
+            let testFilter = null;
+            try {
+                format = trFileFormat(outputFile, program.format);
+                testFilter = testFilterFor(program);
+            } catch (err) {
+                exitWithError(err);
+                return;
+            }
 
             if (program.import) {
-                readTestCsv(outputFile)
-                    .then(testRows => saveToTestDir(testRows, testDir))
-                    .then(() => {
+
+                let config = loadProjectConfig(testDir);
+
+                if (['stop', 'merge', 'overwrite'].indexOf(program.onConflict) < 0) {
+                    exitWithError("Invalid --on-conflict mode '" + program.onConflict + "'");
+                    return;
+                }
+
+                if (['report', 'archive', 'delete'].indexOf(program.orphans) < 0) {
+                    exitWithError("Invalid --orphans mode '" + program.orphans + "'");
+                    return;
+                }
+
+                let testRows = null;
+
+                readTrFile(outputFile, format, program.encoding)
+                    .then((rows) => {
+                        testRows = rows;
+                        return saveSuitesToTestDir(testRows, testDir, {
+                            dryRun: program.dryRun,
+                            onConflict: program.onConflict,
+                            orphans: program.orphans,
+                            suite: program.suite,
+                            filter: testFilter
+                        });
+                    })
+                    .then((plan) => {
+
+                        if (program.dryRun) {
+                            console.log(formatImportPlan(plan, testDir, true));
+                            return;
+                        }
+
+                        plan.filter(entry => entry.conflicts).forEach((entry) => {
+                            console.warn("Warning: merge conflicts in", path.relative(testDir, entry.file));
+                        });
+
+                        let orphans = plan.filter(entry => entry.orphan);
+                        if (orphans.length) console.log(formatOrphanedTests(orphans, testDir));
+
                         if (flags.verbose) console.log("Done importing to", testDir);
-                    });
+
+                        // Attachments can't be exported to CSV, so list them for downloading
+                        let attachments = [].concat(...importSuitesFor(testRows, testDir, program.suite)
+                            .map(([suite, rows]) => trAttachmentsFor(rows, path.relative(testDir, suite.dir))));
+                        if (!attachments.length) return;
+
+                        let listFile = attachmentsPathFor(outputFile, '.csv');
+                        return saveAttachmentList(attachments, listFile, config.testrail && config.testrail.url).then(() => {
+                            if (flags.verbose) console.log("Done writing", attachments.length, "attachments to download to", listFile);
+                        });
+                    })
+                    .catch(exitWithError);
             } else {
-                readTestDir(testDir)
-                    .then(readTestFiles => saveToTrCsv(readTestFiles, outputFile, program.addGitFooter))
-                    .then(() => {
-                        if (flags.verbose) console.log("Done exporting to", outputFile);
-                        if (program.copyTestrailConfig) {
-
-                            let configFile = path.join(__dirname, "import-configs/testrail-import-test-case-2017-12-13.cfg");
-                            fs.writeFileSync(path.join(path.dirname(outputFile),
-                                    path.basename(configFile)),
-                                fs.readFileSync(configFile));
-
-                            if (flags.verbose) console.log("Done copying", configFile);
-                        }
-                    });
+
+                let importConfig = importConfigFrom(loadProjectConfig(testDir));
+                if (program.encoding) importConfig.encoding = program.encoding;
+
+                // Exports a test directory, or a suite directory of one
+                let exportTestDir = (testDir, outputFile) => {
+
+                    let since = program.since;
+                    if (!since && program.sinceLastExport) since = readExportState(testDir).commit;
+
+                    // Without a last export everything is exported
+                    let testFilesRead = !since ? readTestDir(testDir) : readTestDirSince(testDir, since)
+                        .then(({
+                            readTestFiles,
+                            removed
+                        }) => {
+                            let reportFile = changesReportFile(outputFile);
+                            return saveChangesReport(removed, reportFile).then(() => {
+                                if (flags.verbose) console.log("Done writing", removed.length, "deleted and renamed tests to", reportFile);
+                                return readTestFiles;
+                            });
+                        });
+
+                    let exported = [];
+
+                    return testFilesRead
+                        .then((readTestFiles) => {
+
+                            // Incremental exports don't read the whole tree
+                            if (!since) checkIdManifest(readTestFiles, testDir).forEach((warning) => {
+                                console.warn("Warning:", warning);
+                            });
+
+                            readTestFiles = filterTestFiles(expandParameterSets(readTestFiles), testFilter);
+                            exported = readTestFiles;
+
+                            let usage = snippetUsage(readTestFiles, testDir);
+                            if (usage.length && flags.verbose) console.log("Included snippets:\n" + formatSnippetUsage(usage));
+
+                            return saveToTrFile(readTestFiles, outputFile, {
+                                    format: format,
+                                    addGitFooter: program.addGitFooter,
+                                    importConfig: importConfig
+                                })
+                                .then((unrepresentable) => {
+
+                                    (unrepresentable || []).forEach((problem) => {
+                                        console.warn("Warning:", problem.testFile, problem.column, "has characters that can't be written as",
+                                            importConfig.encoding || "UTF-8", "(written as '?'):", problem.chars.join(' '));
+                                    });
+
+                                    return saveAttachmentBundle(readTestFiles, testDir, attachmentsPathFor(outputFile));
+                                });
+                        })
+                        .then((manifest) => {
+                            if (!manifest) return;
+
+                            manifest.missing.forEach((missing) => {
+                                console.warn("Warning: attachment", missing.attachment, "of", missing.testFile, "not found");
+                            });
+                            if (flags.verbose) console.log("Done bundling attachments to", attachmentsPathFor(outputFile));
+                        })
+                        .then(() => {
+                            if (flags.verbose) console.log("Done exporting to", outputFile);
+                            if (!program.copyTestrailConfig) return;
+
+                            if (format == 'xml') {
+                                console.warn("Warning: TestRail import configs are only for .csv files, not writing one");
+                                return;
+                            }
+
+                            // Generated from the columns written, so they always match
+                            let configFile = trImportConfigFile(outputFile);
+                            return saveTrImportConfig(trCsvColumns(exported), configFile, importConfig).then(() => {
+                                if (flags.verbose) console.log("Done writing", configFile);
+                            });
+                        })
+                        .then(() => {
+                            if (program.sinceLastExport) return recordExport(testDir);
+                        });
+                };
+
+                // Multi-suite test directories get a CSV per suite
+                let suites = readSuiteDirs(testDir);
+                let exports = [
+                    [testDir, outputFile]
+                ];
+
+                if (program.suite) {
+
+                    let suite = findSuite(suites, program.suite);
+                    if (!suite) {
+                        exitWithError("No suite '" + program.suite + "' in " + testDir);
+                        return;
+                    }
+
+                    exports = [
+                        [suite.dir, outputFile]
+                    ];
+                } else if (suites.length) {
+                    exports = suites.map(suite => [suite.dir, suiteCsvFile(outputFile, suite)]);
+                }
+
+                exports.reduce((exported, [exportDir, exportFile]) => exported
+                        .then(() => exportTestDir(exportDir, exportFile)), Promise.resolve())
+                    .catch(exitWithError);
             }
         })
         .parse(process.argv);
@@ -616,16 +6393,94 @@ if (!module.parent) {
 } else {
 
     // require() entry point, use as module
-    module.exports = flags;
-    Object.assign(module.exports, {
+    module.exports = {
+        flags: flags,
         isGitRepo: isGitRepo,
         readTestDir: readTestDir,
+        readTestDirSince: readTestDirSince,
         readTestFile: readTestFile,
         readTestCsv: readTestCsv,
         saveToTrCsv: saveToTrCsv,
+        readTestXml: readTestXml,
+        saveToTrXml: saveToTrXml,
+        saveToTrFile: saveToTrFile,
+        readTrFile: readTrFile,
+        trFileFormat: trFileFormat,
+        saveChangesReport: saveChangesReport,
+        changesReportFile: changesReportFile,
+        readExportState: readExportState,
+        recordExport: recordExport,
         saveToTestDir: saveToTestDir,
+        saveSuitesToTestDir: saveSuitesToTestDir,
+        importSuitesFor: importSuitesFor,
+        readSuiteDirs: readSuiteDirs,
+        suiteCsvFile: suiteCsvFile,
+        readIdManifest: readIdManifest,
+        checkIdManifest: checkIdManifest,
         trRowFor: trRowFor,
-        testFor: testFor
+        parseSectionMeta: parseSectionMeta,
+        testFor: testFor,
+        trAttachmentsFor: trAttachmentsFor,
+        saveAttachmentList: saveAttachmentList,
+        saveAttachmentBundle: saveAttachmentBundle,
+        attachmentsPathFor: attachmentsPathFor,
+        trCsvColumns: trCsvColumns,
+        trImportConfigFor: trImportConfigFor,
+        saveTrImportConfig: saveTrImportConfig,
+        trImportConfigFile: trImportConfigFile,
+        readProjectConfig: readProjectConfig,
+        importConfigFrom: importConfigFrom,
+        useTrFields: useTrFields,
+        setTestFileId: setTestFileId,
+        syncWithTestRail: syncWithTestRail,
+        lintRules: lintRules,
+        lintTestFiles: lintTestFiles,
+        lintTestDir: lintTestDir,
+        parseRunFile: parseRunFile,
+        readRunFile: readRunFile,
+        checkRunResults: checkRunResults,
+        saveTrResultsCsv: saveTrResultsCsv,
+        trResultsPayload: trResultsPayload,
+        formatResultsSummary: formatResultsSummary,
+        parsePlanManifest: parsePlanManifest,
+        readPlanManifest: readPlanManifest,
+        readPlanTestFiles: readPlanTestFiles,
+        resolvePlan: resolvePlan,
+        trPlanPayload: trPlanPayload,
+        saveTrPlanCsv: saveTrPlanCsv,
+        formatPlanSummary: formatPlanSummary,
+        testFilterFor: testFilterFor,
+        expandIncludes: expandIncludes,
+        snippetUsage: snippetUsage,
+        expandParameterSets: expandParameterSets,
+        foldParameterSets: foldParameterSets,
+        filterTestFiles: filterTestFiles,
+        filterTestRows: filterTestRows,
+        splitReferences: splitReferences,
+        traceReferences: traceReferences,
+        readRequiredReferences: readRequiredReferences,
+        traceFormat: traceFormat,
+        formatTraceReport: formatTraceReport,
+        verifyRoundTrip: verifyRoundTrip,
+        formatRoundTripReport: formatRoundTripReport,
+        TestCase: TestCase,
+        Section: Section,
+        readTestCases: readTestCases,
+        useHooks: useHooks,
+        useLineEndings: useLineEndings,
+        createTrio: createTrio
+    };
+
+    // Module flags can also be set on the module itself, e.g.
+    // require('oaf-testrails-io').testFileSuffix = ".test.txt"
+    Object.keys(defaultFlags).forEach((name) => {
+        Object.defineProperty(module.exports, name, {
+            get: () => flags[name],
+            set: (value) => {
+                flags[name] = value;
+            },
+            enumerable: true
+        });
     });
 
-}
+}
\ No newline at end of file
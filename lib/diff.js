@@ -0,0 +1,194 @@
+//
+// Line-based diff, unified diff formatting and three-way merge
+//
+// Test files are small, so a plain LCS table is plenty fast here.
+//
+
+function splitLines(text) {
+    if (text == null || text === "") return [];
+    return text.replace(/\r/g, '').replace(/\n$/, '').split('\n');
+}
+
+// Matches lines of a to lines of b along a longest common subsequence.
+// Returns an array with the index in b of each line of a (or -1).
+function matchLines(a, b) {
+
+    let lengths = [];
+    for (let i = 0; i <= a.length; ++i) lengths.push(new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; --i) {
+        for (let j = b.length - 1; j >= 0; --j) {
+            lengths[i][j] = a[i] == b[j] ?
+                lengths[i + 1][j + 1] + 1 :
+                Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    let matches = new Array(a.length).fill(-1);
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] == b[j]) {
+            matches[i++] = j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ++i;
+        } else {
+            ++j;
+        }
+    }
+
+    return matches;
+}
+
+// Diffs two texts line by line
+// Returns a list of [op, line] with op one of ' ', '-' or '+'
+function diffLines(oldText, newText) {
+
+    let a = splitLines(oldText);
+    let b = splitLines(newText);
+    let matches = matchLines(a, b);
+
+    let ops = [];
+    let j = 0;
+    for (let i = 0; i < a.length; ++i) {
+
+        if (matches[i] < 0) {
+            ops.push(['-', a[i]]);
+            continue;
+        }
+
+        while (j < matches[i]) ops.push(['+', b[j++]]);
+        ops.push([' ', a[i]]);
+        ++j;
+    }
+    while (j < b.length) ops.push(['+', b[j++]]);
+
+    return ops;
+}
+
+// Formats the differences between two texts as a unified diff
+// Returns "" if the texts have the same lines
+function unifiedDiff(oldText, newText, oldName, newName, context) {
+
+    if (context == null) context = 3;
+
+    let ops = diffLines(oldText, newText);
+    if (!ops.find(([op]) => op != ' ')) return "";
+
+    // Line numbers of each op in the old and new text
+    let oldLine = 1;
+    let newLine = 1;
+    let numbered = ops.map(([op, line]) => {
+        let entry = [op, line, oldLine, newLine];
+        if (op != '+') ++oldLine;
+        if (op != '-') ++newLine;
+        return entry;
+    });
+
+    // Group changes with their surrounding context into hunks
+    let hunks = [];
+    let hunk = null;
+    for (let i = 0; i < numbered.length; ++i) {
+
+        if (numbered[i][0] == ' ') continue;
+
+        let start = Math.max(0, i - context);
+        let end = Math.min(numbered.length, i + context + 1);
+
+        if (hunk && start <= hunk.end) {
+            hunk.end = Math.max(hunk.end, end);
+        } else {
+            hunk = {
+                start: start,
+                end: end
+            };
+            hunks.push(hunk);
+        }
+    }
+
+    let lines = ['--- ' + oldName, '+++ ' + newName];
+    hunks.forEach((hunk) => {
+
+        let hunkOps = numbered.slice(hunk.start, hunk.end);
+        let oldCount = hunkOps.filter(([op]) => op != '+').length;
+        let newCount = hunkOps.filter(([op]) => op != '-').length;
+        let oldStart = oldCount ? hunkOps.find(([op]) => op != '+')[2] : hunkOps[0][2] - 1;
+        let newStart = newCount ? hunkOps.find(([op]) => op != '-')[3] : hunkOps[0][3] - 1;
+
+        lines.push('@@ -' + oldStart + ',' + oldCount + ' +' + newStart + ',' + newCount + ' @@');
+        hunkOps.forEach(([op, line]) => lines.push(op + line));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Three-way merges local and incoming changes to some base text.
+// Changes that overlap and differ are written with conflict markers.
+// Returns { content, conflicts } with the number of conflicts.
+function merge3(base, local, incoming, localLabel, incomingLabel) {
+
+    let o = splitLines(base);
+    let a = splitLines(local);
+    let b = splitLines(incoming);
+    let matchA = matchLines(o, a);
+    let matchB = matchLines(o, b);
+
+    let lines = [];
+    let conflicts = 0;
+    let i = 0;
+    let ia = 0;
+    let ib = 0;
+
+    let same = (x, y) => x.length == y.length && x.every((line, k) => line == y[k]);
+
+    while (i < o.length || ia < a.length || ib < b.length) {
+
+        // Lines unchanged on both sides
+        let k = 0;
+        while (i + k < o.length && matchA[i + k] == ia + k && matchB[i + k] == ib + k) ++k;
+
+        if (k > 0) {
+            lines = lines.concat(o.slice(i, i + k));
+            i += k;
+            ia += k;
+            ib += k;
+            continue;
+        }
+
+        // Find the next line unchanged on both sides
+        let j = i;
+        while (j < o.length && (matchA[j] < 0 || matchB[j] < 0)) ++j;
+
+        let endA = j < o.length ? matchA[j] : a.length;
+        let endB = j < o.length ? matchB[j] : b.length;
+
+        let chunkO = o.slice(i, j);
+        let chunkA = a.slice(ia, endA);
+        let chunkB = b.slice(ib, endB);
+
+        if (same(chunkA, chunkO)) {
+            lines = lines.concat(chunkB);
+        } else if (same(chunkB, chunkO) || same(chunkA, chunkB)) {
+            lines = lines.concat(chunkA);
+        } else {
+            ++conflicts;
+            lines = lines.concat(['<<<<<<< ' + (localLabel || 'local')], chunkA, ['======='],
+                chunkB, ['>>>>>>> ' + (incomingLabel || 'incoming')]);
+        }
+
+        i = j;
+        ia = endA;
+        ib = endB;
+    }
+
+    return {
+        content: lines.length ? lines.join('\n') + '\n' : "",
+        conflicts: conflicts
+    };
+}
+
+module.exports = {
+    diffLines: diffLines,
+    unifiedDiff: unifiedDiff,
+    merge3: merge3
+};
\ No newline at end of file
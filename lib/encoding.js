@@ -0,0 +1,140 @@
+//
+// Text encodings of TestRail CSV files
+//
+// Supported encodings are UTF-8, UTF-8 with a byte order mark (UTF-8-BOM),
+// UTF-16LE (written with a byte order mark, as Excel does) and Windows-1252.
+// Names are matched ignoring case and punctuation, so 'utf8' and 'cp1252'
+// work too.
+//
+
+let encodingNames = ['UTF-8', 'UTF-8-BOM', 'UTF-16LE', 'Windows-1252'];
+
+let encodingAliases = {
+    'utf8': 'UTF-8',
+    'utf8bom': 'UTF-8-BOM',
+    'utf16le': 'UTF-16LE',
+    'windows1252': 'Windows-1252',
+    'cp1252': 'Windows-1252'
+};
+
+// Code points of Windows-1252 bytes 0x80 - 0x9f, the rest are Latin-1
+// (bytes 0x81, 0x8d, 0x8f, 0x90 and 0x9d are unused, and kept as is)
+let windows1252High = [
+    0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021,
+    0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+    0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+    0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+];
+
+let windows1252Bytes = {};
+windows1252High.forEach((codePoint, i) => {
+    windows1252Bytes[codePoint] = 0x80 + i;
+});
+
+function windows1252Byte(codePoint) {
+    if (codePoint in windows1252Bytes) return windows1252Bytes[codePoint];
+    if (codePoint < 0x80 || (codePoint >= 0xa0 && codePoint <= 0xff)) return codePoint;
+    return null;
+}
+
+// Returns the name of a supported encoding, throws if it isn't one
+function encodingName(encoding) {
+
+    let name = encodingAliases[("" + encoding).toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (!name) throw new Error("Unsupported encoding '" + encoding + "', expected one of " + encodingNames.join(', '));
+
+    return name;
+}
+
+// Returns the characters of some text that can't be written in an encoding,
+// each once, in the order they appear
+function unrepresentableChars(text, encoding) {
+
+    if (encodingName(encoding) != 'Windows-1252') return [];
+
+    let chars = [];
+    for (let char of text) {
+        if (windows1252Byte(char.codePointAt(0)) == null && chars.indexOf(char) < 0) chars.push(char);
+    }
+
+    return chars;
+}
+
+// Encodes text, writing characters that can't be represented (see
+// unrepresentableChars()) as '?'
+function encodeText(text, encoding) {
+
+    encoding = encodingName(encoding);
+
+    if (encoding == 'UTF-8') return Buffer.from(text, 'utf8');
+    if (encoding == 'UTF-8-BOM') return Buffer.from('\ufeff' + text, 'utf8');
+    if (encoding == 'UTF-16LE') return Buffer.from('\ufeff' + text, 'utf16le');
+
+    let bytes = [];
+    for (let char of text) {
+        let byte = windows1252Byte(char.codePointAt(0));
+        bytes.push(byte == null ? 0x3f : byte);
+    }
+
+    return Buffer.from(bytes);
+}
+
+// The encoding given by the byte order mark of some encoded text, if any
+function bomEncoding(buffer) {
+    if (buffer[0] == 0xef && buffer[1] == 0xbb && buffer[2] == 0xbf) return 'UTF-8-BOM';
+    if (buffer[0] == 0xff && buffer[1] == 0xfe) return 'UTF-16LE';
+    return null;
+}
+
+// Guesses the encoding of some encoded text from its byte order mark, or
+// otherwise from whether it's valid UTF-8 (or looks like UTF-16LE)
+function detectEncoding(buffer) {
+
+    if (bomEncoding(buffer)) return bomEncoding(buffer);
+
+    // Mostly ASCII text in UTF-16LE has every other byte zero
+    let zeros = 0;
+    for (let i = 1; i < buffer.length; i += 2) {
+        if (buffer[i] == 0) zeros++;
+    }
+    if (buffer.length % 2 == 0 && zeros > buffer.length / 4) return 'UTF-16LE';
+
+    try {
+        new TextDecoder('utf-8', {
+            fatal: true
+        }).decode(buffer);
+        return 'UTF-8';
+    } catch (err) {
+        return 'Windows-1252';
+    }
+}
+
+// Decodes text in an encoding, or in the detected encoding (see
+// detectEncoding()) if none is given.  Byte order marks take precedence
+// over the given encoding, and are left out.
+function decodeText(buffer, encoding) {
+
+    encoding = bomEncoding(buffer) || (encoding ? encodingName(encoding) : detectEncoding(buffer));
+
+    if (encoding == 'UTF-8' || encoding == 'UTF-8-BOM')
+        return buffer.toString('utf8').replace(/^\ufeff/, '');
+    if (encoding == 'UTF-16LE')
+        return buffer.toString('utf16le').replace(/^\ufeff/, '');
+
+    let text = "";
+    for (let i = 0; i < buffer.length; ++i) {
+        let byte = buffer[i];
+        text += String.fromCharCode(byte >= 0x80 && byte < 0xa0 ? windows1252High[byte - 0x80] : byte);
+    }
+
+    return text;
+}
+
+module.exports = {
+    encodingNames: encodingNames,
+    encodingName: encodingName,
+    unrepresentableChars: unrepresentableChars,
+    encodeText: encodeText,
+    detectEncoding: detectEncoding,
+    decodeText: decodeText
+};
\ No newline at end of file
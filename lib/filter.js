@@ -0,0 +1,245 @@
+//
+// Filter expressions over test case fields, and path globs
+//
+// Expressions compare fields (by name, case insensitive, quoted if they
+// aren't single words) to values, combined with 'and', 'or', 'not' and
+// parentheses:
+//   Priority in (1, 2) and Milestone = "1.36" and Section ~ "Payments > *"
+//   not (Type = Automated or "Automation Status" != Manual)
+// Operators are:
+//   =, != - equal ignoring case (and numerically for numbers)
+//   ~, !~ - glob match ignoring case, '*' is any text and '?' any character
+//   <, <=, >, >= - numbers numerically, other text with numbers in it in
+//     number order (so version 1.9.1 < 1.10.0)
+//   in (...), not in (...) - equal to one of the values
+// Fields with a list of values (e.g. multi-select) match if any value does.
+//
+
+let filterKeywords = ['and', 'or', 'not', 'in'];
+let filterOperators = ['!=', '!~', '<=', '>=', '=', '~', '<', '>'];
+
+let tokenRegex = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(!=|!~|<=|>=|[=~<>(),])|([^\s()=!~<>,"']+))/y;
+
+// Splits an expression into { type, text, pos } tokens, where the type is
+// 'string', 'symbol', 'keyword' or 'word'
+function tokenizeFilter(expression) {
+
+    let tokens = [];
+    let pos = 0;
+
+    while (expression.substring(pos).trim()) {
+
+        tokenRegex.lastIndex = pos;
+        let match = tokenRegex.exec(expression);
+        if (!match) throw new Error("Invalid filter at position " + (pos + 1) + ": unexpected '" +
+            expression.substring(pos).trim()[0] + "'");
+
+        let start = pos + match[0].length - (match[1] || match[2] || match[3]).length;
+        if (match[1]) {
+            tokens.push({
+                type: 'string',
+                text: match[1].substring(1, match[1].length - 1).replace(/\\(.)/g, '$1'),
+                pos: start
+            });
+        } else if (match[2]) {
+            tokens.push({
+                type: 'symbol',
+                text: match[2],
+                pos: start
+            });
+        } else {
+            tokens.push({
+                type: filterKeywords.indexOf(match[3].toLowerCase()) >= 0 ? 'keyword' : 'word',
+                text: match[3],
+                pos: start
+            });
+        }
+
+        pos = tokenRegex.lastIndex;
+    }
+
+    return tokens;
+}
+
+function globRegex(glob) {
+    return new RegExp('^' + glob.split('').map((char) => {
+        if (char == '*') return '.*';
+        if (char == '?') return '.';
+        return char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }).join('') + '$', 'i');
+}
+
+function isNumber(value) {
+    return value.trim() !== "" && !isNaN(Number(value));
+}
+
+function compareValues(a, b) {
+    if (isNumber(a) && isNumber(b)) return Number(a) - Number(b);
+    return a.trim().localeCompare(b.trim(), 'en', {
+        numeric: true,
+        sensitivity: 'base'
+    });
+}
+
+let comparisons = {
+    '=': (value, expected) => compareValues(value, expected) == 0,
+    '~': (value, expected) => globRegex(expected.trim()).test(value.trim()),
+    '<': (value, expected) => compareValues(value, expected) < 0,
+    '<=': (value, expected) => compareValues(value, expected) <= 0,
+    '>': (value, expected) => compareValues(value, expected) > 0,
+    '>=': (value, expected) => compareValues(value, expected) >= 0,
+};
+
+// Parses a filter expression
+// Returns a function that checks if a test case matches, given a function
+// that returns the value of a field by name (a string, a list of strings or
+// null if the case doesn't have it)
+function parseFilter(expression) {
+
+    let tokens = tokenizeFilter(expression);
+    let next = 0;
+
+    let peek = () => tokens[next] || null;
+    let fail = (message) => {
+        let token = peek();
+        throw new Error("Invalid filter at " + (token ? "position " + (token.pos + 1) : "end") + ": " + message);
+    };
+    let isKeyword = (token, keyword) => token && token.type == 'keyword' && token.text.toLowerCase() == keyword;
+    let isSymbol = (token, symbol) => token && token.type == 'symbol' && token.text == symbol;
+
+    let expect = (symbol) => {
+        if (!isSymbol(peek(), symbol)) fail("expected '" + symbol + "'");
+        next++;
+    };
+
+    let parseValue = () => {
+        let token = peek();
+        if (!token || (token.type != 'string' && token.type != 'word')) fail("expected a value");
+        next++;
+        return token.text;
+    };
+
+    let parseComparison = () => {
+
+        let token = peek();
+        let field = null;
+        if (token && token.type == 'string') {
+            field = token.text;
+            next++;
+        } else {
+            let words = [];
+            while (peek() && peek().type == 'word') words.push(tokens[next++].text);
+            if (!words.length) fail("expected a field");
+            field = words.join(' ');
+        }
+
+        let negated = false;
+        if (isKeyword(peek(), 'not')) {
+            negated = true;
+            next++;
+            if (!isKeyword(peek(), 'in')) fail("expected 'in'");
+        }
+
+        let test = null;
+        if (isKeyword(peek(), 'in')) {
+
+            next++;
+            expect('(');
+            let expected = [parseValue()];
+            while (isSymbol(peek(), ',')) {
+                next++;
+                expected.push(parseValue());
+            }
+            expect(')');
+
+            test = value => expected.some(other => comparisons['='](value, other));
+        } else {
+
+            let operator = peek();
+            if (!operator || operator.type != 'symbol' || filterOperators.indexOf(operator.text) < 0)
+                fail("expected an operator after '" + field + "'");
+            next++;
+
+            let expected = parseValue();
+            negated = operator.text[0] == '!';
+            let compare = comparisons[negated ? operator.text.substring(1) : operator.text];
+
+            test = value => compare(value, expected);
+        }
+
+        // Fields without a value are empty
+        return (fieldValue) => {
+            let values = fieldValue(field);
+            values = [].concat(values == null ? "" : values).map(value => "" + value);
+            let matched = values.some(test);
+            return negated ? !matched : matched;
+        };
+    };
+
+    let parseOr;
+
+    let parseNot = () => {
+
+        if (isKeyword(peek(), 'not')) {
+            next++;
+            let operand = parseNot();
+            return fieldValue => !operand(fieldValue);
+        }
+
+        if (isSymbol(peek(), '(')) {
+            next++;
+            let inner = parseOr();
+            expect(')');
+            return inner;
+        }
+
+        return parseComparison();
+    };
+
+    let parseAnd = () => {
+        let operands = [parseNot()];
+        while (isKeyword(peek(), 'and')) {
+            next++;
+            operands.push(parseNot());
+        }
+        return fieldValue => operands.every(operand => operand(fieldValue));
+    };
+
+    parseOr = () => {
+        let operands = [parseAnd()];
+        while (isKeyword(peek(), 'or')) {
+            next++;
+            operands.push(parseAnd());
+        }
+        return fieldValue => operands.some(operand => operand(fieldValue));
+    };
+
+    if (!tokens.length) fail("empty filter");
+
+    let filter = parseOr();
+    if (peek()) fail("unexpected '" + peek().text + "'");
+
+    return filter;
+}
+
+// Checks if a '/' separated path matches a glob, where '*' is any text in a
+// path segment, '**' any number of segments and '?' any character.  Globs
+// without a '/' match the file name at any depth (as in .gitignore).
+function matchesPathGlob(glob, filePath) {
+
+    let regex = glob.replace(/^\.?\//, '').split(/(\*\*\/?|\*|\?)/).map((part) => {
+        if (part == '**/') return '(?:.*/)?';
+        if (part == '**') return '.*';
+        if (part == '*') return '[^/]*';
+        if (part == '?') return '[^/]';
+        return part.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }).join('');
+
+    if (glob.indexOf('/') < 0) regex = '(?:.*/)?' + regex;
+    return new RegExp('^' + regex + '$').test(filePath);
+}
+
+module.exports = {
+    parseFilter: parseFilter,
+    matchesPathGlob: matchesPathGlob
+};
\ No newline at end of file
@@ -0,0 +1,287 @@
+//
+// Just enough Gherkin for acceptance tests kept as .feature files
+//
+// Features are plain objects:
+//   { tags, name, description, line, background, scenarios }
+// where the background is null or { name, steps }, and scenarios are
+//   { tags, outline, name, description, line, steps, examples }
+// Steps are { keyword, text, line, docString, table } with the doc string
+// (or null) and the data table rows as lists of cells (or null).  Examples
+// of scenario outlines are { tags, name, line, header, rows }.
+//
+// Scenarios in a 'Rule:' are read as scenarios of the feature, with the
+// rule's background steps before their own.  Only English keywords are
+// supported.
+//
+
+let stepKeywords = ['Given', 'When', 'Then', 'And', 'But', '*'];
+
+let headerRegex = /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios)\s*:\s*(.*)$/;
+let stepRegex = /^(Given|When|Then|And|But|\*)\s+(.*)$/;
+
+// Splits a data table row into its cells, unescaping '\|', '\\' and '\n'
+function tableCells(line) {
+
+    let cells = [];
+    let cell = null;
+    let text = line.trim();
+
+    for (let i = 0; i < text.length; ++i) {
+
+        let char = text[i];
+        if (char == '|') {
+            if (cell != null) cells.push(cell.trim());
+            cell = "";
+        } else if (char == '\\' && i + 1 < text.length) {
+            let next = text[++i];
+            cell += next == 'n' ? '\n' : next;
+        } else if (cell != null) {
+            cell += char;
+        }
+    }
+
+    return cells;
+}
+
+function escapeCell(cell) {
+    return ("" + cell).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+}
+
+// Formats the rows of a data table as lines, with the columns lined up
+function tableLines(rows) {
+
+    let widths = rows[0].map((cell, i) => Math.max(...rows.map(cells => escapeCell(cells[i] || "").length)));
+    return rows.map(cells => "| " + widths.map((width, i) => {
+        let cell = escapeCell(cells[i] || "");
+        return cell + " ".repeat(width - cell.length);
+    }).join(" | ") + " |");
+}
+
+// Parses the content of a .feature file
+// Throws for content that isn't a feature, with the line as err.line.
+function parseFeature(content) {
+
+    let lines = content.replace(/^\ufeff/, '').replace(/\r/g, '').split('\n');
+
+    let feature = null;
+    let inRule = false;
+    let ruleBackground = [];
+    let current = null;
+    let tags = [];
+    let step = null;
+    let stepSeen = false;
+    let docString = null;
+
+    let fail = (lineNumber, message) => {
+        let err = new Error("Invalid feature at line " + lineNumber + ": " + message);
+        err.line = lineNumber;
+        throw err;
+    };
+
+    for (let i = 0; i < lines.length; ++i) {
+
+        let line = lines[i];
+        let text = line.trim();
+        let lineNumber = i + 1;
+
+        // Doc strings keep their lines, less the indentation of the opening quotes
+        if (docString) {
+            if (text == docString.quotes) {
+                step.docString = docString.lines.join('\n');
+                docString = null;
+            } else {
+                let indent = line.match(/^\s*/)[0].length;
+                docString.lines.push(line.substring(Math.min(indent, docString.indent)));
+            }
+            continue;
+        }
+
+        if (!text || text.startsWith('#')) continue;
+
+        if (text.startsWith('@')) {
+            tags = tags.concat(text.replace(/\s#.*$/, '').split(/\s+/).filter(tag => tag));
+            continue;
+        }
+
+        let header = text.match(headerRegex);
+        if (header) {
+
+            let keyword = header[1];
+            let name = header[2].trim();
+            step = null;
+
+            if (keyword == 'Feature') {
+                if (feature) fail(lineNumber, "more than one Feature");
+                feature = {
+                    tags: tags,
+                    name: name,
+                    description: "",
+                    line: lineNumber,
+                    background: null,
+                    scenarios: []
+                };
+                current = feature;
+            } else if (!feature) {
+                fail(lineNumber, "expected a Feature before " + keyword);
+            } else if (keyword == 'Rule') {
+                inRule = true;
+                ruleBackground = [];
+                current = {
+                    description: ""
+                };
+            } else if (keyword == 'Background') {
+                if (!inRule && (feature.background || feature.scenarios.length))
+                    fail(lineNumber, "Background after a Background or Scenario");
+                current = {
+                    name: name,
+                    description: "",
+                    steps: []
+                };
+                if (inRule) ruleBackground = current.steps;
+                else feature.background = current;
+            } else if (keyword == 'Examples' || keyword == 'Scenarios') {
+                let scenario = feature.scenarios[feature.scenarios.length - 1];
+                if (!scenario || !scenario.outline || (current != scenario && scenario.examples.indexOf(current) < 0))
+                    fail(lineNumber, keyword + " without a Scenario Outline");
+                current = {
+                    tags: tags,
+                    name: name,
+                    line: lineNumber,
+                    header: null,
+                    rows: []
+                };
+                scenario.examples.push(current);
+            } else {
+                current = {
+                    tags: tags,
+                    outline: keyword == 'Scenario Outline' || keyword == 'Scenario Template',
+                    name: name,
+                    description: "",
+                    line: lineNumber,
+                    steps: ruleBackground.slice(),
+                    examples: []
+                };
+                feature.scenarios.push(current);
+            }
+
+            tags = [];
+            stepSeen = false;
+            continue;
+        }
+
+        if (tags.length) fail(lineNumber, "tags must be followed by a Feature, Scenario or Examples");
+        if (!feature) fail(lineNumber, "expected a Feature");
+
+        let stepMatch = text.match(stepRegex);
+        if (stepMatch && current.steps) {
+            step = {
+                keyword: stepMatch[1],
+                text: stepMatch[2].trim(),
+                line: lineNumber,
+                docString: null,
+                table: null
+            };
+            current.steps.push(step);
+            stepSeen = true;
+            continue;
+        }
+
+        if ((text.startsWith('"""') || text.startsWith('```')) && step) {
+            if (step.docString != null || step.table) fail(lineNumber, "a step can only have one doc string or table");
+            docString = {
+                quotes: text.substring(0, 3),
+                indent: line.indexOf(text[0]),
+                lines: []
+            };
+            continue;
+        }
+
+        if (text.startsWith('|')) {
+
+            if (current.header !== undefined) {
+                if (!current.header) current.header = tableCells(text);
+                else current.rows.push(tableCells(text));
+                continue;
+            }
+
+            if (!step || step.docString != null) fail(lineNumber, "table without a step");
+            step.table = (step.table || []).concat([tableCells(text)]);
+            continue;
+        }
+
+        // Free text before the steps is the description
+        if (current.description !== undefined && !stepSeen) {
+            current.description = (current.description ? current.description + '\n' : "") + text;
+            continue;
+        }
+
+        fail(lineNumber, "expected a step, found '" + text + "'");
+    }
+
+    if (docString) fail(lines.length, "unterminated doc string");
+    if (tags.length) fail(lines.length, "tags must be followed by a Feature, Scenario or Examples");
+    if (!feature) fail(1, "expected a Feature");
+
+    return feature;
+}
+
+// Creates .feature file content for a feature (see parseFeature())
+function featureContent(feature) {
+
+    let lines = [];
+    let tagLine = (tags, indent) => {
+        if (tags && tags.length) lines.push(indent + tags.join(' '));
+    };
+    let description = (text, indent) => {
+        if (text) text.split('\n').forEach(line => lines.push(indent + line));
+    };
+    let table = (rows, indent) => tableLines(rows).forEach(line => lines.push(indent + line));
+    let steps = (stepList, indent) => stepList.forEach((step) => {
+
+        lines.push(indent + step.keyword + " " + step.text);
+
+        if (step.docString != null) {
+            lines.push(indent + '  """');
+            step.docString.split('\n').forEach(line => lines.push(line ? indent + '  ' + line : ""));
+            lines.push(indent + '  """');
+        }
+
+        if (step.table && step.table.length) table(step.table, indent + '  ');
+    });
+
+    tagLine(feature.tags, "");
+    lines.push("Feature: " + feature.name);
+    description(feature.description, "  ");
+
+    if (feature.background) {
+        lines.push("");
+        lines.push("  Background:" + (feature.background.name ? " " + feature.background.name : ""));
+        steps(feature.background.steps, "    ");
+    }
+
+    feature.scenarios.forEach((scenario) => {
+
+        lines.push("");
+        tagLine(scenario.tags, "  ");
+        lines.push("  " + (scenario.outline ? "Scenario Outline" : "Scenario") + ": " + scenario.name);
+        description(scenario.description, "    ");
+        steps(scenario.steps, "    ");
+
+        (scenario.examples || []).forEach((examples) => {
+            lines.push("");
+            tagLine(examples.tags, "    ");
+            lines.push("    Examples:" + (examples.name ? " " + examples.name : ""));
+            if (examples.header) table([examples.header].concat(examples.rows), "      ");
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    stepKeywords: stepKeywords,
+    tableCells: tableCells,
+    tableLines: tableLines,
+    parseFeature: parseFeature,
+    featureContent: featureContent
+};
\ No newline at end of file
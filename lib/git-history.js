@@ -0,0 +1,320 @@
+//
+// Created and modified git log entries of every file in a directory
+//
+// The history is read in a single `git log` pass over the directory and
+// cached per HEAD commit (in memory and in the git directory), so reading
+// a large tree doesn't start several git processes per file.
+//
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Log entries have the same fields and formats as simple-git log entries
+let logFields = ['hash', 'date', 'message', 'author_name', 'author_email'];
+let logFormat = ['%H', '%ai', '%s%d', '%aN', '%ae'].join('%x1f');
+
+let cacheFile = 'trio-history.json';
+let cacheVersion = 1;
+let memoryCache = {};
+
+// Runs git in a directory, promises the output
+function git(args, cwd) {
+    return new Promise((resolve, reject) => {
+        childProcess.execFile('git', args, {
+            cwd: cwd,
+            encoding: 'utf8',
+            maxBuffer: 1024 * 1024 * 1024
+        }, (err, stdout, stderr) => {
+            if (err) {
+                err.stderr = stderr;
+                reject(err);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+function logEntry(fields) {
+    let entry = {};
+    logFields.forEach((field, i) => entry[field] = fields[i]);
+    return entry;
+}
+
+// Parses `-z --name-status` output tokens
+// Returns a list of [status, path, renamedPath]
+function parseNameStatus(tokens) {
+
+    let changes = [];
+    for (let i = 0; i < tokens.length; ++i) {
+
+        let status = tokens[i];
+        if (!status) continue;
+
+        // Renames and copies are followed by the original and new paths
+        if (status[0] == 'R' || status[0] == 'C') {
+            changes.push([status[0], tokens[i + 1], tokens[i + 2]]);
+            i += 2;
+        } else {
+            changes.push([status[0], tokens[i + 1]]);
+            i += 1;
+        }
+    }
+
+    return changes;
+}
+
+// Parses `git log -z --name-status` output with the log format above
+// Returns a list of { entry, changes: [[status, path, renamedPath]] },
+// newest commit first
+function parseLog(output) {
+
+    return output.split('\x1e').slice(1).map((record) => {
+
+        let headerEnd = record.indexOf('\0');
+        if (headerEnd < 0) headerEnd = record.length;
+
+        let tokens = record.substring(headerEnd + 1).replace(/^\n/, '').split('\0');
+
+        return {
+            entry: logEntry(record.substring(0, headerEnd).trim().split('\x1f')),
+            changes: parseNameStatus(tokens)
+        };
+    });
+}
+
+// Works out the creation and last modification commit of each path from
+// parsed log output, matching per-file `git log -1 --diff-filter=A --follow`
+// and `git log -1` calls.
+// Returns { commits: { hash: entry }, created: { path: hash },
+// modified: { path: hash } }
+function historyFromLog(commits) {
+
+    let history = {
+        commits: {},
+        created: {},
+        modified: {}
+    };
+
+    // Older names of files, followed back through renames to their
+    // creation, mapped to the file's newest name
+    let following = {};
+    let seen = {};
+
+    commits.forEach(({
+        entry,
+        changes
+    }) => {
+
+        history.commits[entry.hash] = entry;
+
+        changes.forEach(([status, changedPath, renamedPath]) => {
+
+            let newPath = renamedPath || changedPath;
+            let touched = renamedPath ? [changedPath, renamedPath] : [changedPath];
+            touched.forEach((touchedPath) => {
+                if (!(touchedPath in history.modified)) history.modified[touchedPath] = entry.hash;
+            });
+
+            if (!seen[newPath]) {
+                seen[newPath] = true;
+                following[newPath] = newPath;
+            }
+
+            let file = following[newPath];
+            if (!file || (status != 'R' && status != 'A')) return;
+
+            // Like --follow, keep looking for the creation under the old name
+            delete following[newPath];
+            if (status == 'R') {
+                following[changedPath] = file;
+                seen[changedPath] = true;
+            } else {
+                history.created[file] = entry.hash;
+            }
+        });
+    });
+
+    return history;
+}
+
+function readCache(gitDir) {
+    try {
+        let cache = JSON.parse(fs.readFileSync(path.join(gitDir, cacheFile), 'utf8'));
+        return cache.version == cacheVersion ? cache : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Caching is only an optimization, so failing to save is fine
+function saveCache(gitDir, cache) {
+    try {
+        fs.writeFileSync(path.join(gitDir, cacheFile), JSON.stringify(cache));
+    } catch (err) {}
+}
+
+// Reads the git history of all files in a directory
+// Promises { root, head, commits, created, modified }, or null if the
+// directory isn't in a git repo
+function readGitHistory(dir) {
+
+    return git(['rev-parse', '--show-toplevel', '--absolute-git-dir'], dir)
+        .catch((err) => {
+            if (err.stderr && err.stderr.match(/not a git repository/i)) return null;
+            throw err;
+        })
+        .then((output) => {
+
+            if (output == null) return null;
+
+            let [root, gitDir] = output.trim().split('\n');
+
+            // A repo without commits has no history
+            return git(['rev-parse', '--verify', '-q', 'HEAD'], dir)
+                .then(head => head.trim(), () => null)
+                .then((head) => {
+
+                    let noHistory = {
+                        root: root,
+                        head: null,
+                        commits: {},
+                        created: {},
+                        modified: {}
+                    };
+                    if (!head) return noHistory;
+
+                    let pathspec = path.relative(root, fs.realpathSync(dir)) || '.';
+                    let key = [root, pathspec, head].join('\0');
+                    if (memoryCache[key]) return memoryCache[key];
+
+                    let cache = readCache(gitDir) || {
+                        version: cacheVersion,
+                        dirs: {}
+                    };
+
+                    let cached = cache.dirs[pathspec];
+                    if (cached && cached.head == head) {
+                        memoryCache[key] = Object.assign({
+                            root: root
+                        }, cached);
+                        return memoryCache[key];
+                    }
+
+                    return Promise.all([
+                        git(['show', '-s', '-z', '--format=%x1e' + logFormat, 'HEAD'], root),
+                        git(['log', '-M', '-z', '--name-status', '--format=%x1e' + logFormat,
+                            'HEAD', '--', pathspec
+                        ], root)
+                    ]).then(([headOutput, logOutput]) => {
+
+                        let headEntry = parseLog(headOutput)[0].entry;
+                        let history = historyFromLog(parseLog(logOutput));
+                        history.commits[head] = headEntry;
+                        history.head = head;
+
+                        cache.dirs[pathspec] = history;
+                        saveCache(gitDir, cache);
+
+                        memoryCache[key] = Object.assign({
+                            root: root
+                        }, history);
+                        return memoryCache[key];
+                    });
+                });
+        });
+}
+
+// Looks up the creation and last modification log entries of a file in
+// the history of its directory (see readGitHistory()).  Files without any
+// history (e.g. not committed yet) get the HEAD commit for both.
+// Returns [createLog, modifiedLog]
+function gitLogsFor(history, file) {
+
+    if (!history) return [null, null];
+
+    let headEntry = history.head ? history.commits[history.head] : null;
+
+    let repoPath = path.relative(history.root, fs.realpathSync(file)).split(path.sep).join('/');
+    let created = history.created[repoPath];
+    let modified = history.modified[repoPath];
+
+    return [
+        created ? history.commits[created] : headEntry,
+        modified ? history.commits[modified] : headEntry
+    ];
+}
+
+// Lists the files in a directory changed since a git ref, comparing the
+// ref to the working tree (untracked files count as added)
+// Promises { commit, added, modified, deleted, renamed } with absolute file
+// paths, renamed as [oldFile, newFile] pairs
+function gitChangesSince(dir, ref) {
+
+    return git(['rev-parse', '--show-toplevel'], dir)
+        .catch((err) => {
+            throw new Error("Not a git repository: " + dir);
+        })
+        .then((output) => {
+
+            let root = output.trim();
+            let pathspec = path.relative(root, fs.realpathSync(dir)) || '.';
+
+            return git(['rev-parse', '--verify', '-q', ref + '^{commit}'], root)
+                .catch((err) => {
+                    throw new Error("Unknown git ref '" + ref + "'");
+                })
+                .then((commit) => {
+
+                    commit = commit.trim();
+
+                    return Promise.all([
+                        git(['diff', '-M', '-z', '--name-status', commit, '--', pathspec], root),
+                        git(['ls-files', '-z', '--others', '--exclude-standard', '--', pathspec], root)
+                    ]).then(([diffOutput, untrackedOutput]) => {
+
+                        let changes = {
+                            commit: commit,
+                            added: [],
+                            modified: [],
+                            deleted: [],
+                            renamed: []
+                        };
+
+                        let file = (repoPath) => path.join(root, repoPath);
+
+                        parseNameStatus(diffOutput.split('\0')).forEach(([status, changedPath, renamedPath]) => {
+                            if (status == 'A' || status == 'C') changes.added.push(file(renamedPath || changedPath));
+                            else if (status == 'D') changes.deleted.push(file(changedPath));
+                            else if (status == 'R') changes.renamed.push([file(changedPath), file(renamedPath)]);
+                            else changes.modified.push(file(changedPath));
+                        });
+
+                        untrackedOutput.split('\0').filter(Boolean).forEach((repoPath) => {
+                            changes.added.push(file(repoPath));
+                        });
+
+                        return changes;
+                    });
+                });
+        });
+}
+
+// Promises the content of a file at some git ref
+function gitFileAt(dir, ref, file) {
+
+    return git(['rev-parse', '--show-toplevel'], dir).then((output) => {
+        let repoPath = path.relative(output.trim(), file).split(path.sep).join('/');
+        return git(['show', ref + ':' + repoPath], dir);
+    });
+}
+
+module.exports = {
+    readGitHistory: readGitHistory,
+    gitLogsFor: gitLogsFor,
+    gitChangesSince: gitChangesSince,
+    gitFileAt: gitFileAt,
+    historyFromLog: historyFromLog,
+    parseLog: parseLog
+};
\ No newline at end of file
@@ -0,0 +1,430 @@
+//
+// Conversion between our plain-text conventions and TestRail's rich text
+//
+// TestRail renders text fields (Steps, Expected Result, ...) as markdown, or
+// as HTML on older instances.  Test files use plain text instead:
+//   - blank lines separate paragraphs
+//   - "- ITEM" (or "* ITEM") lines are bullet lists and "1. ITEM" lines are
+//     numbered lists, indented to nest
+//   - "| CELL | CELL |" lines are tables, with a "|---|---|" line under the
+//     header row
+//   - any other indentation is kept
+//
+
+// 'text' exports fields as they are, and on import only turns any HTML into
+// text (see looksLikeHtml()) and collapses runs of spaces
+let markupModes = ['text', 'markdown', 'html'];
+
+let listItemRegex = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+let tableRowRegex = /^\s*\|(.*)\|\s*$/;
+let tableSeparatorRegex = /^\s*\|(\s*:?-+:?\s*\|)+\s*$/;
+
+let htmlEntities = {
+    'amp': '&',
+    'lt': '<',
+    'gt': '>',
+    'quot': '"',
+    'apos': "'",
+    'nbsp': ' ',
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] == '#') {
+            let code = name[1] == 'x' || name[1] == 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+            return code == 160 ? ' ' : String.fromCodePoint(code);
+        }
+        return htmlEntities[name.toLowerCase()] != null ? htmlEntities[name.toLowerCase()] : entity;
+    });
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Tidies converted text - no trailing spaces and at most one blank line
+function tidyText(text) {
+    return text.replace(/\u00a0/g, ' ').replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function tableCells(line) {
+    return line.match(tableRowRegex)[1].split('|').map(cell => cell.trim());
+}
+
+function tableLines(rows, header) {
+
+    let lines = rows.map(cells => '| ' + cells.join(' | ') + ' |');
+    if (header && lines.length) lines.splice(1, 0, '|' + rows[0].map(() => '---|').join(''));
+    return lines;
+}
+
+// Parses plain text into paragraph, list and table blocks
+function parseText(text) {
+
+    let blocks = [];
+    let block = null;
+
+    text.replace(/\r/g, '').split('\n').forEach((line) => {
+
+        if (!line.trim()) {
+            block = null;
+            return;
+        }
+
+        let item = line.match(listItemRegex);
+        let type = item ? 'list' : (line.match(tableRowRegex) ? 'table' : 'paragraph');
+
+        // Indented lines under a list item continue it
+        if (!item && block && block.type == 'list' && line.match(/^\s/)) {
+            let last = block.items[block.items.length - 1];
+            last.text += '\n' + line.trim();
+            return;
+        }
+
+        if (!block || block.type != type) {
+            block = {
+                type: type,
+                lines: [],
+                items: [],
+                rows: [],
+                header: false
+            };
+            blocks.push(block);
+        }
+
+        if (type == 'list') {
+            block.items.push({
+                indent: item[1].replace(/\t/g, '    ').length,
+                ordered: !!item[2].match(/\d/),
+                text: item[3]
+            });
+        } else if (type == 'table') {
+            if (block.rows.length == 1 && line.match(tableSeparatorRegex)) block.header = true;
+            else block.rows.push(tableCells(line));
+        } else {
+            block.lines.push(line);
+        }
+    });
+
+    return blocks;
+}
+
+// Nesting levels of list items from their indentation
+function listLevels(items) {
+
+    let indents = [];
+    return items.map((item) => {
+        while (indents.length && indents[indents.length - 1] > item.indent) indents.pop();
+        if (!indents.length || indents[indents.length - 1] < item.indent) indents.push(item.indent);
+        return indents.length - 1;
+    });
+}
+
+//
+// Plain text to markup
+//
+
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1').replace(/^(\s*)([#|])/, '$1\\$2');
+}
+
+// Leading spaces would start markdown code blocks, non-breaking ones don't
+function markdownIndent(line) {
+    return line.replace(/^[ \t]+/, spaces => spaces.replace(/\t/g, '    ').replace(/ /g, '\u00a0'));
+}
+
+function textToMarkdown(text) {
+
+    return parseText(text).map((block) => {
+
+        if (block.type == 'list') {
+            let levels = listLevels(block.items);
+            let numbers = [];
+            let ordered = [];
+            return block.items.map((item, i) => {
+                let level = levels[i];
+                numbers.length = ordered.length = level + 1;
+                if (ordered[level] !== item.ordered) numbers[level] = 0;
+                ordered[level] = item.ordered;
+                numbers[level] = (numbers[level] || 0) + 1;
+                let marker = item.ordered ? numbers[level] + '. ' : '* ';
+                let indent = '    '.repeat(level);
+                return indent + marker + item.text.split('\n').map(escapeMarkdown).join('\n' + indent + '    ');
+            }).join('\n');
+        }
+
+        if (block.type == 'table') {
+            return block.rows.map((cells, i) => {
+                let escaped = cells.map(escapeMarkdown);
+                return block.header && i == 0 ? '|||:' + escaped.join('|:') : '|| ' + escaped.join(' | ');
+            }).join('\n');
+        }
+
+        return block.lines.map(line => markdownIndent(escapeMarkdown(line))).join('\n');
+
+    }).join('\n\n');
+}
+
+function textToHtml(text) {
+
+    return parseText(text).map((block) => {
+
+        if (block.type == 'list') {
+
+            let levels = listLevels(block.items);
+            let html = '';
+            let open = [];
+
+            block.items.forEach((item, i) => {
+
+                let tag = item.ordered ? 'ol' : 'ul';
+                while (open.length > levels[i] + 1) html += '</li></' + open.pop() + '>';
+                if (open.length == levels[i] + 1) {
+                    html += '</li>';
+                    if (open[open.length - 1] != tag) html += '</' + open.pop() + '><' + tag + '>';
+                    if (open.length < levels[i] + 1) open.push(tag);
+                }
+                while (open.length < levels[i] + 1) {
+                    html += '<' + tag + '>';
+                    open.push(tag);
+                }
+
+                html += '<li>' + item.text.split('\n').map(escapeHtml).join('<br>');
+            });
+
+            while (open.length) html += '</li></' + open.pop() + '>';
+            return html;
+        }
+
+        if (block.type == 'table') {
+            return '<table>' + block.rows.map((cells, i) => {
+                let tag = block.header && i == 0 ? 'th' : 'td';
+                return '<tr>' + cells.map(cell => '<' + tag + '>' + escapeHtml(cell) + '</' + tag + '>').join('') + '</tr>';
+            }).join('') + '</table>';
+        }
+
+        return '<p>' + block.lines.map(line => escapeHtml(line)
+            .replace(/^[ \t]+/, spaces => spaces.replace(/\t/g, '    ').replace(/ /g, '&nbsp;'))).join('<br>\n') + '</p>';
+
+    }).join('\n');
+}
+
+//
+// Markup to plain text
+//
+
+let htmlBlockTags = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'table', 'ul', 'ol', 'hr'];
+
+// Other tags are kept as text, e.g. "<Currency>" placeholders
+let htmlTags = htmlBlockTags.concat(['br', 'li', 'tr', 'td', 'th', 'thead', 'tbody', 'a', 'img', 'span', 'b', 'strong',
+    'i', 'em', 'u', 's', 'strike', 'code', 'sub', 'sup', 'font'
+]);
+let htmlTagRegex = new RegExp('</?(' + htmlTags.join('|') + ')(\\s[^>]*)?/?>', 'i');
+let htmlEntityRegex = /&(#x[0-9a-f]+|#\d+|[a-z]+);/i;
+
+// Checks if text has HTML tags or entities, as TestRail fields written as
+// HTML do
+function looksLikeHtml(text) {
+    return !!(text.match(htmlTagRegex) || text.match(htmlEntityRegex));
+}
+
+function htmlAttribute(tag, name) {
+    let match = tag.match(new RegExp('\\s' + name + '\\s*=\\s*("([^"]*)"|\'([^\']*)\'|([^\\s>]+))', 'i'));
+    return match ? decodeEntities(match[2] || match[3] || match[4] || '') : null;
+}
+
+function htmlToText(html) {
+
+    let out = '';
+    let lists = [];
+    let table = null;
+    let links = [];
+    let pre = 0;
+
+    let newline = (count) => {
+        if (table) return;
+        let trailing = out.match(/\n*$/)[0].length;
+        if (out.length && trailing < count) out += '\n'.repeat(count - trailing);
+    };
+
+    let write = (text) => {
+        if (table && table.cell != null) table.cell += text;
+        else if (!table) out += text;
+    };
+
+    let tokenRegex = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z0-9]+)([^>]*)>|([^<]+|<)/g;
+    let token = null;
+    while ((token = tokenRegex.exec(html))) {
+
+        let [tag, closing, name, , text] = token;
+
+        if (text != null) {
+            text = decodeEntities(pre ? text : text.replace(/\s+/g, ' '));
+            if (!pre && (out.match(/(^|\n)$/) || (table && table.cell != null && !table.cell))) text = text.replace(/^ /, '');
+            write(text);
+            continue;
+        }
+        if (!name) continue;
+
+        name = name.toLowerCase();
+        if (htmlTags.indexOf(name) < 0) {
+            write(tag);
+            continue;
+        }
+
+        if (name == 'br') {
+            if (table && table.cell != null) table.cell += ' ';
+            else write('\n' + '  '.repeat(lists.length));
+        } else if (name == 'li' && !closing) {
+            newline(1);
+            let list = lists[lists.length - 1] || {
+                ordered: false,
+                count: 0
+            };
+            write('  '.repeat(Math.max(lists.length - 1, 0)) + (list.ordered ? (++list.count) + '. ' : '- '));
+        } else if ((name == 'ul' || name == 'ol') && !closing) {
+            newline(1);
+            lists.push({
+                ordered: name == 'ol',
+                count: 0
+            });
+        } else if ((name == 'ul' || name == 'ol') && closing) {
+            lists.pop();
+            newline(1);
+        } else if (name == 'table' && !closing) {
+            newline(2);
+            table = {
+                rows: [],
+                header: false,
+                row: null,
+                cell: null
+            };
+        } else if (name == 'table' && closing && table) {
+            let rows = table.rows;
+            let header = table.header;
+            table = null;
+            out += tableLines(rows, header).join('\n');
+            newline(2);
+        } else if (name == 'tr' && table) {
+            if (table.row && table.row.length) table.rows.push(table.row);
+            table.row = closing ? null : [];
+        } else if ((name == 'td' || name == 'th') && table) {
+            if (!closing) {
+                if (!table.row) table.row = [];
+                if (name == 'th' && !table.rows.length) table.header = true;
+                table.cell = '';
+            } else if (table.cell != null) {
+                table.row.push(table.cell.trim());
+                table.cell = null;
+            }
+        } else if (name == 'a') {
+            if (!closing) links.push([htmlAttribute(tag, 'href'), out.length]);
+            else if (links.length) {
+                let [href, start] = links.pop();
+                if (href && out.substring(start).trim() != href) write(' (' + href + ')');
+            }
+        } else if (name == 'img' && !closing) {
+            let src = htmlAttribute(tag, 'src');
+            if (src) write('![' + (htmlAttribute(tag, 'alt') || '') + '](' + src + ')');
+        } else if (name == 'pre') {
+            pre += closing ? -1 : 1;
+            newline(2);
+        } else if (htmlBlockTags.indexOf(name) >= 0) {
+            newline(2);
+        }
+    }
+
+    return tidyText(out);
+}
+
+let markdownInlineRegexes = [
+    // Links, but not images (kept for attachments)
+    [/(^|[^!\\])\[([^\]]*)\]\(([^)\s]+)\)/g, (match, before, text, url) => before + (text && text != url ? text + ' (' + url + ')' : url)],
+    [/(^|[^\\])(\*\*|__)(?=\S)(.+?)\2/g, '$1$3'],
+    [/(^|[^\w\\*])([*_])(?=\S)(.+?)\2(?!\w)/g, '$1$3'],
+    [/(^|[^\\])`([^`]+)`/g, '$1$2'],
+];
+
+function markdownInline(text) {
+    markdownInlineRegexes.forEach(([regex, replacement]) => text = text.replace(regex, replacement));
+    return decodeEntities(text.replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1'));
+}
+
+function markdownToText(markdown) {
+
+    let lines = markdown.replace(/\r/g, '').replace(/<br\s*\/?>/gi, '\n').split('\n');
+    let out = [];
+    let indents = [];
+    let fenced = false;
+
+    lines.forEach((line) => {
+
+        if (line.match(/^\s*(```|~~~)/)) {
+            fenced = !fenced;
+            return;
+        }
+        if (fenced) {
+            out.push(line);
+            return;
+        }
+
+        // TestRail tables: |||:HEADER|:HEADER and || CELL | CELL
+        let tableRow = line.match(/^\s*\|\|(\|?)(.*)$/);
+        if (tableRow) {
+            let cells = tableRow[2].split('|').map(cell => markdownInline(cell.replace(/^\s*:/, '').trim()));
+            out.push('| ' + cells.join(' | ') + ' |');
+            if (tableRow[1]) out.push('|' + cells.map(() => '---|').join(''));
+            return;
+        }
+
+        let item = line.replace(/\u00a0/g, ' ').match(listItemRegex);
+        if (item) {
+            let indent = item[1].replace(/\t/g, '    ').length;
+            while (indents.length && indents[indents.length - 1] > indent) indents.pop();
+            if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent);
+            out.push('  '.repeat(indents.length - 1) + (item[2].match(/\d/) ? item[2].replace(')', '.') : '-') +
+                ' ' + markdownInline(item[3]));
+            return;
+        }
+
+        // Lines right after a list item continue it
+        if (indents.length && line.trim()) {
+            out.push('  '.repeat(indents.length) + markdownInline(line.trim()));
+            return;
+        }
+
+        if (!line.trim()) indents = [];
+        if (line.match(/^\s*([-*_]\s*){3,}$/)) return;
+
+        out.push(markdownInline(line.replace(/^\s*#{1,6}\s+/, '').replace(/\s+#+\s*$/, '')));
+    });
+
+    return tidyText(out.join('\n'));
+}
+
+// Converts plain text (see above) to the markup of a mode
+function fromText(text, mode) {
+
+    if (text == null || !mode || mode == 'text') return text;
+    if (mode == 'markdown') return textToMarkdown(text);
+    if (mode == 'html') return textToHtml(text);
+
+    throw new Error("Unknown markup mode '" + mode + "'");
+}
+
+// Converts the markup of a mode to plain text (see above)
+function toText(markup, mode) {
+
+    if (markup == null) return markup;
+    if (!mode || mode == 'text') return looksLikeHtml(markup) ? htmlToText(markup) : markup.replace(/[ \t]+/g, ' ');
+    if (mode == 'markdown') return markdownToText(markup);
+    if (mode == 'html') return htmlToText(markup);
+
+    throw new Error("Unknown markup mode '" + mode + "'");
+}
+
+module.exports = {
+    markupModes: markupModes,
+    fromText: fromText,
+    toText: toText
+};
\ No newline at end of file
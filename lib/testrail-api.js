@@ -0,0 +1,147 @@
+//
+// Minimal TestRail API v2 client
+//
+// See http://docs.gurock.com/testrail-api2/start - only the calls
+// needed to sync case definitions are wrapped here.
+//
+
+const http = require('http');
+const https = require('https');
+const {
+    URL
+} = require('url');
+
+// Creates a client for a TestRail instance given a config object of
+// the form { url, user, apiKey (or password) }
+function testRailClient(config) {
+
+    if (!config || !config.url)
+        throw new Error("TestRail config requires a 'url'");
+
+    let baseUrl = config.url.replace(/\/+$/, '');
+    let auth = Buffer.from((config.user || '') + ':' +
+        (config.apiKey || config.password || '')).toString('base64');
+    let maxRetries = config.maxRetries != null ? config.maxRetries : 3;
+
+    // Sends a single API request, promises the parsed JSON response
+    function request(method, apiPath, body, retries) {
+
+        if (retries == null) retries = maxRetries;
+
+        return new Promise((resolve, reject) => {
+
+            let url = new URL(baseUrl + '/index.php?/api/v2/' + apiPath);
+            let payload = body != null ? JSON.stringify(body) : null;
+
+            let options = {
+                method: method,
+                hostname: url.hostname,
+                port: url.port,
+                path: url.pathname + url.search,
+                headers: {
+                    'Authorization': 'Basic ' + auth,
+                    'Content-Type': 'application/json'
+                }
+            };
+
+            if (payload != null)
+                options.headers['Content-Length'] = Buffer.byteLength(payload);
+
+            let transport = url.protocol == 'https:' ? https : http;
+            let req = transport.request(options, (res) => {
+
+                let chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => {
+
+                    let text = Buffer.concat(chunks).toString('utf8');
+
+                    // TestRail rate-limits hosted instances, wait as asked
+                    if (res.statusCode == 429 && retries > 0) {
+                        let wait = parseInt(res.headers['retry-after'] || '1', 10);
+                        setTimeout(() => {
+                            request(method, apiPath, body, retries - 1).then(resolve, reject);
+                        }, wait * 1000);
+                        return;
+                    }
+
+                    let data = null;
+                    try {
+                        data = text.length ? JSON.parse(text) : null;
+                    } catch (err) {
+                        data = null;
+                    }
+
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        let message = (data && data.error) ? data.error : text;
+                        let err = new Error("TestRail API " + method + " " + apiPath +
+                            " failed (" + res.statusCode + "): " + message);
+                        err.statusCode = res.statusCode;
+                        reject(err);
+                        return;
+                    }
+
+                    resolve(data);
+                });
+            });
+
+            req.on('error', reject);
+            if (payload != null) req.write(payload);
+            req.end();
+        });
+    }
+
+    // Reads every page of a bulk GET endpoint - TestRail 6.7+ wraps results
+    // as { offset, limit, size, _links, <key>: [...] }, older instances
+    // return a plain array.
+    function getAll(apiPath, key) {
+
+        let results = [];
+
+        function getPage(pagePath) {
+            return request('GET', pagePath).then((data) => {
+
+                if (Array.isArray(data)) {
+                    results = results.concat(data);
+                    return results;
+                }
+
+                results = results.concat(data[key] || []);
+
+                let next = data._links && data._links.next;
+                if (!next) return results;
+
+                return getPage(next.replace(/^\/api\/v2\//, ''));
+            });
+        }
+
+        return getPage(apiPath);
+    }
+
+    function suiteParam(suiteId) {
+        return suiteId != null ? '&suite_id=' + suiteId : '';
+    }
+
+    return {
+        request: request,
+        getCases: (projectId, suiteId) => {
+            return getAll('get_cases/' + projectId + suiteParam(suiteId), 'cases');
+        },
+        getSections: (projectId, suiteId) => {
+            return getAll('get_sections/' + projectId + suiteParam(suiteId), 'sections');
+        },
+        addCase: (sectionId, data) => {
+            return request('POST', 'add_case/' + sectionId, data);
+        },
+        updateCase: (caseId, data) => {
+            return request('POST', 'update_case/' + caseId, data);
+        },
+        addSection: (projectId, data) => {
+            return request('POST', 'add_section/' + projectId, data);
+        },
+    };
+}
+
+module.exports = {
+    testRailClient: testRailClient
+};
\ No newline at end of file
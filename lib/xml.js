@@ -0,0 +1,175 @@
+//
+// Just enough XML for TestRail's XML import/export format
+//
+// Elements are plain objects:
+//   { name, attributes, children, text }
+// where children are the child elements and text is the (unescaped) text
+// directly inside the element.  Mixed content isn't kept in order, which
+// TestRail's format doesn't use.
+//
+
+let xmlEntities = {
+    'amp': '&',
+    'lt': '<',
+    'gt': '>',
+    'quot': '"',
+    'apos': "'",
+};
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] == '#') {
+            return String.fromCodePoint(name[1] == 'x' || name[1] == 'X' ?
+                parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10));
+        }
+        if (!(name in xmlEntities)) throw new Error("Unknown XML entity " + entity);
+        return xmlEntities[name];
+    });
+}
+
+function escapeXml(text) {
+    return ("" + text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Parses XML text into its root element
+function parseXml(content) {
+
+    let pos = 0;
+    let root = null;
+    let stack = [];
+
+    let fail = (message) => {
+        let line = content.substring(0, pos).split('\n').length;
+        throw new Error("Invalid XML at line " + line + ": " + message);
+    };
+
+    let addText = (text) => {
+        if (stack.length) stack[stack.length - 1].text += text;
+        else if (text.trim()) fail("text outside of the root element");
+    };
+
+    content = content.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+
+    while (pos < content.length) {
+
+        let next = content.indexOf('<', pos);
+        if (next < 0) next = content.length;
+
+        if (next > pos) {
+            addText(decodeXmlEntities(content.substring(pos, next)));
+            pos = next;
+            continue;
+        }
+
+        let skipTo = (end) => {
+            let endPos = content.indexOf(end, pos);
+            if (endPos < 0) fail("missing " + end);
+            let skipped = content.substring(pos, endPos);
+            pos = endPos + end.length;
+            return skipped;
+        };
+
+        if (content.startsWith('<?', pos)) {
+            skipTo('?>');
+        } else if (content.startsWith('<!--', pos)) {
+            skipTo('-->');
+        } else if (content.startsWith('<![CDATA[', pos)) {
+            pos += '<![CDATA['.length;
+            addText(skipTo(']]>'));
+        } else if (content.startsWith('<!', pos)) {
+            skipTo('>');
+        } else if (content.startsWith('</', pos)) {
+
+            let match = content.substring(pos).match(/^<\/([^\s>]+)\s*>/);
+            if (!match) fail("bad closing tag");
+
+            let element = stack.pop();
+            if (!element || element.name != match[1]) fail("unexpected </" + match[1] + ">");
+
+            pos += match[0].length;
+        } else {
+
+            let match = content.substring(pos).match(/^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/);
+            if (!match) fail("bad tag");
+
+            let element = {
+                name: match[1],
+                attributes: {},
+                children: [],
+                text: ""
+            };
+
+            let attributeRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attribute = null;
+            while ((attribute = attributeRegex.exec(match[2]))) {
+                element.attributes[attribute[1]] = decodeXmlEntities(attribute[2] != null ? attribute[2] : attribute[3]);
+            }
+
+            if (stack.length) stack[stack.length - 1].children.push(element);
+            else if (root) fail("more than one root element");
+            else root = element;
+
+            if (!match[3]) stack.push(element);
+            pos += match[0].length;
+        }
+    }
+
+    if (stack.length) fail("unclosed <" + stack[stack.length - 1].name + ">");
+    if (!root) fail("no root element");
+
+    return root;
+}
+
+// Writes an element (with children or text) as indented XML text
+function stringifyXml(element, indent) {
+
+    indent = indent || "";
+
+    let attributes = Object.keys(element.attributes || {})
+        .map(name => " " + name + '="' + escapeXml(element.attributes[name]) + '"').join('');
+    let open = indent + "<" + element.name + attributes;
+    let children = element.children || [];
+
+    if (children.length) {
+        return open + ">\n" +
+            children.map(child => stringifyXml(child, indent + "  ")).join('') +
+            indent + "</" + element.name + ">\n";
+    }
+
+    if (element.text == null || element.text === "") return open + " />\n";
+    return open + ">" + escapeXml(element.text) + "</" + element.name + ">\n";
+}
+
+// Shorthand for creating elements, with text or a list of children
+function xmlElement(name, content) {
+    return Array.isArray(content) ? {
+        name: name,
+        children: content
+    } : {
+        name: name,
+        text: content == null ? "" : "" + content
+    };
+}
+
+function xmlChildren(element, name) {
+    return element ? element.children.filter(child => child.name == name) : [];
+}
+
+function xmlChild(element, name) {
+    return xmlChildren(element, name)[0] || null;
+}
+
+// The text of a child element, or null if there isn't one
+function xmlChildText(element, name) {
+    let child = xmlChild(element, name);
+    return child ? child.text : null;
+}
+
+module.exports = {
+    parseXml: parseXml,
+    stringifyXml: stringifyXml,
+    xmlElement: xmlElement,
+    xmlChildren: xmlChildren,
+    xmlChild: xmlChild,
+    xmlChildText: xmlChildText
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+//
+// Diff and merge unit tests (mocha)
+//
+
+const diff = require('../lib/diff');
+const assert = require('assert');
+
+describe('Diff', () => {
+
+    it('should format a unified diff', () => {
+
+        let patch = diff.unifiedDiff("a\nb\nc\nd\ne\nf\ng\nh\ni", "a\nb\nc\nd\nE\nf\ng\nh\ni\nj", "old", "new", 1);
+
+        assert.equal(patch, [
+            "--- old",
+            "+++ new",
+            "@@ -4,3 +4,3 @@",
+            " d",
+            "-e",
+            "+E",
+            " f",
+            "@@ -9,1 +9,2 @@",
+            " i",
+            "+j",
+            ""
+        ].join('\n'));
+    });
+
+    it('should return nothing for the same lines', () => {
+        assert.equal(diff.unifiedDiff("a\r\nb\n", "a\nb", "old", "new"), "");
+    });
+
+    it('should merge separate changes cleanly', () => {
+
+        let merged = diff.merge3("a\nb\nc\nd", "A\nb\nc\nd", "a\nb\nc\nD");
+
+        assert.equal(merged.conflicts, 0);
+        assert.equal(merged.content, "A\nb\nc\nD\n");
+    });
+
+    it('should mark conflicting changes', () => {
+
+        let merged = diff.merge3("a\nb\nc", "a\nB1\nc", "a\nB2\nc", "local", "testrail");
+
+        assert.equal(merged.conflicts, 1);
+        assert.equal(merged.content, "a\n<<<<<<< local\nB1\n=======\nB2\n>>>>>>> testrail\nc\n");
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,36 @@
+//
+// Encoding unit tests (mocha)
+//
+
+const encoding = require('../lib/encoding');
+const assert = require('assert');
+
+describe('Encoding', () => {
+
+    let text = "Habari “rafiki”, café → €5";
+
+    it('should encode and decode text', () => {
+
+        assert.equal(encoding.encodingName('cp1252'), 'Windows-1252');
+        assert.throws(() => encoding.encodingName('latin-9'), /Unsupported encoding 'latin-9'/);
+
+        ['UTF-8', 'UTF-8-BOM', 'UTF-16LE'].forEach((name) => {
+            let buffer = encoding.encodeText(text, name);
+            assert.equal(encoding.detectEncoding(buffer), name);
+            assert.equal(encoding.decodeText(buffer), text);
+            assert.equal(encoding.decodeText(buffer, 'UTF-8'), text);
+        });
+
+        let buffer = encoding.encodeText(text, 'Windows-1252');
+        assert.equal(buffer.length, 26);
+        assert.equal(encoding.detectEncoding(buffer), 'Windows-1252');
+        assert.equal(encoding.decodeText(buffer), text.replace('→', '?'));
+    });
+
+    it('should report characters that can not be represented', () => {
+
+        assert.deepEqual(encoding.unrepresentableChars(text + " → 😀", 'windows-1252'), ['→', '😀']);
+        assert.deepEqual(encoding.unrepresentableChars(text, 'UTF-8'), []);
+    });
+
+});
\ No newline at end of file
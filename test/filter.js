@@ -0,0 +1,47 @@
+//
+// Filter expression unit tests (mocha)
+//
+
+const filter = require('../lib/filter');
+const assert = require('assert');
+
+describe('Filter', () => {
+
+    let fields = {
+        'Priority': "2",
+        'Milestone': "1.36",
+        'Section': "Payments > Cards",
+        'Automation Status': "Manual",
+        'Device': ["Android", "iOS"]
+    };
+    let fieldValue = name => fields[name];
+
+    let matches = expression => filter.parseFilter(expression)(fieldValue);
+
+    it('should compare fields', () => {
+
+        assert(matches('Priority in (1, 2) and Milestone = "1.36" and Section ~ "Payments > *"'));
+        assert(matches('"Automation Status" = manual and Automation Status != Automated'));
+        assert(matches('Priority >= 2 and Milestone < 1.100.0 and Device = iOS'));
+        assert(matches('not (Priority = 1 or Section !~ "payments*") and Type not in (Automated)'));
+        assert(!matches('Priority not in (2, 3) or Device ~ W*'));
+    });
+
+    it('should report invalid expressions with a position', () => {
+
+        assert.throws(() => filter.parseFilter('Priority in (1, 2'), /Invalid filter at end: expected '\)'/);
+        assert.throws(() => filter.parseFilter('Priority High'), /Invalid filter at end: expected an operator after 'Priority High'/);
+        assert.throws(() => filter.parseFilter('Priority = 1 Type = 2'), /Invalid filter at position 14: unexpected 'Type'/);
+        assert.throws(() => filter.parseFilter(''), /empty filter/);
+    });
+
+    it('should match path globs', () => {
+
+        assert(filter.matchesPathGlob('Payments/**', 'Payments/Cards/Visa.test.txt'));
+        assert(filter.matchesPathGlob('Payments/**/*.test.txt', 'Payments/Visa.test.txt'));
+        assert(!filter.matchesPathGlob('Payments/*.test.txt', 'Payments/Cards/Visa.test.txt'));
+        assert(filter.matchesPathGlob('*_Draft.test.txt', 'Payments/Cards/Visa_Draft.test.txt'));
+        assert(filter.matchesPathGlob('./Login/?n.txt', 'Login/In.txt'));
+    });
+
+});
\ No newline at end of file
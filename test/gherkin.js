@@ -0,0 +1,64 @@
+//
+// Gherkin unit tests (mocha)
+//
+
+const gherkin = require('../lib/gherkin');
+const assert = require('assert');
+
+describe('Gherkin', () => {
+
+    let content = "# Payments\n@smoke\nFeature: Checkout\n  Paying at the checkout\n\n" +
+        "  Background:\n    Given I am logged in\n\n" +
+        "  Rule: Cards\n\n    Background:\n      Given I have a card\n\n" +
+        "    @C12\n    Scenario: Pay with a card\n      When I pay with\n        | card | note    |\n        | Visa | a \\| b |\n" +
+        "      Then I see\n        \"\"\"\n        Paid\n          thanks\n        \"\"\"\n\n" +
+        "    Scenario Outline: Pay in <Currency>\n      When I pay in <Currency>\n\n" +
+        "      @nz\n      Examples:\n        | Currency |\n        | NZD      |\n";
+
+    it('should parse features', () => {
+
+        let feature = gherkin.parseFeature(content);
+
+        assert.deepEqual(feature.tags, ['@smoke']);
+        assert.equal(feature.name, "Checkout");
+        assert.equal(feature.description, "Paying at the checkout");
+        assert.deepEqual(feature.background.steps.map(step => step.text), ["I am logged in"]);
+
+        let [card, outline] = feature.scenarios;
+        assert.deepEqual(card.tags, ['@C12']);
+        assert.equal(card.line, 15);
+        assert.deepEqual(card.steps.map(step => step.keyword + " " + step.text), ["Given I have a card", "When I pay with", "Then I see"]);
+        assert.deepEqual(card.steps[1].table, [
+            ['card', 'note'],
+            ['Visa', 'a | b']
+        ]);
+        assert.equal(card.steps[2].docString, "Paid\n  thanks");
+
+        assert(outline.outline);
+        assert.deepEqual(outline.steps.map(step => step.text), ["I have a card", "I pay in <Currency>"]);
+        assert.deepEqual(outline.examples.map(examples => [examples.tags, examples.header, examples.rows]), [
+            [
+                ['@nz'],
+                ['Currency'],
+                [
+                    ['NZD']
+                ]
+            ]
+        ]);
+
+        assert.throws(() => gherkin.parseFeature("Scenario: No feature\n"), /Invalid feature at line 1/);
+        assert.throws(() => gherkin.parseFeature("Feature: F\n  Scenario: S\n    Given a\n    oops\n"), err => err.line == 4);
+    });
+
+    it('should write features that parse the same', () => {
+
+        let feature = gherkin.parseFeature(content);
+        let written = gherkin.featureContent(feature);
+
+        assert(written.includes("      | card | note   |\n      | Visa | a \\| b |\n"));
+
+        let strip = features => JSON.parse(JSON.stringify(features, (key, value) => key == 'line' ? undefined : value));
+        assert.deepEqual(strip(gherkin.parseFeature(written)), strip(feature));
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+//
+// Git history unit tests (mocha)
+//
+
+const gitHistory = require('../lib/git-history');
+const assert = require('assert');
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs');
+const childProcess = require('child_process');
+const fsUtils = require('nodejs-fs-utils');
+
+function commit(hash, changes) {
+    return {
+        entry: {
+            hash: hash,
+            date: "",
+            message: hash,
+            author_name: "",
+            author_email: ""
+        },
+        changes: changes
+    };
+}
+
+describe('Git History', () => {
+
+    it('should parse log output with renames', () => {
+
+        let commits = gitHistory.parseLog([
+            "\x1eh2\x1f2018-01-02 00:00:00 +0000\x1fsecond; with a semicolon (HEAD -> master)\x1fA\x1fa@b\0\n",
+            "M\0a b.txt\0R090\0c.txt\0d.txt\0",
+            "\x1eh1\x1f2018-01-01 00:00:00 +0000\x1ffirst\x1fA\x1fa@b\0\n",
+            "A\0a b.txt\0A\0c.txt\0"
+        ].join(''));
+
+        assert.deepEqual(commits[0].entry, {
+            hash: "h2",
+            date: "2018-01-02 00:00:00 +0000",
+            message: "second; with a semicolon (HEAD -> master)",
+            author_name: "A",
+            author_email: "a@b"
+        });
+        assert.deepEqual(commits[0].changes, [
+            ['M', 'a b.txt'],
+            ['R', 'c.txt', 'd.txt']
+        ]);
+        assert.deepEqual(commits[1].changes, [
+            ['A', 'a b.txt'],
+            ['A', 'c.txt']
+        ]);
+    });
+
+    it('should follow renames back to file creation', () => {
+
+        let history = gitHistory.historyFromLog([
+            commit('h4', [
+                ['A', 'a.txt']
+            ]),
+            commit('h3', [
+                ['R', 'a.txt', 'b.txt']
+            ]),
+            commit('h2', [
+                ['M', 'a.txt']
+            ]),
+            commit('h1', [
+                ['A', 'a.txt']
+            ])
+        ]);
+
+        // The new a.txt isn't the a.txt renamed to b.txt
+        assert.equal(history.created['a.txt'], 'h4');
+        assert.equal(history.modified['a.txt'], 'h4');
+        assert.equal(history.created['b.txt'], 'h1');
+        assert.equal(history.modified['b.txt'], 'h3');
+    });
+
+    describe('in a repo', () => {
+
+        let repoDir = null;
+
+        let git = (args) => childProcess.execFileSync('git', args, {
+            cwd: repoDir,
+            encoding: 'utf8'
+        });
+
+        beforeEach(() => {
+            repoDir = tmp.dirSync().name;
+            git(['init', '-q']);
+            git(['config', 'user.name', 'Test Author']);
+            git(['config', 'user.email', 'author@example.com']);
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(repoDir)) fsUtils.rmdirsSync(repoDir);
+        });
+
+        it('should read created and modified commits of all files', () => {
+
+            fs.mkdirSync(path.join(repoDir, 'tests'));
+            fs.writeFileSync(path.join(repoDir, 'tests', 'a.test.txt'), "a");
+            git(['add', '.']);
+            git(['commit', '-q', '-m', 'Add a']);
+            git(['mv', 'tests/a.test.txt', 'tests/b.test.txt']);
+            git(['commit', '-q', '-m', 'Rename a']);
+            fs.writeFileSync(path.join(repoDir, 'tests', 'new.test.txt'), "new");
+
+            let added = git(['rev-parse', 'HEAD~1']).trim();
+            let renamed = git(['rev-parse', 'HEAD']).trim();
+
+            return gitHistory.readGitHistory(path.join(repoDir, 'tests')).then((history) => {
+
+                let [createLog, modifiedLog] = gitHistory.gitLogsFor(history,
+                    path.join(repoDir, 'tests', 'b.test.txt'));
+                assert.equal(createLog.hash, added);
+                assert.equal(createLog.message, "Add a");
+                assert.equal(createLog.author_name, "Test Author");
+                assert.equal(modifiedLog.hash, renamed);
+
+                // Files not committed yet get the latest commit
+                let newLogs = gitHistory.gitLogsFor(history, path.join(repoDir, 'tests', 'new.test.txt'));
+                assert.equal(newLogs[0].hash, renamed);
+                assert.equal(newLogs[1].hash, renamed);
+
+                // History is cached for the current HEAD
+                let cache = JSON.parse(fs.readFileSync(path.join(repoDir, '.git', 'trio-history.json'), 'utf8'));
+                assert.equal(cache.dirs['tests'].head, renamed);
+            });
+        });
+
+        it('should have no history without commits', () => {
+
+            return gitHistory.readGitHistory(repoDir).then((history) => {
+                assert.equal(history.head, null);
+                assert.deepEqual(gitHistory.gitLogsFor(history, repoDir), [null, null]);
+            });
+        });
+
+        it('should have no history outside of a repo', () => {
+
+            fsUtils.rmdirsSync(path.join(repoDir, '.git'));
+
+            return gitHistory.readGitHistory(repoDir).then((history) => {
+                assert.equal(history, null);
+                assert.deepEqual(gitHistory.gitLogsFor(history, repoDir), [null, null]);
+            });
+        });
+    });
+});
\ No newline at end of file
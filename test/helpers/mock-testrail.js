@@ -0,0 +1,104 @@
+//
+// In-memory mock of the TestRail API v2 calls used by sync
+//
+
+const http = require('http');
+
+// Starts a mock TestRail server on a random local port
+// Promises { url, state, requests, close() }
+function startMockTestRail(state) {
+
+    state = Object.assign({
+        sections: [],
+        cases: [],
+        nextId: 1000
+    }, state);
+
+    let requests = [];
+
+    let server = http.createServer((req, res) => {
+
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+
+            let match = req.url.match(/^\/index\.php\?\/api\/v2\/(\w+)(?:\/(\d+))?/);
+            let data = body ? JSON.parse(body) : null;
+            requests.push([req.method, match ? match[1] : req.url, data]);
+
+            let reply = (status, result) => {
+                res.writeHead(status, {
+                    'Content-Type': 'application/json'
+                });
+                res.end(JSON.stringify(result));
+            };
+
+            if (!match) return reply(404, {
+                error: "Unknown URL"
+            });
+
+            let [, method, id] = match;
+            id = parseInt(id, 10);
+
+            if (method == 'get_sections') return reply(200, state.sections);
+
+            // Newer TestRail versions paginate bulk results
+            if (method == 'get_cases') return reply(200, {
+                offset: 0,
+                limit: 250,
+                size: state.cases.length,
+                _links: {
+                    next: null,
+                    prev: null
+                },
+                cases: state.cases
+            });
+
+            if (method == 'add_section') {
+                let section = Object.assign({
+                    id: state.nextId++
+                }, data);
+                state.sections.push(section);
+                return reply(200, section);
+            }
+
+            if (method == 'add_case') {
+                let trCase = Object.assign({
+                    id: state.nextId++,
+                    section_id: id,
+                    updated_on: Math.floor(Date.now() / 1000)
+                }, data);
+                state.cases.push(trCase);
+                return reply(200, trCase);
+            }
+
+            if (method == 'update_case') {
+                let trCase = state.cases.find(trCase => trCase.id == id);
+                if (!trCase) return reply(400, {
+                    error: "Field :case_id is not a valid test case."
+                });
+                Object.assign(trCase, data);
+                return reply(200, trCase);
+            }
+
+            reply(400, {
+                error: "Unknown method " + method
+            });
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: 'http://127.0.0.1:' + server.address().port,
+                state: state,
+                requests: requests,
+                close: () => new Promise(resolve => server.close(resolve))
+            });
+        });
+    });
+}
+
+module.exports = {
+    startMockTestRail: startMockTestRail
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+//
+// Markup conversion unit tests (mocha)
+//
+
+const markup = require('../lib/markup');
+const assert = require('assert');
+
+let text = [
+    "Open the app",
+    "  then wait",
+    "",
+    "- Enter PIN",
+    "- Tap *OK*",
+    "  - nested item",
+    "    continued",
+    "1. first",
+    "2. second",
+    "",
+    "| Field | Value |",
+    "|---|---|",
+    "| PIN | 1234 |",
+    "| Name | A & B <c> |",
+    "",
+    "snake_case [x] 3 * 4"
+].join('\n');
+
+describe('Markup', () => {
+
+    it('should convert plain text to TestRail markdown', () => {
+
+        assert.equal(markup.fromText(text, 'markdown'), [
+            "Open the app",
+            "\u00a0\u00a0then wait",
+            "",
+            "* Enter PIN",
+            "* Tap \\*OK\\*",
+            "    * nested item",
+            "        continued",
+            "1. first",
+            "2. second",
+            "",
+            "|||:Field|:Value",
+            "|| PIN | 1234",
+            "|| Name | A & B <c>",
+            "",
+            "snake\\_case \\[x\\] 3 \\* 4"
+        ].join('\n'));
+    });
+
+    it('should convert plain text to HTML', () => {
+
+        assert.equal(markup.fromText("Tap OK\n\n- a & b\n  - c", 'html'),
+            "<p>Tap OK</p>\n<ul><li>a &amp; b<ul><li>c</li></ul></li></ul>");
+    });
+
+    it('should roundtrip plain text', () => {
+        assert.equal(markup.toText(markup.fromText(text, 'markdown'), 'markdown'), text);
+        assert.equal(markup.toText(markup.fromText(text, 'html'), 'html'), text);
+    });
+
+    it('should convert HTML to readable text', () => {
+
+        let html = '<p>Hello&nbsp;&amp; <b>world</b></p><p>Line<br>two</p>' +
+            '<ul><li>a</li><li>b<ol><li>c</li></ol></li></ul>' +
+            '<table><tr><th>H1</th><th>H2</th></tr><tr><td>x</td><td>y</td></tr></table>' +
+            '<p>See <a href="http://example.com">the docs</a></p>';
+
+        assert.equal(markup.toText(html, 'html'), [
+            "Hello & world",
+            "",
+            "Line",
+            "two",
+            "",
+            "- a",
+            "- b",
+            "  1. c",
+            "",
+            "| H1 | H2 |",
+            "|---|---|",
+            "| x | y |",
+            "",
+            "See the docs (http://example.com)"
+        ].join('\n'));
+    });
+
+    it('should convert TestRail markdown to readable text', () => {
+
+        let markdown = "**Bold** and _it_ with `code` &amp; snake_case\n\n* one\n* two\n    * sub\n\n" +
+            "|||:H1|:H2\n|| a | b\n\n[link](http://example.com) ![](index.php?/attachments/get/1)";
+
+        assert.equal(markup.toText(markdown, 'markdown'), [
+            "Bold and it with code & snake_case",
+            "",
+            "- one",
+            "- two",
+            "  - sub",
+            "",
+            "| H1 | H2 |",
+            "|---|---|",
+            "| a | b |",
+            "",
+            "link (http://example.com) ![](index.php?/attachments/get/1)"
+        ].join('\n'));
+    });
+
+    it('should only turn HTML into text as plain text', () => {
+        assert.equal(markup.fromText("a  <b>", 'text'), "a  <b>");
+        assert.equal(markup.toText("Pay  in <Currency>", 'text'), "Pay in <Currency>");
+        assert.equal(markup.toText("<p>Tap&nbsp;<b>OK</b> &amp; wait</p><ul><li>a</li></ul>", 'text'), "Tap OK & wait\n\n- a");
+        assert.throws(() => markup.toText("a", 'rtf'), /Unknown markup mode 'rtf'/);
+    });
+
+});
\ No newline at end of file
@@ -8,6 +8,7 @@ const path = require('path');
 const tmp = require('tmp');
 const fs = require('fs');
 const csv = require('csv');
+const fsUtils = require('nodejs-fs-utils');
 
 let testDir = path.dirname(require.resolve('./test'));
 let sampleDir = path.join(testDir, 'samples');
@@ -78,6 +79,22 @@ describe('Read Test File', () => {
             });
     });
 
+    it('should read the same git log info for a whole directory', () => {
+
+        let sampleFile = path.join(sampleDir, 'section', 'abcde.test.txt');
+
+        return Promise.all([trio.readTestFile(sampleFile, sampleDir), trio.readTestDir(sampleDir)])
+            .then(([readTestFile, readTestFiles]) => {
+
+                readTestFiles.forEach(([testFile, content, createLog, modifiedLog]) => {
+                    assert(createLog && modifiedLog, "No git log info for " + testFile);
+                });
+
+                let fromDir = readTestFiles.find(([testFile]) => testFile == readTestFile[0]);
+                assert.deepEqual(fromDir.slice(0, 4), readTestFile);
+            });
+    });
+
     it('should save basically correct csv content', () => {
 
         let outputFile = path.join(tmpDir, 'output.csv');
@@ -151,3 +168,2412 @@ describe('Read Test File', () => {
     });
 
 });
+
+describe('TestRail Sync', () => {
+
+    const {
+        startMockTestRail
+    } = require('./helpers/mock-testrail');
+
+    let syncDir = path.join(tmpDir, 'sync');
+    let mock = null;
+
+    beforeEach(() => {
+
+        fs.mkdirSync(syncDir);
+        fs.mkdirSync(path.join(syncDir, 'Login'));
+        fs.writeFileSync(path.join(syncDir, 'Login', 'new_case.test.txt'),
+            "Open the app\n\nExpected Result:\nLogin screen shown\n");
+        fs.writeFileSync(path.join(syncDir, 'Login', 'existing_case.test.txt'),
+            "Enter a PIN\n\nExpected Result:\nHome screen shown\n\nID: C7\nPriority: 2");
+
+        return startMockTestRail({
+            sections: [{
+                id: 1,
+                name: 'Login',
+                parent_id: null
+            }],
+            cases: [{
+                id: 7,
+                title: 'existing case',
+                section_id: 1,
+                priority_id: 2,
+                custom_steps: 'Enter a PIN',
+                custom_expected: 'Home screen shown',
+                updated_on: 1
+            }, {
+                id: 8,
+                title: 'Remote only',
+                section_id: 1,
+                custom_steps: 'Do a thing',
+                custom_expected: 'Thing done',
+                updated_on: 1
+            }]
+        }).then(started => mock = started);
+    });
+
+    afterEach(() => {
+        fsUtils.rmdirsSync(syncDir);
+        return mock.close();
+    });
+
+    it('should add new local tests and write back their IDs', () => {
+
+        return trio.syncWithTestRail(syncDir, {
+                url: mock.url,
+                projectId: 1
+            }, {
+                direction: 'push'
+            })
+            .then((summary) => {
+
+                assert.equal(summary.added.length, 1);
+                assert.deepEqual(summary.unchanged, [
+                    [path.join('Login', 'existing_case.test.txt'), 7]
+                ]);
+
+                let added = mock.state.cases.find(trCase => trCase.title == 'new_case');
+                assert.equal(added.section_id, 1);
+                assert.equal(added.custom_steps, "Open the app");
+                assert.equal(added.custom_expected, "Login screen shown");
+
+                let content = fs.readFileSync(path.join(syncDir, 'Login', 'new_case.test.txt'), 'utf8');
+                assert(content.match(new RegExp('^ID: C' + added.id + '$', 'm')));
+            });
+    });
+
+    it('should create missing sections', () => {
+
+        fs.mkdirSync(path.join(syncDir, 'Payments'));
+        fs.mkdirSync(path.join(syncDir, 'Payments', 'Mobile'));
+        fs.writeFileSync(path.join(syncDir, 'Payments', 'Mobile', 'pay.test.txt'), "Pay\nExpected Result:\nPaid");
+
+        return trio.syncWithTestRail(syncDir, {
+                url: mock.url,
+                projectId: 1,
+                suiteId: 3
+            }, {
+                direction: 'push'
+            })
+            .then((summary) => {
+
+                assert.deepEqual(summary.sections, ['Payments', 'Payments > Mobile']);
+
+                let parent = mock.state.sections.find(section => section.name == 'Payments');
+                let child = mock.state.sections.find(section => section.name == 'Mobile');
+                assert.equal(child.parent_id, parent.id);
+                assert.equal(child.suite_id, 3);
+            });
+    });
+
+    it('should push or pull changed cases as preferred', () => {
+
+        let config = {
+            url: mock.url,
+            projectId: 1
+        };
+
+        fs.writeFileSync(path.join(syncDir, 'Login', 'existing_case.test.txt'),
+            "Enter a 4-digit PIN\n\nExpected Result:\nHome screen shown\n\nID: C7");
+
+        return trio.syncWithTestRail(syncDir, config, {
+                prefer: 'local',
+                direction: 'push'
+            })
+            .then((summary) => {
+
+                assert.equal(summary.updated.length, 1);
+                assert.equal(mock.state.cases[0].custom_steps, "Enter a 4-digit PIN");
+                // Mangled filename doesn't replace the TestRail title
+                assert.equal(mock.state.cases[0].title, "existing case");
+
+                mock.state.cases[0].custom_steps = "Enter a 6-digit PIN";
+                return trio.syncWithTestRail(syncDir, config, {
+                    prefer: 'remote'
+                });
+            })
+            .then((summary) => {
+
+                assert.equal(summary.pulled.length, 1);
+                assert.deepEqual(summary.created, [
+                    [path.join('Login', 'Remote_only.test.txt'), 8]
+                ]);
+
+                let content = fs.readFileSync(path.join(syncDir, 'Login', 'existing_case.test.txt'), 'utf8');
+                assert(content.match(/^Enter a 6-digit PIN/));
+
+                content = fs.readFileSync(path.join(syncDir, 'Login', 'Remote_only.test.txt'), 'utf8');
+                assert(content.match(/^ID: C8$/m));
+            });
+    });
+
+    it('should not pull over local changes', () => {
+
+        let config = {
+            url: mock.url,
+            projectId: 1
+        };
+        let testFile = path.join(syncDir, 'Login', 'existing_case.test.txt');
+
+        mock.state.cases[0].custom_steps = "Enter a 6-digit PIN";
+
+        return trio.syncWithTestRail(syncDir, config, {
+                prefer: 'remote',
+                direction: 'pull'
+            })
+            .then(() => {
+
+                fs.writeFileSync(testFile, fs.readFileSync(testFile, 'utf8').replace("6-digit", "4-digit"));
+                mock.state.cases[0].custom_steps = "Enter an 8-digit PIN";
+                mock.state.cases[0].updated_on = Math.floor(Date.now() / 1000) + 3600;
+
+                return trio.syncWithTestRail(syncDir, config);
+            })
+            .then((summary) => {
+
+                assert.deepEqual(summary.conflicts, [
+                    [path.join('Login', 'existing_case.test.txt'), 7]
+                ]);
+                assert.deepEqual(summary.pulled, []);
+                assert(fs.readFileSync(testFile, 'utf8').match(/^Enter a 4-digit PIN/));
+            });
+    });
+
+    it('should report cases the sync direction leaves out', () => {
+
+        fs.writeFileSync(path.join(syncDir, 'Login', 'existing_case.test.txt'),
+            "Enter a 4-digit PIN\n\nExpected Result:\nHome screen shown\n\nID: C7");
+
+        return trio.syncWithTestRail(syncDir, {
+                url: mock.url,
+                projectId: 1
+            }, {
+                prefer: 'local',
+                direction: 'pull'
+            })
+            .then((summary) => {
+
+                assert.deepEqual(summary.skipped, [
+                    [path.join('Login', 'existing_case.test.txt'), "local is preferred, push disabled"]
+                ]);
+                assert.equal(mock.state.cases[0].custom_steps, "Enter a PIN");
+            });
+    });
+
+});
+describe('Separated Steps', () => {
+
+    let separatedFile = path.join(sampleDir, 'section', 'separated.test.txt');
+
+    afterEach(() => {
+        trio.separatedSteps = false;
+    });
+
+    it('should parse numbered steps and expected results', () => {
+
+        return trio.readTestFile(separatedFile, sampleDir)
+            .then(readTestFile => {
+
+                let row = trio.trRowFor(readTestFile);
+                assert.equal(row['Preconditions'], "Logged in as a field officer");
+                assert.deepEqual(row['Separated Steps'], [{
+                    step: "Open the client list",
+                    expected: "All clients are shown"
+                }, {
+                    step: "Search for a client\nby name",
+                    expected: "Only matching clients are shown"
+                }]);
+                assert.equal(row['Priority'], "2");
+            });
+    });
+
+    it('should add the expected result block to the last step', () => {
+
+        let row = trio.trRowFor(['receipt.test.txt',
+            "Step 1: Pay the invoice\nExpected 1: Payment is accepted\nStep 2: Print\nExpected Result:\nReceipt is shown\n"
+        ]);
+
+        assert.deepEqual(row['Separated Steps'], [{
+            step: "Pay the invoice",
+            expected: "Payment is accepted"
+        }, {
+            step: "Print",
+            expected: "Receipt is shown"
+        }]);
+    });
+
+    it('should roundtrip the multi-row steps layout', () => {
+
+        let outputFile = path.join(tmpDir, 'separated.csv');
+        let outputDir = path.join(tmpDir, 'separated');
+
+        trio.separatedSteps = true;
+
+        return trio
+            .readTestDir(sampleDir)
+            .then(readTestFiles => trio.saveToTrCsv(readTestFiles, outputFile))
+            .then(() => new Promise((resolve, reject) => {
+
+                csv.parse(fs.readFileSync(outputFile), (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows);
+                });
+            }))
+            .then((rows) => {
+
+                let columns = rows[0];
+                let stepColumn = columns.indexOf('Steps (Step)');
+                let titleIndex = rows.findIndex(row => row[columns.indexOf('Title')] == 'separated');
+
+                assert.equal(rows[titleIndex][stepColumn], "Open the client list");
+                assert.equal(rows[titleIndex + 1][stepColumn], "Search for a client\nby name");
+                assert.equal(rows[titleIndex + 1][columns.indexOf('Title')], "");
+            })
+            .then(() => trio.readTestCsv(outputFile))
+            .then(testRows => trio.saveToTestDir(testRows, outputDir))
+            .then(() => trio.readTestFile(path.join(outputDir, 'section', 'separated.test.txt'), outputDir))
+            .then(readTestFile => {
+
+                let row = trio.trRowFor(readTestFile);
+                assert.equal(row['Preconditions'], "Logged in as a field officer");
+                assert.equal(row['Separated Steps'].length, 2);
+                assert.equal(row['Separated Steps'][1].expected, "Only matching clients are shown");
+
+                // Tests without numbered steps become a single step
+                return trio.readTestFile(path.join(outputDir, 'section', 'basic.test.txt'), outputDir);
+            })
+            .then(readTestFile => {
+
+                let row = trio.trRowFor(readTestFile);
+                assert.deepEqual(row['Separated Steps'], [{
+                    step: "STEPS",
+                    expected: "RESULT\n\nRESULT"
+                }]);
+            });
+    });
+
+    it('should generate a matching import config', () => {
+
+        trio.separatedSteps = true;
+
+        let columns = trio.trCsvColumns();
+        let config = trio.trImportConfigFor(columns);
+
+        assert.equal(config.layout.format, "multi");
+        assert.equal(config.layout.break, columns.indexOf('Title'));
+        assert.equal(config.columns.length, columns.length);
+        assert.equal(config.columns[columns.indexOf('Steps (Step)')], "cases:custom_steps_separated.content");
+        assert.equal(config.columns[columns.indexOf('Steps (Expected Result)')], "cases:custom_steps_separated.expected");
+    });
+
+});
+describe('Lint', () => {
+
+    let rulesFor = (problems) => problems.map(problem => [problem.file, problem.line, problem.rule]);
+
+    it('should report problems with file and line', () => {
+
+        let problems = trio.lintTestFiles([
+            ['a/ok.test.txt', "Do it\nExpected Result:\nDone\nID: C1"],
+            ['a/no_result.test.txt', "Do it\nPrority: 1\nSize: Large\nTitl: Pay\n"],
+            ['a/bad_steps.test.txt', "Step 1: Do it\nExpected 1: Done\nStep 3: Again\nExpected 4: Done"],
+        ]);
+
+        assert.deepEqual(rulesFor(problems), [
+            ['a/bad_steps.test.txt', 3, 'step-numbering'],
+            ['a/bad_steps.test.txt', 4, 'step-numbering'],
+            ['a/no_result.test.txt', 1, 'missing-expected-result'],
+            ['a/no_result.test.txt', 2, 'misspelled-field'],
+            ['a/no_result.test.txt', 4, 'misspelled-field'],
+        ]);
+        assert.equal(problems[2].severity, 'error');
+        assert.equal(problems[0].severity, 'warning');
+        assert.equal(problems[3].severity, 'warning');
+    });
+
+    it('should report duplicate IDs and colliding filenames', () => {
+
+        let problems = trio.lintTestFiles([
+            ['a/Login (SMS).test.txt', "Do it\nExpected Result:\nDone\nID: C1"],
+            ['a/Login [SMS].test.txt', "Do it\nExpected Result:\nDone\nID: 1"],
+        ]);
+
+        assert.deepEqual(rulesFor(problems), [
+            ['a/Login (SMS).test.txt', 1, 'filename-collision'],
+            ['a/Login (SMS).test.txt', 4, 'duplicate-id'],
+            ['a/Login [SMS].test.txt', 1, 'filename-collision'],
+            ['a/Login [SMS].test.txt', 4, 'duplicate-id'],
+        ]);
+    });
+
+    it('should apply configured severities', () => {
+
+        let problems = trio.lintTestFiles([
+            ['a/no_result.test.txt', "Do it\nID: abc"],
+        ], {
+            'missing-expected-result': 'warning',
+            'invalid-id': 'off'
+        });
+
+        assert.deepEqual(problems.map(problem => [problem.rule, problem.severity]), [
+            ['missing-expected-result', 'warning']
+        ]);
+    });
+
+    it('should lint a test directory', () => {
+
+        return trio.lintTestDir(sampleDir)
+            .then((problems) => {
+                assert(problems.find(problem =>
+                    problem.file == path.join('section', 'abcde.test.txt') &&
+                    problem.rule == 'missing-expected-result'));
+            });
+    });
+
+});
+describe('Conflict-aware Import', () => {
+
+    let importDir = path.join(tmpDir, 'import');
+    let testFile = path.join(importDir, 'Login', 'Enter_PIN.test.txt');
+
+    let entryFor = (plan, file) => plan.find(entry => entry.file == file);
+
+    let rowsWith = (steps) => [{
+        'ID': 'C1',
+        'Title': 'Enter PIN',
+        'Section': 'Login',
+        'Section Description': 'Login screens',
+        'Steps': steps,
+        'Expected Result': 'Home screen shown'
+    }];
+
+    beforeEach(() => {
+        return trio.saveToTestDir(rowsWith("Open app\nEnter PIN\nTap OK"), importDir);
+    });
+
+    afterEach(() => {
+        fsUtils.rmdirsSync(importDir);
+    });
+
+    it('should plan a dry run without writing', () => {
+
+        let dryRunDir = path.join(tmpDir, 'dry-run');
+
+        return trio.saveToTestDir(rowsWith("Open app"), dryRunDir, {
+                dryRun: true
+            })
+            .then((plan) => {
+
+                assert.deepEqual(plan.map(entry => [path.relative(dryRunDir, entry.file), entry.action]), [
+                    ['Section.meta.txt', 'create'],
+                    [path.join('Login', 'Section.meta.txt'), 'create'],
+                    [path.join('Login', 'Enter_PIN.test.txt'), 'create'],
+                ]);
+                assert(plan[2].diff.match(/^\+Open app$/m));
+                assert(!fs.existsSync(dryRunDir));
+            });
+    });
+
+    it('should update files not changed locally', () => {
+
+        return trio.saveToTestDir(rowsWith("Open app\nEnter 4-digit PIN\nTap OK"), importDir)
+            .then((plan) => {
+
+                assert.deepEqual(plan.map(entry => entry.action), ['unchanged', 'unchanged', 'update']);
+                assert(entryFor(plan, testFile).diff.match(/^-Enter PIN\n\+Enter 4-digit PIN$/m));
+                assert(fs.readFileSync(testFile, 'utf8').match(/^Enter 4-digit PIN$/m));
+            });
+    });
+
+    it('should stop instead of overwriting local changes', () => {
+
+        fs.writeFileSync(testFile, fs.readFileSync(testFile, 'utf8').replace("Tap OK", "Tap Login"));
+
+        return trio.saveToTestDir(rowsWith("Open app\nEnter 4-digit PIN\nTap OK"), importDir)
+            .then(() => assert.fail("Import should have stopped"), (err) => {
+
+                assert.deepEqual(err.conflicts.map(entry => entry.action), ['would-overwrite-local-changes']);
+                assert(fs.readFileSync(testFile, 'utf8').match(/^Tap Login$/m));
+            });
+    });
+
+    it('should merge local changes if asked', () => {
+
+        fs.writeFileSync(testFile, fs.readFileSync(testFile, 'utf8').replace("Tap OK", "Tap Login"));
+
+        return trio.saveToTestDir(rowsWith("Open the app\nEnter PIN\nTap OK"), importDir, {
+                onConflict: 'merge'
+            })
+            .then((plan) => {
+
+                assert.equal(entryFor(plan, testFile).conflicts, 0);
+                let content = fs.readFileSync(testFile, 'utf8');
+                assert(content.match(/^Open the app\nEnter PIN\nTap Login$/m));
+
+                // Both sides changed the same line
+                return trio.saveToTestDir(rowsWith("Open the app\nEnter PIN\nTap Done"), importDir, {
+                    onConflict: 'merge'
+                });
+            })
+            .then((plan) => {
+
+                assert.equal(entryFor(plan, testFile).conflicts, 1);
+                let content = fs.readFileSync(testFile, 'utf8');
+                assert(content.match(/^<<<<<<< local\nTap Login\n=======\nTap Done\n>>>>>>> testrail$/m));
+            });
+    });
+
+});
+
+describe('Import Config', () => {
+
+    it('should map the written columns', () => {
+
+        let columns = trio.trCsvColumns();
+        let config = trio.trImportConfigFor(columns);
+
+        assert.equal(config.file.encoding, "UTF-8");
+        assert.equal(config.layout.format, "single");
+        assert.equal(config.layout.template, 1);
+        assert.equal(config.columns.length, columns.length);
+        assert.equal(config.columns[columns.indexOf('Title')], "cases:title");
+        assert.equal(config.columns[columns.indexOf('Steps')], "cases:custom_steps");
+        // Instance-specific fields aren't mapped by default
+        assert.equal(config.columns[columns.indexOf('Created By')], "");
+    });
+
+    it('should apply project config settings', () => {
+
+        let columns = trio.trCsvColumns();
+        let config = trio.trImportConfigFor(columns, trio.importConfigFrom({
+            testrail: {
+                priorities: {
+                    "High": 3
+                }
+            },
+            importConfig: {
+                templateId: 4,
+                dateFormat: "d/M/yyyy",
+                encoding: "UTF-16LE",
+                types: {
+                    "Regression": 9
+                },
+                fields: {
+                    "Created On": "custom_git_created_on",
+                    "Steps": "custom_manual_steps"
+                }
+            }
+        }));
+
+        let createdOn = columns.indexOf('Created On');
+
+        assert.equal(config.layout.template, 4);
+        assert.equal(config.file.encoding, "UTF-16LE");
+        assert.equal(config.columns[columns.indexOf('Steps')], "cases:custom_manual_steps");
+        assert.equal(config.columns[createdOn], "cases:custom_git_created_on");
+        assert.deepEqual(config.values["" + createdOn], {
+            date_format: "d/M/yyyy"
+        });
+        assert.deepEqual(config.values["" + columns.indexOf('Priority')].mapping, {
+            "High": 3
+        });
+        assert.deepEqual(config.values["" + columns.indexOf('Type')].mapping, {
+            "Regression": 9
+        });
+    });
+
+    it('should write the CSV to match', () => {
+
+        let outputFile = path.join(tmpDir, 'utf16.csv');
+
+        return trio.readTestFile(path.join(sampleDir, 'section', 'basic.test.txt'), sampleDir)
+            .then(readTestFile => trio.saveToTrCsv([readTestFile], outputFile, false, {
+                dateFormat: "yyyy-MM-dd",
+                encoding: "UTF-16LE"
+            }))
+            .then(() => new Promise((resolve, reject) => {
+
+                csv.parse(fs.readFileSync(outputFile).toString('utf16le'), {
+                    columns: true
+                }, (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows);
+                });
+            }))
+            .then((rows) => {
+
+                let row = rows.find(row => row['Title'] == 'basic');
+                assert(row['Created On'].match(/^\d{4}-\d{2}-\d{2} /));
+            });
+    });
+
+    it('should be named after the CSV', () => {
+        assert.equal(trio.trImportConfigFile(path.join('out', 'for-testrail.csv')), path.join('out', 'for-testrail.cfg'));
+    });
+
+});
+describe('Custom Fields', () => {
+
+    let customFields = [{
+        column: 'Automation Status',
+        label: 'Automation',
+        type: 'dropdown',
+        systemName: 'custom_automation_status',
+        options: {
+            'Manual': 1,
+            'Automated': 2
+        }
+    }, {
+        column: 'Device',
+        type: 'multi-select'
+    }, {
+        column: 'Retries',
+        type: 'integer',
+        roundTrip: false
+    }, {
+        column: 'References',
+        label: 'Jira'
+    }];
+
+    let content = "Do it\nExpected Result:\nDone\n" +
+        "Automation: Automated\nDevice: Tablet;Phone\nRetries: 3\nJira: OAF-1";
+
+    beforeEach(() => {
+        trio.useTrFields(customFields);
+    });
+
+    afterEach(() => {
+        trio.useTrFields();
+    });
+
+    it('should read custom field labels', () => {
+
+        let row = trio.trRowFor([path.join('section', 'custom.test.txt'), content, null, null]);
+
+        assert.equal(row['Steps'], "Do it");
+        assert.equal(row['Expected Result'], "Done");
+        assert.equal(row['Automation Status'], "Automated");
+        assert.equal(row['Device'], "Tablet;Phone");
+        assert.equal(row['References'], "OAF-1");
+    });
+
+    it('should add custom columns and format values', () => {
+
+        let outputFile = path.join(tmpDir, 'custom.csv');
+        let columns = trio.trCsvColumns();
+
+        assert.deepEqual(columns.slice(-3), ['Automation Status', 'Device', 'Retries']);
+
+        let config = trio.trImportConfigFor(columns);
+        let automation = columns.indexOf('Automation Status');
+        assert.equal(config.columns[automation], "cases:custom_automation_status");
+        assert.deepEqual(config.values["" + automation].mapping, {
+            'Manual': 1,
+            'Automated': 2
+        });
+
+        return trio.saveToTrCsv([
+                [path.join('section', 'custom.test.txt'), content, null, null]
+            ], outputFile)
+            .then(() => trio.readTestCsv(outputFile))
+            .then((rows) => {
+
+                assert.equal(rows[0]['Device'], "Tablet, Phone");
+                assert.equal(rows[0]['Retries'], "3");
+
+                // Only round-tripped fields are written on import, with labels
+                let [testFile, testContent] = trio.testFor(rows[0]);
+                assert(testContent.match(/^Automation: Automated$/m));
+                assert(testContent.match(/^Jira: OAF-1$/m));
+                assert(!testContent.match(/^Retries:/m));
+            });
+    });
+
+    it('should reject unknown field types', () => {
+
+        assert.throws(() => trio.useTrFields([{
+            column: 'Country',
+            type: 'country'
+        }]), /Unknown type 'country'/);
+    });
+
+    it('should lint field values by type', () => {
+
+        let problems = trio.lintTestFiles([
+            ['section/custom.test.txt', "Do it\nExpected Result:\nDone\nAutomation: Sometimes\nRetries: lots"]
+        ]);
+
+        assert.deepEqual(problems.map(problem => [problem.line, problem.rule]), [
+            [4, 'invalid-field-value'],
+            [5, 'invalid-field-value']
+        ]);
+    });
+
+});
+
+describe('Section Metadata', () => {
+
+    let sectionDir = path.join(tmpDir, 'sections');
+
+    let rows = [{
+        'Title': 'Zebra',
+        'Section': 'Payments',
+        'Section Hierarchy': 'Payments',
+        'Section Description': 'Paying for inputs',
+        'Steps': 'Pay',
+        'Expected Result': 'Paid'
+    }, {
+        'Title': 'Apple',
+        'Section': 'Payments',
+        'Section Hierarchy': 'Payments',
+        'Section Description': 'Paying for inputs',
+        'Steps': 'Pay again',
+        'Expected Result': 'Paid'
+    }, {
+        'Title': 'Login',
+        'Section': 'Mobile',
+        'Section Hierarchy': 'Accounts > Mobile',
+        'Section Description': 'Mobile app\nlogins',
+        'Steps': 'Log in',
+        'Expected Result': 'Logged in'
+    }];
+
+    afterEach(() => {
+        if (fs.existsSync(sectionDir)) fsUtils.rmdirsSync(sectionDir);
+    });
+
+    it('should parse descriptions and display order', () => {
+
+        let meta = trio.parseSectionMeta("Some\ndescription\n\nSection Order:\nB\nA\nCase Order:\nY\nX\n");
+
+        assert.deepEqual(meta, {
+            description: "Some\ndescription",
+            sectionOrder: ['B', 'A'],
+            caseOrder: ['Y', 'X']
+        });
+
+        // Older metadata files only have descriptions
+        assert.equal(trio.parseSectionMeta("Description: with a colon").description, "Description: with a colon");
+    });
+
+    it('should roundtrip descriptions and display order', () => {
+
+        let outputFile = path.join(tmpDir, 'sections.csv');
+
+        return trio.saveToTestDir(rows, sectionDir)
+            .then(() => {
+
+                let meta = trio.parseSectionMeta(fs.readFileSync(path.join(sectionDir, 'Section.meta.txt'), 'utf8'));
+                assert.deepEqual(meta.sectionOrder, ['Payments', 'Accounts']);
+
+                meta = trio.parseSectionMeta(fs.readFileSync(path.join(sectionDir, 'Payments', 'Section.meta.txt'), 'utf8'));
+                assert.equal(meta.description, 'Paying for inputs');
+                assert.deepEqual(meta.caseOrder, ['Zebra', 'Apple']);
+            })
+            .then(() => trio.readTestDir(sectionDir))
+            .then(readTestFiles => trio.saveToTrCsv(readTestFiles, outputFile))
+            .then(() => trio.readTestCsv(outputFile))
+            .then((csvRows) => {
+
+                assert.deepEqual(csvRows.map(row => [row['Title'], row['Section Hierarchy'], row['Section Depth']]), [
+                    ['Zebra', 'Payments', '0'],
+                    ['Apple', 'Payments', '0'],
+                    ['Login', 'Accounts > Mobile', '1']
+                ]);
+                assert.equal(csvRows[0]['Section Description'], 'Paying for inputs');
+                assert.equal(csvRows[2]['Section Description'], 'Mobile app\nlogins');
+            });
+    });
+
+    it('should keep the order of cases not imported again', () => {
+
+        return trio.saveToTestDir(rows, sectionDir)
+            .then(() => trio.saveToTestDir([Object.assign({}, rows[1], {
+                'Title': 'Mango'
+            })], sectionDir))
+            .then(() => {
+
+                let meta = trio.parseSectionMeta(fs.readFileSync(path.join(sectionDir, 'Payments', 'Section.meta.txt'), 'utf8'));
+                assert.deepEqual(meta.caseOrder, ['Zebra', 'Apple', 'Mango']);
+                assert.equal(meta.description, 'Paying for inputs');
+            });
+    });
+
+});
+describe('Incremental Export', () => {
+
+    let repoDir = path.join(tmpDir, 'incremental');
+
+    let git = (args) => require('child_process').execFileSync('git', args, {
+        cwd: repoDir,
+        encoding: 'utf8'
+    });
+
+    let writeTest = (testFile, content) => {
+        fsUtils.mkdirsSync(path.dirname(path.join(repoDir, testFile)));
+        fs.writeFileSync(path.join(repoDir, testFile), content);
+    };
+
+    beforeEach(() => {
+
+        fsUtils.mkdirsSync(repoDir);
+        git(['init', '-q']);
+        git(['config', 'user.name', 'Test Author']);
+        git(['config', 'user.email', 'author@example.com']);
+
+        writeTest(path.join('Login', 'Enter_PIN.test.txt'), "Enter PIN\nExpected Result:\nLogged in\nID: C1\n");
+        writeTest(path.join('Login', 'Forgot_PIN.test.txt'), "Forgot PIN\nExpected Result:\nReset\nID: C2\n");
+        writeTest(path.join('Login', 'Logout.test.txt'), "Logout\nExpected Result:\nLogged out\nID: C3\n");
+        git(['add', '.']);
+        git(['commit', '-q', '-m', 'Add tests']);
+
+        writeTest(path.join('Login', 'Enter_PIN.test.txt'), "Enter the PIN\nExpected Result:\nLogged in\nID: C1\n");
+        writeTest(path.join('Login', 'Biometrics.test.txt'), "Scan finger\nExpected Result:\nLogged in\n");
+        git(['rm', '-q', path.join('Login', 'Forgot_PIN.test.txt')]);
+        fsUtils.mkdirsSync(path.join(repoDir, 'Account'));
+        git(['mv', path.join('Login', 'Logout.test.txt'), path.join('Account', 'Logout.test.txt')]);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(repoDir)) fsUtils.rmdirsSync(repoDir);
+    });
+
+    it('should only read tests changed since a ref', () => {
+
+        return trio.readTestDirSince(repoDir, 'HEAD').then(({
+            commit,
+            readTestFiles,
+            removed
+        }) => {
+
+            assert.equal(commit, git(['rev-parse', 'HEAD']).trim());
+            assert.deepEqual(readTestFiles.map(([testFile]) => testFile).sort(), [
+                path.join('Account', 'Logout.test.txt'),
+                path.join('Login', 'Biometrics.test.txt'),
+                path.join('Login', 'Enter_PIN.test.txt')
+            ]);
+
+            assert.deepEqual(removed.map(([change, oldTestFile, oldContent, newTestFile]) => [change, oldTestFile, newTestFile]), [
+                ['Deleted', path.join('Login', 'Forgot_PIN.test.txt'), undefined],
+                ['Renamed', path.join('Login', 'Logout.test.txt'), path.join('Account', 'Logout.test.txt')]
+            ]);
+            assert(removed[0][2].match(/ID: C2/));
+        });
+    });
+
+    it('should report deleted and renamed tests', () => {
+
+        let reportFile = trio.changesReportFile(path.join(tmpDir, 'incremental.csv'));
+        assert.equal(reportFile, path.join(tmpDir, 'incremental.changes.csv'));
+
+        return trio.readTestDirSince(repoDir, 'HEAD')
+            .then(({
+                removed
+            }) => trio.saveChangesReport(removed, reportFile))
+            .then(() => new Promise((resolve, reject) => {
+                csv.parse(fs.readFileSync(reportFile), {
+                    columns: true
+                }, (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows);
+                });
+            }))
+            .then((rows) => {
+
+                assert.equal(rows.length, 2);
+                assert.equal(rows[0]['Change'], 'Deleted');
+                assert.equal(rows[0]['ID'], 'C2');
+                assert.equal(rows[0]['Title'], 'Forgot_PIN');
+                assert.equal(rows[1]['Change'], 'Renamed');
+                assert.equal(rows[1]['ID'], 'C3');
+                assert.equal(rows[1]['Section'], 'Login');
+                assert.equal(rows[1]['New Section'], 'Account');
+            });
+    });
+
+    it('should record the last export', () => {
+
+        assert.equal(trio.readExportState(repoDir).commit, null);
+
+        return trio.recordExport(repoDir).then((commit) => {
+            assert.equal(commit, git(['rev-parse', 'HEAD']).trim());
+            assert.equal(trio.readExportState(repoDir).commit, commit);
+        });
+    });
+
+    it('should reject unknown refs', () => {
+
+        return trio.readTestDirSince(repoDir, 'no-such-ref').then(() => assert.fail("Expected an error"), (err) => {
+            assert(err.message.match(/Unknown git ref 'no-such-ref'/));
+        });
+    });
+
+});
+describe('Run Results', () => {
+
+    let runDir = path.join(tmpDir, 'run');
+
+    let run = [
+        "Run: Release 2.3",
+        "Tester: Jane Doe",
+        "",
+        "Login/Enter_PIN.test.txt",
+        "Status: Passed",
+        "Elapsed: 2m 30s",
+        "",
+        "C2",
+        "Status: failed",
+        "Tester: John Doe",
+        "Defects: BUG-12, BUG-13",
+        "Comment: Crashes when the PIN",
+        "is entered twice",
+        "",
+        "Account/Logout",
+        "Status: Blocked",
+        ""
+    ].join('\n');
+
+    beforeEach(() => {
+        return trio.saveToTestDir([{
+            'ID': 'C1',
+            'Title': 'Enter PIN',
+            'Section': 'Login',
+            'Steps': 'Enter PIN',
+            'Expected Result': 'Logged in'
+        }, {
+            'ID': 'C2',
+            'Title': 'Forgot PIN',
+            'Section': 'Login',
+            'Steps': 'Tap forgot',
+            'Expected Result': 'PIN reset'
+        }, {
+            'ID': 'C3',
+            'Title': 'Logout',
+            'Section': 'Account',
+            'Steps': 'Tap logout',
+            'Expected Result': 'Logged out'
+        }], runDir);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(runDir)) fsUtils.rmdirsSync(runDir);
+    });
+
+    it('should parse run files', () => {
+
+        let parsed = trio.parseRunFile(run);
+
+        assert.deepEqual(parsed.run, {
+            'Run': 'Release 2.3',
+            'Tester': 'Jane Doe'
+        });
+        assert.equal(parsed.results.length, 3);
+        assert.deepEqual(parsed.results[1], {
+            ref: 'C2',
+            line: 8,
+            'Status': 'failed',
+            'Tester': 'John Doe',
+            'Defects': 'BUG-12, BUG-13',
+            'Comment': 'Crashes when the PIN\nis entered twice'
+        });
+    });
+
+    it('should match results to the test tree', () => {
+
+        return trio.readTestDir(runDir).then((readTestFiles) => {
+
+            let checked = trio.checkRunResults('release.run', trio.parseRunFile(run), readTestFiles);
+
+            assert.deepEqual(checked.problems, []);
+            assert.deepEqual(checked.results.map(result => [result.caseId, result.section, result.statusId, result.tester]), [
+                [1, 'Login', 1, 'Jane Doe'],
+                [2, 'Login', 5, 'John Doe'],
+                [3, 'Account', 2, 'Jane Doe']
+            ]);
+
+            assert.equal(trio.formatResultsSummary(checked.results), [
+                "Account: 1 blocked",
+                "Login: 1 passed, 1 failed",
+                "",
+                "Total: 1 passed, 1 failed, 1 blocked"
+            ].join('\n'));
+
+            assert.deepEqual(trio.trResultsPayload(checked.results).results.slice(0, 2), [{
+                case_id: 1,
+                status_id: 1,
+                comment: 'Tested by Jane Doe',
+                elapsed: '2m 30s'
+            }, {
+                case_id: 2,
+                status_id: 5,
+                comment: 'Crashes when the PIN\nis entered twice\n\nTested by John Doe',
+                defects: 'BUG-12, BUG-13'
+            }]);
+        });
+    });
+
+    it('should report invalid results', () => {
+
+        let invalidRun = [
+            "Login/Missing.test.txt",
+            "Status: Passed",
+            "",
+            "C1",
+            "Status: Sort of",
+            "Elapsed: a while",
+            "",
+            "Login/Enter_PIN.test.txt",
+            "Status: Passed",
+            "",
+            "C3",
+            "Status: Custom"
+        ].join('\n');
+
+        return trio.readTestDir(runDir).then((readTestFiles) => {
+
+            let checked = trio.checkRunResults('release.run', trio.parseRunFile(invalidRun), readTestFiles, {
+                'Custom': 6
+            });
+
+            assert.deepEqual(checked.problems.map(problem => [problem.line, problem.rule, problem.severity]), [
+                [1, 'unknown-case', 'error'],
+                [4, 'invalid-status', 'error'],
+                [4, 'invalid-elapsed', 'error'],
+                [8, 'duplicate-result', 'warning']
+            ]);
+            assert.equal(checked.results[2].statusId, 6);
+        });
+    });
+
+    it('should save a results csv', () => {
+
+        let outputFile = path.join(tmpDir, 'results.csv');
+
+        return trio.readTestDir(runDir)
+            .then(readTestFiles => trio.saveTrResultsCsv(
+                trio.checkRunResults('release.run', trio.parseRunFile(run), readTestFiles).results, outputFile))
+            .then(() => new Promise((resolve, reject) => {
+                csv.parse(fs.readFileSync(outputFile), {
+                    columns: true
+                }, (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows);
+                });
+            }))
+            .then((rows) => {
+                assert.equal(rows.length, 3);
+                assert.equal(rows[1]['Case ID'], 'C2');
+                assert.equal(rows[1]['Status'], 'failed');
+                assert.equal(rows[1]['Tested By'], 'John Doe');
+                assert.equal(rows[1]['Section'], 'Login');
+            });
+    });
+
+});
+describe('Markup Conversion', () => {
+
+    afterEach(() => {
+        trio.markup = "text";
+    });
+
+    it('should export plain text as markup', () => {
+
+        trio.markup = "html";
+
+        let row = trio.trRowFor([path.join('Login', 'Enter_PIN.test.txt'),
+            "Open the app\n- Enter PIN\n- Tap OK\n\nExpected Result:\nHome & menu shown\n"
+        ]);
+
+        assert.equal(row['Steps'], "<p>Open the app</p>\n<ul><li>Enter PIN</li><li>Tap OK</li></ul>");
+        assert.equal(row['Expected Result'], "<p>Home &amp; menu shown</p>");
+    });
+
+    it('should import markup as plain text', () => {
+
+        trio.markup = "markdown";
+
+        let [testFile, content] = trio.testFor({
+            'Title': 'Enter PIN',
+            'Section': 'Login',
+            'Steps': "Open the app\n\n* Enter **PIN**\n* Tap OK",
+            'Expected Result': "|||:Screen|:Shown\n|| Home | yes"
+        });
+
+        assert.equal(content, "Open the app\n\n- Enter PIN\n- Tap OK\n\n" +
+            "Expected Result:\n| Screen | Shown |\n|---|---|\n| Home | yes |\n\n");
+    });
+
+    it('should import HTML as plain text by default', () => {
+
+        let [testFile, content] = trio.testFor({
+            'Title': 'Enter PIN',
+            'Section': 'Login',
+            'Steps': "<p>Open the app</p><p>Enter &quot;1234&quot;<br>Tap OK</p>",
+            'Expected Result': "<table><tr><th>Screen</th></tr><tr><td>Home &amp; menu</td></tr></table>"
+        });
+
+        assert.equal(content, "Open the app\n\nEnter \"1234\"\nTap OK\n\n" +
+            "Expected Result:\n| Screen |\n|---|\n| Home & menu |\n\n");
+    });
+
+});
+describe('Attachments', () => {
+
+    let attachmentDir = path.join(tmpDir, 'attachments');
+    let bundleDir = path.join(tmpDir, 'export.attachments');
+
+    let testContent = "Open the login screen\nAttachment: screens/login.png\nTap OK\n\n" +
+        "Expected Result:\nHome screen shown\nAttachment: ../shared/home.png\nAttachment: screens/missing.png\nID: C5\n";
+
+    beforeEach(() => {
+        fsUtils.mkdirsSync(path.join(attachmentDir, 'Login', 'screens'));
+        fsUtils.mkdirsSync(path.join(attachmentDir, 'shared'));
+        fs.writeFileSync(path.join(attachmentDir, 'Login', 'Sign_in.test.txt'), testContent);
+        fs.writeFileSync(path.join(attachmentDir, 'Login', 'screens', 'login.png'), "LOGIN");
+        fs.writeFileSync(path.join(attachmentDir, 'shared', 'home.png'), "HOME");
+    });
+
+    afterEach(() => {
+        [attachmentDir, bundleDir].forEach((dir) => {
+            if (fs.existsSync(dir)) fsUtils.rmdirsSync(dir);
+        });
+    });
+
+    it('should read attachment directives', () => {
+
+        let row = trio.trRowFor([path.join('Login', 'Sign_in.test.txt'), testContent]);
+
+        assert.equal(row['Steps'], "Open the login screen\nTap OK");
+        assert.equal(row['Expected Result'], "Home screen shown");
+        assert.deepEqual(row['Attachments'], ['screens/login.png', '../shared/home.png', 'screens/missing.png']);
+    });
+
+    it('should bundle attachments with a manifest', () => {
+
+        return trio.readTestDir(attachmentDir)
+            .then(readTestFiles => trio.saveAttachmentBundle(readTestFiles, attachmentDir, bundleDir))
+            .then((manifest) => {
+
+                assert.deepEqual(manifest.cases, [{
+                    id: 'C5',
+                    title: 'Sign_in',
+                    section: 'Login',
+                    testFile: 'Login/Sign_in.test.txt',
+                    attachments: ['Login/screens/login.png', 'shared/home.png']
+                }]);
+                assert.deepEqual(manifest.missing, [{
+                    testFile: 'Login/Sign_in.test.txt',
+                    attachment: 'screens/missing.png'
+                }]);
+
+                assert.equal(fs.readFileSync(path.join(bundleDir, 'Login', 'screens', 'login.png'), 'utf8'), "LOGIN");
+                assert.deepEqual(JSON.parse(fs.readFileSync(path.join(bundleDir, 'manifest.json'), 'utf8')), manifest);
+                assert.equal(trio.attachmentsPathFor(path.join(tmpDir, 'export.csv')), bundleDir);
+            });
+    });
+
+    it('should lint missing attachments', () => {
+
+        return trio.lintTestDir(attachmentDir).then((problems) => {
+            assert.deepEqual(problems.map(problem => [problem.line, problem.rule]), [
+                [8, 'missing-attachment']
+            ]);
+        });
+    });
+
+    it('should rewrite TestRail attachment references on import', () => {
+
+        let trRow = {
+            'Title': 'Sign in',
+            'Section': 'Login',
+            'Steps': "Open the screen ![](index.php?/attachments/get/12) and tap OK",
+            'Expected Result': 'Home shown\n<img src="https://example.testrail.io/index.php?/attachments/get/13" />'
+        };
+
+        let [testFile, content] = trio.testFor(trRow);
+
+        assert.equal(content, "Open the screen\nAttachment: attachments/12\nand tap OK\n\n" +
+            "Expected Result:\nHome shown\nAttachment: attachments/13\n\n");
+
+        assert.deepEqual(trio.trAttachmentsFor([trRow]), [{
+            id: 12,
+            testFile: testFile,
+            file: path.join('Login', 'attachments', '12')
+        }, {
+            id: 13,
+            testFile: testFile,
+            file: path.join('Login', 'attachments', '13')
+        }]);
+    });
+
+});
+describe('ID Manifest', () => {
+
+    let manifestDir = path.join(tmpDir, 'manifest');
+
+    let row = (id, title, section) => ({
+        'ID': id,
+        'Title': title,
+        'Section': section,
+        'Steps': "Steps of " + title,
+        'Expected Result': 'Done'
+    });
+
+    let manifestCases = () => JSON.parse(fs.readFileSync(path.join(manifestDir, trio.idManifestFile), 'utf8')).cases;
+
+    afterEach(() => {
+        if (fs.existsSync(manifestDir)) fsUtils.rmdirsSync(manifestDir);
+    });
+
+    it('should move cases renamed in TestRail', () => {
+
+        let oldFile = path.join(manifestDir, 'Login', 'Enter_PIN.test.txt');
+        let newFile = path.join(manifestDir, 'Auth', 'Enter_passcode.test.txt');
+
+        return trio.saveToTestDir([row('C1', 'Enter PIN', 'Login')], manifestDir)
+            .then(() => {
+                assert.deepEqual(manifestCases(), {
+                    C1: 'Login/Enter_PIN.test.txt'
+                });
+                return trio.saveToTestDir([row('C1', 'Enter passcode', 'Auth')], manifestDir);
+            })
+            .then((plan) => {
+
+                let entry = plan.find(entry => entry.file == newFile);
+                assert.equal(entry.action, 'update');
+                assert.equal(entry.movedFrom, oldFile);
+
+                assert(!fs.existsSync(oldFile));
+                assert(fs.readFileSync(newFile, 'utf8').match(/^Steps of Enter passcode$/m));
+                assert.deepEqual(manifestCases(), {
+                    C1: 'Auth/Enter_passcode.test.txt'
+                });
+            });
+    });
+
+    it('should make colliding names unique in a stable way', () => {
+
+        let rows = [row('C7', 'Login [SMS]', 'Login'), row('C3', 'Login (SMS)', 'Login')];
+        let expected = {
+            C3: 'Login/Login__SMS_.test.txt',
+            C7: 'Login/Login__SMS__C7.test.txt'
+        };
+
+        return trio.saveToTestDir(rows, manifestDir)
+            .then(() => {
+                assert.deepEqual(manifestCases(), expected);
+                assert(fs.readFileSync(path.join(manifestDir, 'Login', 'Login__SMS__C7.test.txt'), 'utf8')
+                    .match(/^Steps of Login \[SMS\]$/m));
+
+                return trio.saveToTestDir(rows.slice().reverse(), manifestDir);
+            })
+            .then((plan) => {
+                assert.deepEqual(manifestCases(), expected);
+                assert(plan
+                    .filter(entry => entry.caseId != null)
+                    .every(entry => entry.action == 'unchanged'));
+            });
+    });
+
+    it('should report disagreements with the test tree', () => {
+
+        return trio.saveToTestDir([row('C1', 'Enter PIN', 'Login'), row('C2', 'Logout', 'Login')], manifestDir)
+            .then(() => {
+
+                fs.renameSync(path.join(manifestDir, 'Login', 'Enter_PIN.test.txt'),
+                    path.join(manifestDir, 'Login', 'PIN.test.txt'));
+                fs.unlinkSync(path.join(manifestDir, 'Login', 'Logout.test.txt'));
+                fs.writeFileSync(path.join(manifestDir, 'Login', 'Reset.test.txt'), "Reset\nID: C3\n");
+
+                return trio.readTestDir(manifestDir);
+            })
+            .then((readTestFiles) => {
+                assert.deepEqual(trio.checkIdManifest(readTestFiles, manifestDir), [
+                    "C1 is in Login/PIN.test.txt but .trio-ids.json has Login/Enter_PIN.test.txt",
+                    "C3 in Login/Reset.test.txt is not in .trio-ids.json",
+                    "C2 in .trio-ids.json (Login/Logout.test.txt) is not in the test directory"
+                ]);
+            });
+    });
+
+});
+describe('Orphaned Tests', () => {
+
+    let orphanDir = path.join(tmpDir, 'orphans');
+
+    let row = (id, title, section) => ({
+        'ID': id,
+        'Title': title,
+        'Section': section,
+        'Steps': "Steps of " + title,
+        'Expected Result': 'Done'
+    });
+
+    let keptRows = [row('C1', 'Enter PIN', 'Login'), row('C3', 'Logout', 'Login')];
+
+    beforeEach(() => {
+        return trio.saveToTestDir(keptRows.concat([
+            row('C2', 'Forgot PIN', 'Login'),
+            row('C4', 'Old report', 'Reports > Legacy')
+        ]), orphanDir);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(orphanDir)) fsUtils.rmdirsSync(orphanDir);
+    });
+
+    it('should report tests of cases no longer imported', () => {
+
+        return trio.saveToTestDir(keptRows, orphanDir, {
+                orphans: 'report'
+            })
+            .then((plan) => {
+
+                let orphans = plan.filter(entry => entry.orphan);
+                assert.deepEqual(orphans.map(entry => [path.relative(orphanDir, entry.file), entry.action, entry.caseId]), [
+                    [path.join('Login', 'Forgot_PIN.test.txt'), 'orphaned', 2],
+                    [path.join('Reports', 'Legacy', 'Old_report.test.txt'), 'orphaned', 4]
+                ]);
+                assert(fs.existsSync(orphans[0].file));
+
+                // Not looked for unless asked
+                return trio.saveToTestDir(keptRows, orphanDir);
+            })
+            .then((plan) => {
+                assert(!plan.find(entry => entry.orphan));
+            });
+    });
+
+    it('should archive orphaned tests and remove empty sections', () => {
+
+        return trio.saveToTestDir(keptRows, orphanDir, {
+                orphans: 'archive'
+            })
+            .then((plan) => {
+
+                assert(!fs.existsSync(path.join(orphanDir, 'Login', 'Forgot_PIN.test.txt')));
+                assert(fs.existsSync(path.join(orphanDir, '.trio-archive', 'Login', 'Forgot_PIN.test.txt')));
+                assert(!fs.existsSync(path.join(orphanDir, 'Reports')));
+
+                let rootMeta = trio.parseSectionMeta(fs.readFileSync(path.join(orphanDir, 'Section.meta.txt'), 'utf8'));
+                assert.deepEqual(rootMeta.sectionOrder, ['Login']);
+                let loginMeta = trio.parseSectionMeta(fs.readFileSync(path.join(orphanDir, 'Login', 'Section.meta.txt'), 'utf8'));
+                assert.deepEqual(loginMeta.caseOrder, ['Enter_PIN', 'Logout']);
+
+                return trio.readTestDir(orphanDir);
+            })
+            .then((readTestFiles) => {
+                assert.deepEqual(readTestFiles.map(readTestFile => readTestFile[0]).sort(), [
+                    path.join('Login', 'Enter_PIN.test.txt'),
+                    path.join('Login', 'Logout.test.txt')
+                ]);
+                assert.deepEqual(Object.keys(trio.readIdManifest(orphanDir).cases), ['C1', 'C3']);
+            });
+    });
+
+    it('should delete orphaned tests', () => {
+
+        return trio.saveToTestDir(keptRows, orphanDir, {
+                orphans: 'delete'
+            })
+            .then((plan) => {
+                assert.deepEqual(plan.filter(entry => entry.orphan).map(entry => entry.action), ['delete', 'delete']);
+                assert(!fs.existsSync(path.join(orphanDir, 'Login', 'Forgot_PIN.test.txt')));
+                assert(!fs.existsSync(path.join(orphanDir, '.trio-archive')));
+            });
+    });
+
+});
+describe('Suites', () => {
+
+    let suitesDir = path.join(tmpDir, 'suites');
+
+    let row = (id, title, suite, suiteId) => ({
+        'ID': id,
+        'Title': title,
+        'Section': 'Login',
+        'Suite': suite,
+        'Suite ID': suiteId,
+        'Steps': "Steps of " + title,
+        'Expected Result': 'Done'
+    });
+
+    let rows = [row('C1', 'Enter PIN', 'Android app', 'S3'), row('C2', 'Dial code', 'USSD', 'S4')];
+
+    afterEach(() => {
+        if (fs.existsSync(suitesDir)) fsUtils.rmdirsSync(suitesDir);
+    });
+
+    it('should import each suite to its own directory', () => {
+
+        return trio.saveSuitesToTestDir(rows, suitesDir)
+            .then(() => {
+
+                assert.deepEqual(trio.readSuiteDirs(suitesDir), [{
+                    dir: path.join(suitesDir, 'Android_app'),
+                    name: 'Android app',
+                    id: 3
+                }, {
+                    dir: path.join(suitesDir, 'USSD'),
+                    name: 'USSD',
+                    id: 4
+                }]);
+                assert(fs.existsSync(path.join(suitesDir, 'USSD', 'Login', 'Dial_code.test.txt')));
+
+                // Suites keep their directory when renamed, and can be imported alone
+                return trio.saveSuitesToTestDir([row('C1', 'Enter PIN', 'Android', 'S3'), row('C2', 'Dial code', 'USSD', 'S4')],
+                    suitesDir, {
+                        suite: 'S3'
+                    });
+            })
+            .then((plan) => {
+
+                assert(plan.every(entry => entry.file.startsWith(path.join(suitesDir, 'Android_app'))));
+                assert.equal(fs.readFileSync(path.join(suitesDir, 'Android_app', 'Suite.meta.txt'), 'utf8'),
+                    "Suite: Android\nSuite ID: S3\n");
+            });
+    });
+
+    it('should import a single suite to the test directory', () => {
+
+        return trio.saveSuitesToTestDir(rows.slice(0, 1), suitesDir).then(() => {
+            assert(fs.existsSync(path.join(suitesDir, 'Login', 'Enter_PIN.test.txt')));
+            assert.deepEqual(trio.readSuiteDirs(suitesDir), []);
+        });
+    });
+
+    it('should export tests with the suite of their directory', () => {
+
+        return trio.saveSuitesToTestDir(rows, suitesDir)
+            .then(() => {
+
+                fs.writeFileSync(path.join(suitesDir, 'USSD', 'Login', 'Check_balance.test.txt'), "Dial *100#\n");
+                return trio.readTestDir(path.join(suitesDir, 'USSD'));
+            })
+            .then((readTestFiles) => {
+
+                let trRows = readTestFiles.map(readTestFile => trio.trRowFor(readTestFile));
+                assert.deepEqual(trRows.map(trRow => [trRow['Title'], trRow['Section'], trRow['Suite'], trRow['Suite ID']]).sort(), [
+                    ['Check_balance', 'Login', 'USSD', 'S4'],
+                    ['Dial_code', 'Login', 'USSD', 'S4']
+                ]);
+
+                assert.equal(trio.suiteCsvFile(path.join('out', 'for-testrails.csv'), trio.readSuiteDirs(suitesDir)[1]),
+                    path.join('out', 'for-testrails.USSD.csv'));
+            });
+    });
+
+    it('should not import cases without a suite to suite directories', () => {
+
+        return trio.saveSuitesToTestDir(rows, suitesDir)
+            .then(() => trio.saveSuitesToTestDir([row('C5', 'Logout')], suitesDir))
+            .then(() => assert.fail("Import should have failed"), (err) => {
+                assert(err.message.match(/has no Suite ID/));
+            });
+    });
+
+});
+describe('XML Format', () => {
+
+    let xmlDir = path.join(tmpDir, 'xml');
+    let xmlFile = path.join(tmpDir, 'export.xml');
+
+    let trXml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<suite>',
+        '  <id>S3</id>',
+        '  <name>Android app</name>',
+        '  <sections>',
+        '    <section>',
+        '      <name>Login</name>',
+        '      <description>Login screens</description>',
+        '      <cases>',
+        '        <case>',
+        '          <id>C5</id>',
+        '          <title>Sign in</title>',
+        '          <template>Test Case (Text)</template>',
+        '          <priority>High</priority>',
+        '          <custom>',
+        '            <steps>Open app &amp; wait</steps>',
+        '            <expected>Home shown</expected>',
+        '          </custom>',
+        '        </case>',
+        '      </cases>',
+        '      <sections>',
+        '        <section>',
+        '          <name>PIN</name>',
+        '          <cases>',
+        '            <case>',
+        '              <id>C6</id>',
+        '              <title>Enter PIN</title>',
+        '              <template>Test Case (Steps)</template>',
+        '              <custom>',
+        '                <preconds>Signed out</preconds>',
+        '                <steps_separated>',
+        '                  <step><index>1</index><content>Enter PIN</content><expected>Accepted</expected></step>',
+        '                  <step><index>2</index><content>Tap OK</content></step>',
+        '                </steps_separated>',
+        '              </custom>',
+        '            </case>',
+        '          </cases>',
+        '        </section>',
+        '      </sections>',
+        '    </section>',
+        '  </sections>',
+        '</suite>'
+    ].join('\n');
+
+    beforeEach(() => {
+        fs.writeFileSync(xmlFile, trXml);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(xmlDir)) fsUtils.rmdirsSync(xmlDir);
+        if (fs.existsSync(xmlFile)) fs.unlinkSync(xmlFile);
+    });
+
+    it('should pick the format from the file extension', () => {
+
+        assert.equal(trio.trFileFormat('export.XML'), 'xml');
+        assert.equal(trio.trFileFormat('export.csv'), 'csv');
+        assert.equal(trio.trFileFormat('export.txt', 'xml'), 'xml');
+        assert.throws(() => trio.trFileFormat('export.json', 'json'), /Unknown format 'json'/);
+    });
+
+    it('should read nested sections and separated steps', () => {
+
+        return trio.readTestXml(xmlFile).then((rows) => {
+
+            assert.deepEqual(rows.map(row => [row['ID'], row['Section Hierarchy'], row['Section Description'], row['Suite ID']]), [
+                ['C5', 'Login', 'Login screens', 'S3'],
+                ['C6', 'Login > PIN', '', 'S3']
+            ]);
+            assert.equal(rows[0]['Steps'], "Open app & wait");
+            assert.equal(rows[0]['Priority'], "High");
+            assert.equal(rows[1]['Preconditions'], "Signed out");
+            assert.deepEqual(rows[1]['Separated Steps'], [{
+                step: "Enter PIN",
+                expected: "Accepted"
+            }, {
+                step: "Tap OK",
+                expected: ""
+            }]);
+        });
+    });
+
+    it('should roundtrip through a test directory', () => {
+
+        return trio.readTestXml(xmlFile)
+            .then(rows => trio.saveToTestDir(rows, xmlDir))
+            .then(() => {
+
+                assert(fs.readFileSync(path.join(xmlDir, 'Login', 'PIN', 'Enter_PIN.test.txt'), 'utf8')
+                    .match(/^Step 2: Tap OK$/m));
+                return trio.readTestDir(xmlDir);
+            })
+            .then(readTestFiles => trio.saveToTrXml(readTestFiles, xmlFile))
+            .then(() => trio.readTestXml(xmlFile))
+            .then((rows) => {
+
+                assert.deepEqual(rows.map(row => [row['ID'], row['Title'], row['Section Hierarchy'], row['Section Description']]), [
+                    ['C5', 'Sign_in', 'Login', 'Login screens'],
+                    ['C6', 'Enter_PIN', 'Login > PIN', '']
+                ]);
+                assert.equal(rows[0]['Expected Result'], "Home shown");
+                assert.equal(rows[1]['Separated Steps'].length, 2);
+            });
+    });
+
+});
+describe('Module API', () => {
+
+    let apiDir = path.join(tmpDir, 'api');
+    let csvFile = path.join(tmpDir, 'api.csv');
+
+    let testContent = "Open the login screen\n\nExpected Result:\nLogin screen shown\nPriority: High\nID: C5\n";
+
+    beforeEach(() => {
+        fsUtils.mkdirsSync(path.join(apiDir, 'Login'));
+        fs.writeFileSync(path.join(apiDir, 'Login', 'Sign_in.test.txt'), testContent);
+        fs.writeFileSync(path.join(apiDir, 'Login', 'Sign_out.test.txt'), "Tap Sign out\n");
+        fs.writeFileSync(path.join(apiDir, 'Login', 'Section.meta.txt'), "Login screens");
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(apiDir)) fsUtils.rmdirsSync(apiDir);
+        if (fs.existsSync(csvFile)) fs.unlinkSync(csvFile);
+    });
+
+    it('should parse and serialize test cases', () => {
+
+        let testCase = trio.TestCase.parse(path.join('Login', 'Sign_in.test.txt'), testContent);
+
+        assert.equal(testCase.title, 'Sign_in');
+        assert.equal(testCase.id, 5);
+        assert.equal(testCase.fields['Priority'], 'High');
+
+        testCase.fields['Priority'] = 'Low';
+        assert.equal(trio.TestCase.parse(testCase.file, testCase.serialize()).fields['Priority'], 'Low');
+
+        let section = trio.Section.parse(path.join('Login', 'PIN'), "PIN entry\n\nCase Order:\nEnter_PIN");
+        assert.equal(section.name, 'PIN');
+        assert.equal(section.hierarchy, 'Login > PIN');
+        assert.equal(section.serialize(), "PIN entry\nCase Order:\nEnter_PIN");
+    });
+
+    it('should read test cases with their sections', () => {
+
+        return trio.readTestCases(apiDir).then((testCases) => {
+
+            assert.deepEqual(testCases.map(testCase => testCase.title), ['Sign_in', 'Sign_out']);
+            assert.equal(testCases[0].section, testCases[1].section);
+            assert.equal(testCases[0].section.description, "Login screens");
+        });
+    });
+
+    it('should keep instance settings apart', () => {
+
+        let plain = trio.createTrio({
+            testFileSuffix: ".test.txt"
+        });
+        let markdown = trio.createTrio({
+            testFileSuffix: ".case.md",
+            markup: "markdown"
+        });
+
+        assert.throws(() => trio.createTrio({
+            testFileSufix: ".txt"
+        }), /Unknown option 'testFileSufix'/);
+
+        assert.equal(plain.parseTestCase('Tap_OK.test.txt', "Tap OK\n").title, 'Tap_OK');
+        assert.equal(markdown.parseTestCase('Tap_OK.case.md', "Tap OK\n").title, 'Tap_OK');
+        assert.equal(markdown.flags.markup, "markdown");
+        assert.equal(trio.testFileSuffix, ".test.txt");
+        assert.equal(trio.markup, "text");
+        assert.equal(trio.flags.testFileSuffix, ".test.txt");
+        assert(!('createTrio' in trio.flags));
+
+        return markdown.readTestCases(apiDir).then((testCases) => {
+            assert.equal(testCases.length, 0);
+        });
+    });
+
+    it('should export with instance settings', () => {
+
+        let separated = trio.createTrio({
+            testFileSuffix: ".test.txt",
+            separatedSteps: true
+        });
+
+        return separated.exportTestDir(apiDir, csvFile)
+            .then(() => trio.readTestCsv(csvFile))
+            .then((rows) => {
+                assert.equal(rows.length, 2);
+                assert(rows.every(row => 'Steps (Step)' in row && !('Steps' in row)));
+
+                return trio.createTrio({
+                    testFileSuffix: ".test.txt"
+                }).exportTestDir(apiDir, csvFile);
+            })
+            .then(() => trio.readTestCsv(csvFile))
+            .then((rows) => {
+                assert(rows.every(row => 'Steps' in row && !('Steps (Step)' in row)));
+            });
+    });
+
+    it('should call hooks on export and import', () => {
+
+        let api = trio.createTrio({
+            testFileSuffix: ".test.txt",
+            hooks: {
+                beforeExport: (testCase) => {
+                    if (testCase.id == null) return false;
+                    testCase.fields['Priority'] = 'Critical';
+                },
+                afterImport: (testCase, file) => {
+                    assert(file.startsWith(apiDir));
+                    testCase.fields['Steps'] += "\nThen wait";
+                }
+            }
+        });
+
+        assert.throws(() => trio.useHooks({
+            beforeImport: () => {}
+        }), /Unknown hook 'beforeImport'/);
+
+        return api.exportTestDir(apiDir, csvFile)
+            .then(() => trio.readTestCsv(csvFile))
+            .then((rows) => {
+
+                assert.deepEqual(rows.map(row => [row['Title'], row['Priority']]), [
+                    ['Sign_in', 'Critical']
+                ]);
+
+                fsUtils.rmdirsSync(apiDir);
+                return api.importTestFile(csvFile, apiDir);
+            })
+            .then(() => {
+
+                assert(fs.readFileSync(path.join(apiDir, 'Login', 'Sign_in.test.txt'), 'utf8')
+                    .match(/^Then wait$/m));
+            });
+    });
+
+});
+describe('Traceability', () => {
+
+    let traceDir = path.join(tmpDir, 'trace');
+    let refsFile = path.join(tmpDir, 'required.csv');
+
+    beforeEach(() => {
+        fsUtils.mkdirsSync(path.join(traceDir, 'Login'));
+        fs.writeFileSync(path.join(traceDir, 'Login', 'Enter_PIN.test.txt'),
+            "Enter the PIN\nPriority: High\nReferences: AUTH-10, auth-2\nID: C6\n");
+        fs.writeFileSync(path.join(traceDir, 'Login', 'Sign_in.test.txt'), "Sign in\nReferences: AUTH-2\nID: C5\n");
+        fs.writeFileSync(path.join(traceDir, 'Sign_out.test.txt'), "Sign out\n");
+        fs.writeFileSync(refsFile, "Issue key,Summary\nAUTH-2,PIN login\nAUTH-3,Lockout\n");
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(traceDir)) fsUtils.rmdirsSync(traceDir);
+        if (fs.existsSync(refsFile)) fs.unlinkSync(refsFile);
+    });
+
+    it('should map references to test cases', () => {
+
+        return Promise.all([trio.readTestDir(traceDir), trio.readRequiredReferences(refsFile)])
+            .then(([readTestFiles, requiredRefs]) => {
+
+                assert.deepEqual(requiredRefs, ['AUTH-2', 'AUTH-3']);
+
+                let trace = trio.traceReferences(readTestFiles, requiredRefs);
+
+                assert.deepEqual(trace.references.map(reference => [reference.ref, reference.cases.map(traced => traced.caseId)]), [
+                    ['auth-2', [6, 5]],
+                    ['AUTH-10', [6]]
+                ]);
+                assert.equal(trace.references[1].cases[0].section, 'Login');
+                assert.equal(trace.references[1].cases[0].priority, 'High');
+                assert.deepEqual(trace.unreferenced.map(traced => traced.title), ['Sign_out']);
+                assert.deepEqual(trace.uncovered, ['AUTH-3']);
+            });
+    });
+
+    it('should format reports as markdown, html and csv', () => {
+
+        return trio.readTestDir(traceDir)
+            .then((readTestFiles) => {
+
+                let trace = trio.traceReferences(readTestFiles, ['AUTH-3']);
+
+                assert.equal(trio.traceFormat('trace.htm'), 'html');
+                assert.equal(trio.traceFormat(null), 'markdown');
+
+                return Promise.all(['markdown', 'html', 'csv'].map(format => trio.formatTraceReport(trace, format)));
+            })
+            .then(([markdown, html, csvStr]) => {
+
+                assert(markdown.match(/^\| AUTH-10 \| C6 \| Enter_PIN \| Login \| High \|/m));
+                assert(markdown.match(/^## Required references without test cases\n\n- AUTH-3$/m));
+                assert(html.match(/<td>AUTH-10<\/td><td>C6<\/td>/));
+                assert(csvStr.match(/^"AUTH-3",,,,,,,$/m));
+            });
+    });
+
+});
+describe('Filters', () => {
+
+    let filterDir = path.join(tmpDir, 'filter');
+
+    let testRows = [{
+        'ID': 'C1',
+        'Title': 'Visa',
+        'Section Hierarchy': 'Payments > Cards',
+        'Priority': '1',
+        'Steps': 'Pay by Visa'
+    }, {
+        'ID': 'C2',
+        'Title': 'Amex',
+        'Section Hierarchy': 'Payments > Cards',
+        'Priority': '3',
+        'Steps': 'Pay by Amex'
+    }, {
+        'ID': 'C3',
+        'Title': 'Sign_in',
+        'Section Hierarchy': 'Login',
+        'Priority': '1',
+        'Steps': 'Sign in'
+    }];
+
+    afterEach(() => {
+        if (fs.existsSync(filterDir)) fsUtils.rmdirsSync(filterDir);
+    });
+
+    it('should filter by fields, sections and paths', () => {
+
+        let testFilter = trio.testFilterFor({
+            filter: 'Priority in (1, 2) and Section ~ "Payments > *"'
+        });
+        assert.deepEqual(trio.filterTestRows(testRows, testFilter).map(row => row['ID']), ['C1']);
+
+        testFilter = trio.testFilterFor({
+            filter: 'ID = 3 or id = C2',
+            exclude: ['Amex*']
+        });
+        assert.deepEqual(trio.filterTestRows(testRows, testFilter).map(row => row['ID']), ['C3']);
+
+        assert.equal(trio.testFilterFor({
+            include: []
+        }), null);
+    });
+
+    it('should only import and export matching tests', () => {
+
+        let testFilter = trio.testFilterFor({
+            include: ['Payments/**']
+        });
+
+        return trio.saveToTestDir(testRows, filterDir)
+            .then(() => trio.saveToTestDir(testRows.slice(1), filterDir, {
+                filter: testFilter,
+                orphans: 'report'
+            }))
+            .then((plan) => {
+
+                // Sign_in is outside of the filter, so not an orphan
+                assert.deepEqual(plan.filter(entry => entry.orphan).map(entry => entry.caseId), [1]);
+                return trio.readTestDir(filterDir);
+            })
+            .then((readTestFiles) => {
+
+                let exported = trio.filterTestFiles(readTestFiles, trio.testFilterFor({
+                    filter: 'Priority = 1',
+                    include: ['Payments/**']
+                }));
+                assert.deepEqual(exported.map(readTestFile => readTestFile[0]), [path.join('Payments', 'Cards', 'Visa.test.txt')]);
+            });
+    });
+
+});
+describe('Encodings and Line Endings', () => {
+
+    let encodingDir = path.join(tmpDir, 'encoding');
+    let csvFile = path.join(tmpDir, 'encoding.csv');
+
+    let testContent = "Tap “OK” → café shown\nID: C5\n";
+
+    beforeEach(() => {
+        fsUtils.mkdirsSync(path.join(encodingDir, 'Login'));
+        fs.writeFileSync(path.join(encodingDir, 'Login', 'Sign_in.test.txt'), testContent);
+    });
+
+    afterEach(() => {
+        trio.useLineEndings('lf');
+        if (fs.existsSync(encodingDir)) fsUtils.rmdirsSync(encodingDir);
+        if (fs.existsSync(csvFile)) fs.unlinkSync(csvFile);
+    });
+
+    it('should write and detect CSV encodings', () => {
+
+        return trio.readTestDir(encodingDir)
+            .then(readTestFiles => trio.saveToTrCsv(readTestFiles, csvFile, false, {
+                encoding: 'Windows-1252'
+            }))
+            .then((unrepresentable) => {
+
+                assert.deepEqual(unrepresentable, [{
+                    testFile: path.join('Login', 'Sign_in.test.txt'),
+                    column: 'Steps',
+                    chars: ['→']
+                }]);
+                return trio.readTestCsv(csvFile);
+            })
+            .then((rows) => {
+
+                assert.equal(rows[0]['Steps'], "Tap “OK” ? café shown");
+                fs.writeFileSync(csvFile, Buffer.from('\ufeff"ID","Title"\n"C5","Sign_in →"\n', 'utf16le'));
+                return trio.readTestCsv(csvFile);
+            })
+            .then((rows) => {
+
+                assert.deepEqual(rows, [{
+                    'ID': 'C5',
+                    'Title': 'Sign_in →'
+                }]);
+                assert.equal(trio.trImportConfigFor(['ID'], {
+                    encoding: 'utf8-bom'
+                }).file.encoding, 'UTF-8');
+            });
+    });
+
+    it('should write test files with CRLF line endings', () => {
+
+        trio.useLineEndings('crlf');
+        assert.throws(() => trio.useLineEndings('cr'), /Unknown line endings 'cr'/);
+
+        return trio.saveToTestDir([{
+                'ID': 'C5',
+                'Title': 'Sign_in',
+                'Section Hierarchy': 'Login',
+                'Steps': "Tap OK\nWait",
+                'Expected Result': "Home shown"
+            }], encodingDir)
+            .then(() => {
+
+                let content = fs.readFileSync(path.join(encodingDir, 'Login', 'Sign_in.test.txt'), 'utf8');
+                assert(content.match(/^Tap OK\r\nWait\r\n/));
+                assert(!content.match(/[^\r]\n/));
+                assert(fs.readFileSync(path.join(encodingDir, 'Login', 'Section.meta.txt'), 'utf8').match(/Case Order:\r\nSign_in/));
+            });
+    });
+
+});
+describe('Includes', () => {
+
+    let includeDir = path.join(tmpDir, 'include');
+
+    let write = (file, content) => {
+        fsUtils.mkdirsSync(path.dirname(path.join(includeDir, file)));
+        fs.writeFileSync(path.join(includeDir, file), content);
+    };
+
+    beforeEach(() => {
+        write('shared/Log_in.snippet.txt', "\nLog in as field officer\nSync the tablet\n");
+        write('shared/Open_list.snippet.txt', "Shared Step ID: 7\nInclude: Log_in.snippet.txt\nOpen the client list\n");
+        write('Clients/Open_client.test.txt', "Include: ../shared/Log_in.snippet.txt\nOpen a client\n\nExpected Result:\nClient shown\nID: C1\n");
+        write('Clients/Edit_client.test.txt', "Step 1: Include: ../shared/Open_list.snippet.txt\nExpected 1: List shown\n" +
+            "Step 2: Edit a client\nExpected 2: Saved\nID: C2\n");
+    });
+
+    afterEach(() => {
+        trio.separatedSteps = false;
+        if (fs.existsSync(includeDir)) fsUtils.rmdirsSync(includeDir);
+    });
+
+    it('should expand includes on export', () => {
+
+        return trio.readTestDir(includeDir).then((readTestFiles) => {
+
+            assert.equal(readTestFiles.length, 2);
+
+            let rows = {};
+            readTestFiles.forEach(readTestFile => rows[readTestFile[0]] = trio.trRowFor(readTestFile));
+
+            let openRow = rows[path.join('Clients', 'Open_client.test.txt')];
+            assert.equal(openRow['Steps'], "Log in as field officer\nSync the tablet\nOpen a client");
+            assert.deepEqual(openRow['Includes'], [path.join('shared', 'Log_in.snippet.txt')]);
+
+            let editRow = rows[path.join('Clients', 'Edit_client.test.txt')];
+            assert.deepEqual(editRow['Separated Steps'], [{
+                step: "Log in as field officer\nSync the tablet\nOpen the client list",
+                expected: "List shown",
+                sharedStepId: 7
+            }, {
+                step: "Edit a client",
+                expected: "Saved"
+            }]);
+
+            assert.deepEqual(trio.snippetUsage(readTestFiles, includeDir), [{
+                snippet: path.join('shared', 'Log_in.snippet.txt'),
+                testFiles: [path.join('Clients', 'Edit_client.test.txt'), path.join('Clients', 'Open_client.test.txt')]
+            }, {
+                snippet: path.join('shared', 'Open_list.snippet.txt'),
+                testFiles: [path.join('Clients', 'Edit_client.test.txt')]
+            }]);
+        });
+    });
+
+    it('should report missing snippets and include cycles', () => {
+
+        write('shared/Loop.snippet.txt', "Include: Log_in.snippet.txt\nInclude: Loop.snippet.txt\n");
+        write('Clients/Loop.test.txt', "Step\nInclude: ../shared/Loop.snippet.txt\n\nExpected Result:\nNever\n");
+        write('Clients/Missing.test.txt', "Include: ../shared/Missing.snippet.txt\n\nExpected Result:\nNever\n");
+
+        assert.throws(() => trio.expandIncludes("Include: ../shared/Missing.snippet.txt", path.join('Clients', 'Missing.test.txt'), includeDir),
+            /Missing.test.txt:1: Included snippet shared.Missing.snippet.txt not found/);
+
+        return trio.lintTestDir(includeDir).then((problems) => {
+            assert.deepEqual(problems.map(problem => [problem.file, problem.line, problem.rule]), [
+                [path.join('Clients', 'Loop.test.txt'), 2, 'include-cycle'],
+                [path.join('Clients', 'Missing.test.txt'), 1, 'missing-include']
+            ]);
+            assert(problems[0].message.match(/^Include cycle Clients.Loop.test.txt -> shared.Loop.snippet.txt -> shared.Loop.snippet.txt$/));
+        });
+    });
+
+    it('should keep includes on import', () => {
+
+        let testRows = [];
+
+        return trio.readTestDir(includeDir)
+            .then((readTestFiles) => {
+                testRows = readTestFiles.map(readTestFile => Object.assign(trio.trRowFor(readTestFile), {
+                    'Section Hierarchy': 'Clients'
+                }));
+                return trio.saveToTestDir(testRows, includeDir);
+            })
+            .then(() => {
+
+                assert(fs.readFileSync(path.join(includeDir, 'Clients', 'Open_client.test.txt'), 'utf8')
+                    .match(/^Include: \.\.\/shared\/Log_in\.snippet\.txt\nOpen a client\n/));
+                assert(fs.readFileSync(path.join(includeDir, 'Clients', 'Edit_client.test.txt'), 'utf8')
+                    .match(/^Step 1: Include: \.\.\/shared\/Open_list\.snippet\.txt\nExpected 1: List shown\n/));
+            });
+    });
+
+    it('should sync included shared steps', () => {
+
+        const {
+            startMockTestRail
+        } = require('./helpers/mock-testrail');
+
+        fs.unlinkSync(path.join(includeDir, 'Clients', 'Open_client.test.txt'));
+        write('Clients/Edit_client.test.txt', "Step 1: Include: ../shared/Open_list.snippet.txt\nStep 2: Edit a client\nExpected 2: Saved\n");
+        trio.separatedSteps = true;
+
+        let mock = null;
+        return startMockTestRail({
+                sections: [{
+                    id: 1,
+                    name: 'Clients',
+                    parent_id: null
+                }],
+                cases: []
+            })
+            .then((started) => {
+                mock = started;
+                return trio.syncWithTestRail(includeDir, {
+                    url: mock.url,
+                    projectId: 1
+                }, {
+                    direction: 'push'
+                });
+            })
+            .then(() => {
+                assert.deepEqual(mock.state.cases[0].custom_steps_separated, [{
+                    shared_step_id: 7
+                }, {
+                    content: "Edit a client",
+                    expected: "Saved"
+                }]);
+            })
+            .then(() => mock.close(), (err) => mock.close().then(() => {
+                throw err;
+            }));
+    });
+
+});
+describe('Parameter Tables', () => {
+
+    let paramDir = path.join(tmpDir, 'param');
+    let importDir = path.join(tmpDir, 'param-import');
+
+    let write = (file, content) => {
+        fsUtils.mkdirsSync(path.dirname(path.join(paramDir, file)));
+        fs.writeFileSync(path.join(paramDir, file), content);
+    };
+
+    beforeEach(() => {
+        write('Payments/Pay_in_local_currency.test.txt', "Open the checkout in {{Country}}\nPay with a card\n\n" +
+            "Expected Result:\nThe total is shown in {{Currency}}\nPriority: High\n" +
+            "Parameters:\n| ID | Country | Currency |\n|----|---------|----------|\n" +
+            "| C101 | New Zealand | NZD |\n| C102 | Australia | AUD |\n");
+        write('Payments/Refund_in_{{Currency}}.test.txt', "Refund a {{Currency}} payment\n\nExpected Result:\nRefunded\n" +
+            "Parameters:\n| Currency |\n| NZD |\n");
+    });
+
+    afterEach(() => {
+        [paramDir, importDir].forEach((dir) => {
+            if (fs.existsSync(dir)) fsUtils.rmdirsSync(dir);
+        });
+    });
+
+    it('should export a case per parameter row', () => {
+
+        return trio.readTestDir(paramDir).then((readTestFiles) => {
+
+            let rows = trio.expandParameterSets(readTestFiles.sort((a, b) => a[0] < b[0] ? -1 : 1))
+                .map(readTestFile => trio.trRowFor(readTestFile));
+
+            assert.deepEqual(rows.map(row => [row['ID'], row['Title'], row['Section'], row['Steps'], row['Expected Result'], row['Priority']]), [
+                ["C101", "Pay_in_local_currency [New Zealand, NZD]", "Payments", "Open the checkout in New Zealand\nPay with a card", "The total is shown in NZD", "High"],
+                ["C102", "Pay_in_local_currency [Australia, AUD]", "Payments", "Open the checkout in Australia\nPay with a card", "The total is shown in AUD", "High"],
+                [undefined, "Refund_in_NZD", "Payments", "Refund a NZD payment", "Refunded", undefined]
+            ]);
+
+            assert.equal(rows[1]['Parameter Set'], "Pay_in_local_currency | Country=Australia | Currency=AUD");
+            assert.equal(rows[2]['Parameter Set'], "Refund_in_{{Currency}} | Currency=NZD");
+        });
+    });
+
+    it('should only export the parameter set column with parameter tables', () => {
+
+        return trio.readTestDir(paramDir).then((readTestFiles) => {
+
+            assert(trio.trCsvColumns(trio.expandParameterSets(readTestFiles)).indexOf('Parameter Set') >= 0);
+            assert(trio.trCsvColumns(readTestFiles).indexOf('Parameter Set') < 0);
+            assert(trio.trCsvColumns().indexOf('Parameter Set') < 0);
+        });
+    });
+
+    it('should fold parameter sets on import', () => {
+
+        return trio.readTestDir(paramDir)
+            .then((readTestFiles) => {
+
+                let testRows = trio.expandParameterSets(readTestFiles.sort((a, b) => a[0] < b[0] ? -1 : 1))
+                    .map(readTestFile => trio.trRowFor(readTestFile));
+
+                // Changed in TestRail, so it doesn't fit the table any more
+                testRows[1]['Steps'] = "Open the checkout in Australia on mobile\nPay with a card";
+
+                return trio.saveToTestDir(testRows, importDir);
+            })
+            .then(() => {
+
+                let payContent = fs.readFileSync(path.join(importDir, 'Payments', 'Pay_in_local_currency.test.txt'), 'utf8');
+                assert(payContent.startsWith("Open the checkout in {{Country}}\nPay with a card\n\nExpected Result:\nThe total is shown in {{Currency}}\n"));
+                assert(payContent.endsWith("Parameters:\n| ID   | Country     | Currency |\n| C101 | New Zealand | NZD      |\n"));
+                assert(!payContent.match(/^ID:/m));
+
+                let mobileContent = fs.readFileSync(path.join(importDir, 'Payments', 'Pay_in_local_currency__Australia__AUD_.test.txt'), 'utf8');
+                assert(mobileContent.match(/^ID: C102$/m));
+                assert(!mobileContent.match(/Parameter/));
+
+                let refundContent = fs.readFileSync(path.join(importDir, 'Payments', 'Refund_in_{{Currency}}.test.txt'), 'utf8');
+                assert(refundContent.startsWith("Refund a {{Currency}} payment\n"));
+                assert(refundContent.endsWith("Parameters:\n| Currency |\n| NZD      |\n"));
+            });
+    });
+
+    it('should lint parameter tables', () => {
+
+        write('Payments/Broken.test.txt', "Pay in {{Currency}} with {{Card}}\n\nExpected Result:\nPaid\n" +
+            "Parameters:\n| ID | Currency |\n| C101 | NZD |\n| C103 | AUD | Visa |\n");
+
+        return trio.lintTestDir(paramDir).then((problems) => {
+            assert.deepEqual(problems.map(problem => [problem.file, problem.line, problem.rule]), [
+                [path.join('Payments', 'Broken.test.txt'), 1, 'unknown-parameter'],
+                [path.join('Payments', 'Broken.test.txt'), 7, 'duplicate-id'],
+                [path.join('Payments', 'Broken.test.txt'), 8, 'parameter-table'],
+                [path.join('Payments', 'Pay_in_local_currency.test.txt'), 10, 'duplicate-id']
+            ]);
+        });
+    });
+
+});
+describe('Gherkin Feature Files', () => {
+
+    let featureDir = path.join(tmpDir, 'feature');
+    let featureFile = path.join(featureDir, 'Payments', 'checkout.feature');
+
+    beforeEach(() => {
+        fsUtils.mkdirsSync(path.dirname(featureFile));
+        fs.writeFileSync(featureFile, "@smoke @priority:High\nFeature: Checkout with cards\n  Paying at the checkout\n\n" +
+            "  Background:\n    Given I am logged in\n\n" +
+            "  @references:REQ-1,REQ-2 @C12\n  Scenario: Pay with a card\n    When I pay with\n      | card | amount |\n      | Visa | 10     |\n" +
+            "    Then I see a receipt\n\n" +
+            "  @wip\n  Scenario Outline: Pay in <Currency>\n    When I pay in <Currency>\n    Then the total is in <Currency>\n\n" +
+            "    Examples:\n      | ID   | Currency |\n      | C101 | NZD      |\n");
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(featureDir)) fsUtils.rmdirsSync(featureDir);
+    });
+
+    it('should export a case per scenario', () => {
+
+        return trio.readTestDir(featureDir).then((readTestFiles) => {
+
+            let rows = trio.expandParameterSets(readTestFiles).map(readTestFile => trio.trRowFor(readTestFile));
+
+            assert.deepEqual(rows.map(row => [row['ID'], row['Title'], row['Section Hierarchy'], row['Steps'], row['Expected Result'], row['Priority'], row['References']]), [
+                ["C12", "Pay with a card", "Payments > Checkout with cards", "Given I am logged in\nWhen I pay with\n  | card | amount |\n  | Visa | 10     |", "Then I see a receipt", "High", "REQ-1, REQ-2"],
+                ["C101", "Pay in NZD", "Payments > Checkout with cards", "Given I am logged in\nWhen I pay in NZD", "Then the total is in NZD", "High", undefined]
+            ]);
+            assert.equal(rows[0]['Section Description'], "Paying at the checkout");
+        });
+    });
+
+    it('should write changes back to the feature file on import', () => {
+
+        return trio.readTestDir(featureDir)
+            .then((readTestFiles) => {
+
+                let testRows = trio.expandParameterSets(readTestFiles).map(readTestFile => trio.trRowFor(readTestFile));
+                testRows[0]['Expected Result'] = "Then I see a receipt\nAnd I get an email";
+
+                return trio.saveToTestDir(testRows, featureDir);
+            })
+            .then(() => {
+
+                let content = fs.readFileSync(featureFile, 'utf8');
+                assert(content.startsWith("@smoke\nFeature: Checkout with cards\n"));
+                assert(content.includes("  Background:\n    Given I am logged in\n"));
+                assert(content.includes("    Then I see a receipt\n    And I get an email\n"));
+                assert(content.includes("  @C12 @priority:High @references:REQ-1,REQ-2\n  Scenario: Pay with a card\n"));
+                assert(content.includes("  @wip @priority:High\n  Scenario Outline: Pay in <Currency>\n"));
+                assert(content.endsWith("      | ID   | Currency |\n      | C101 | NZD      |\n"));
+                assert(!fs.existsSync(path.join(featureDir, 'Payments', 'Checkout_with_cards')));
+            });
+    });
+
+    it('should lint feature files', () => {
+
+        fs.writeFileSync(path.join(featureDir, 'Payments', 'broken.feature'), "Feature: Broken\n\n  Scenario: Oops\n    Given a step\n    this is not a step\n");
+
+        return trio.lintTestDir(featureDir).then((problems) => {
+            assert.deepEqual(problems.map(problem => [problem.file, problem.line, problem.rule]), [
+                [path.join('Payments', 'broken.feature'), 5, 'gherkin-syntax']
+            ]);
+        });
+    });
+
+});
+describe('Round Trip Verification', () => {
+
+    let verifyDir = path.join(tmpDir, 'verify');
+
+    beforeEach(() => {
+        fsUtils.mkdirsSync(path.join(verifyDir, 'Payments'));
+        fs.writeFileSync(path.join(verifyDir, 'Payments', 'Plain.test.txt'), "Do it\n\nExpected Result:\nDone\nPriority: High\n");
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(verifyDir)) fsUtils.rmdirsSync(verifyDir);
+    });
+
+    it('should find tests that change through an export and import', () => {
+
+        return trio.verifyRoundTrip(verifyDir)
+            .then((result) => {
+
+                assert.deepEqual(result, {
+                    cases: 1,
+                    differences: []
+                });
+
+                fs.writeFileSync(path.join(verifyDir, 'Payments', 'Spaced.test.txt'), "Open the  checkout\n\nExpected Result:\nPaid\n");
+                return trio.verifyRoundTrip(verifyDir);
+            })
+            .then((result) => {
+
+                assert.equal(result.cases, 2);
+                assert.deepEqual(result.differences.map(difference => [difference.title, difference.change, difference.fields]), [
+                    ["Spaced", "changed", [{
+                        column: 'Steps',
+                        before: "Open the  checkout",
+                        after: "Open the checkout",
+                        change: 'changed'
+                    }]]
+                ]);
+                assert(trio.formatRoundTripReport(result).includes("  Steps changed:\n    - Open the  checkout\n    + Open the checkout\n"));
+            });
+    });
+
+    it('should verify feature files', () => {
+
+        fs.writeFileSync(path.join(verifyDir, 'Payments', 'checkout.feature'), "@priority:High\nFeature: Checkout with cards\n\n" +
+            "  Background:\n    Given I am logged in\n\n" +
+            "  @C12\n  Scenario: Pay with a card\n    When I pay with\n      | card | amount |\n      | Visa | 10     |\n    Then I see a receipt\n\n" +
+            "  Scenario Outline: Pay in <Currency>\n    When I pay in <Currency>\n    Then the total is in <Currency>\n\n" +
+            "    Examples:\n      | ID   | Currency |\n      | C101 | NZD      |\n      | C102 | AUD      |\n");
+
+        return trio.verifyRoundTrip(verifyDir).then((result) => {
+            assert.deepEqual(result, {
+                cases: 4,
+                differences: []
+            });
+        });
+    });
+
+    it('should find fields of TestRail cases lost through an import and export', () => {
+
+        let csvFile = path.join(verifyDir, 'cases.csv');
+        fs.writeFileSync(csvFile, '"ID","Title","Section","Steps","Expected Result","Updated By"\n' +
+            '"C1","Pay/refund","Payments","Pay","Paid","Ann (ann@example.com)"\n' +
+            '"C2","Plain","Payments","Do it","Done",""\n');
+
+        return trio.verifyRoundTrip(verifyDir, {
+            file: csvFile
+        }).then((result) => {
+
+            assert.equal(result.cases, 2);
+            assert.deepEqual(result.differences.map(difference => [difference.id, difference.fields.map(field => [field.column, field.change])]), [
+                ["C1", [
+                    ['Title', 'changed'],
+                    ['Updated By', 'lost']
+                ]]
+            ]);
+        });
+    });
+
+});
+describe('Run Plans', () => {
+
+    let planDir = path.join(tmpDir, 'plan');
+
+    let manifest = [
+        "Name: Release 2.3",
+        "Milestone: Release 2.3",
+        "Description: Regression for",
+        "the 2.3 release",
+        "Filter: Priority in (High, Critical)",
+        "",
+        "Run: Login",
+        "Section: login",
+        "Exclude: Login/Legacy/**",
+        "",
+        "Run: Account",
+        "Include: Account/**",
+        ""
+    ].join('\n');
+
+    beforeEach(() => {
+        return trio.saveToTestDir([{
+            'ID': 'C1',
+            'Title': 'Enter PIN',
+            'Section': 'Login',
+            'Priority': 'High',
+            'Steps': 'Enter PIN',
+            'Expected Result': 'Logged in'
+        }, {
+            'ID': 'C2',
+            'Title': 'Old PIN',
+            'Section': 'Login > Legacy',
+            'Priority': 'High',
+            'Steps': 'Enter an old PIN',
+            'Expected Result': 'Logged in'
+        }, {
+            'Title': 'Face ID',
+            'Section': 'Login',
+            'Priority': 'Critical',
+            'Steps': 'Look at the phone',
+            'Expected Result': 'Logged in'
+        }, {
+            'ID': 'C3',
+            'Title': 'Logout',
+            'Section': 'Account',
+            'Priority': 'High',
+            'Steps': 'Tap logout',
+            'Expected Result': 'Logged out'
+        }, {
+            'ID': 'C4',
+            'Title': 'Rename',
+            'Section': 'Account',
+            'Priority': 'Low',
+            'Steps': 'Change the name',
+            'Expected Result': 'Renamed'
+        }], planDir);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(planDir)) fsUtils.rmdirsSync(planDir);
+    });
+
+    it('should resolve a plan manifest into the cases of its runs', () => {
+
+        return trio.readTestDir(planDir).then((readTestFiles) => {
+
+            let {
+                plan,
+                problems
+            } = trio.resolvePlan('Release_2_3.plan', trio.parsePlanManifest(manifest), readTestFiles, {
+                milestones: {
+                    'Release 2.3': 7
+                },
+                suiteId: 2
+            });
+
+            assert.deepEqual(problems.map(problem => [problem.line, problem.rule, problem.severity]), [
+                [7, 'missing-id', 'warning']
+            ]);
+            assert(problems[0].message.startsWith(path.join('Login', 'Face_ID')));
+
+            assert.deepEqual(trio.trPlanPayload(plan), {
+                name: "Release 2.3",
+                description: "Regression for\nthe 2.3 release",
+                milestone_id: 7,
+                entries: [{
+                    suite_id: 2,
+                    name: "Login",
+                    include_all: false,
+                    case_ids: [1]
+                }, {
+                    suite_id: 2,
+                    name: "Account",
+                    include_all: false,
+                    case_ids: [3]
+                }]
+            });
+        });
+    });
+
+    it('should resolve a single run and report manifest problems', () => {
+
+        return trio.readTestDir(planDir).then((readTestFiles) => {
+
+            let single = trio.resolvePlan('Smoke.plan', trio.parsePlanManifest("Include: */Logout*\nInclude: Login/Enter*\n"), readTestFiles);
+            assert.deepEqual(single.problems, []);
+            assert.deepEqual(trio.trPlanPayload(single.plan), {
+                name: "Smoke",
+                include_all: false,
+                case_ids: [1, 3]
+            });
+            assert.equal(trio.formatPlanSummary(single.plan), "Smoke: 2 case(s)");
+
+            let broken = trio.resolvePlan('Broken.plan', trio.parsePlanManifest("Milestone: Someday\nFilter: Priority in (\nRun: All\nMilestone: 2.4\n"), readTestFiles);
+            assert.deepEqual(broken.problems.map(problem => [problem.line, problem.rule, problem.severity]), [
+                [4, 'invalid-line', 'error'],
+                [2, 'invalid-filter', 'error'],
+                [1, 'unknown-milestone', 'warning']
+            ]);
+
+            // Plan entries need a suite
+            let suiteless = trio.resolvePlan('Suiteless.plan', trio.parsePlanManifest("Run: Account\nSection: Account\n"), readTestFiles);
+            assert.deepEqual(suiteless.problems.map(problem => [problem.line, problem.rule, problem.severity]), [
+                [1, 'unknown-suite', 'error']
+            ]);
+        });
+    });
+
+    it('should split runs by suite in multi-suite test directories', () => {
+
+        let suitesDir = path.join(planDir, 'suites');
+        [
+            ['Android', 'Android app', 3, 'C11'],
+            ['iOS', 'iOS app', 4, 'C12']
+        ].forEach(([dir, name, id, caseId]) => {
+            fsUtils.mkdirsSync(path.join(suitesDir, dir, 'Login'));
+            fs.writeFileSync(path.join(suitesDir, dir, 'Suite.meta.txt'), "Suite: " + name + "\nSuite ID: S" + id + "\n");
+            fs.writeFileSync(path.join(suitesDir, dir, 'Login', 'Enter_PIN.test.txt'), "Enter PIN\n\nExpected Result:\nLogged in\nID: " + caseId + "\n");
+        });
+
+        return trio.readPlanTestFiles(suitesDir).then((readTestFiles) => {
+
+            let {
+                plan,
+                problems
+            } = trio.resolvePlan('Login.plan', trio.parsePlanManifest("Name: Login\n\nRun: Login\nSection: Login\n"), readTestFiles);
+
+            assert.deepEqual(problems, []);
+            assert.deepEqual(trio.trPlanPayload(plan).entries, [{
+                suite_id: 3,
+                name: "Login (Android app)",
+                include_all: false,
+                case_ids: [11]
+            }, {
+                suite_id: 4,
+                name: "Login (iOS app)",
+                include_all: false,
+                case_ids: [12]
+            }]);
+
+            let single = trio.resolvePlan('Login.plan', trio.parsePlanManifest("Include: */Login/**\n"), readTestFiles);
+            assert.deepEqual(single.problems.map(problem => [problem.line, problem.rule, problem.severity]), [
+                [1, 'multiple-suites', 'error']
+            ]);
+        });
+    });
+
+});
\ No newline at end of file
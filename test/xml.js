@@ -0,0 +1,62 @@
+//
+// XML unit tests (mocha)
+//
+
+const xml = require('../lib/xml');
+const assert = require('assert');
+
+describe('XML', () => {
+
+    it('should parse elements, text and attributes', () => {
+
+        let root = xml.parseXml([
+            '\ufeff<?xml version="1.0" encoding="UTF-8"?>',
+            '<!-- exported -->',
+            '<suite kind="tests">',
+            '  <name>Login &amp; &lt;PIN&gt; &#233;</name>',
+            '  <empty/>',
+            '  <steps><![CDATA[Tap <OK>]]>\r\nthen wait</steps>',
+            '</suite>'
+        ].join('\n'));
+
+        assert.equal(root.name, 'suite');
+        assert.deepEqual(root.attributes, {
+            kind: 'tests'
+        });
+        assert.deepEqual(root.children.map(child => child.name), ['name', 'empty', 'steps']);
+        assert.equal(xml.xmlChildText(root, 'name'), "Login & <PIN> é");
+        assert.equal(xml.xmlChildText(root, 'empty'), "");
+        assert.equal(xml.xmlChildText(root, 'steps'), "Tap <OK>\nthen wait");
+        assert.equal(xml.xmlChildText(root, 'missing'), null);
+    });
+
+    it('should roundtrip written elements', () => {
+
+        let element = xml.xmlElement('case', [
+            xml.xmlElement('title', 'Sign in & "wait"'),
+            xml.xmlElement('steps', "Open app\n  <then> tap OK"),
+            xml.xmlElement('expected', "")
+        ]);
+
+        let written = xml.stringifyXml(element);
+        assert.equal(written, [
+            '<case>',
+            '  <title>Sign in &amp; &quot;wait&quot;</title>',
+            '  <steps>Open app\n  &lt;then&gt; tap OK</steps>',
+            '  <expected />',
+            '</case>',
+            ''
+        ].join('\n'));
+
+        let parsed = xml.parseXml(written);
+        assert.deepEqual(xml.xmlChildren(parsed, 'steps').map(child => child.text), ["Open app\n  <then> tap OK"]);
+    });
+
+    it('should report invalid XML with a line number', () => {
+
+        assert.throws(() => xml.parseXml('<suite>\n<name>x</title>\n</suite>'), /line 2: unexpected <\/title>/);
+        assert.throws(() => xml.parseXml('<suite>\n<name>'), /unclosed <name>/);
+        assert.throws(() => xml.parseXml('<a>&bogus;</a>'), /Unknown XML entity &bogus;/);
+    });
+
+});
\ No newline at end of file